@@ -23,149 +23,124 @@ import {
 import fetch from 'node-fetch';
 import { getDamRootFolder } from './aem-util.js';
 import { printUploadSummary } from './upload-summary.js';
-import { validateLocalAssetsPath } from '../utils/fileUtils.js';
+import { assertPrerequisites } from '../utils/prerequisites.js';
+import { AuthenticationError, UploadError } from '../errors.js';
 
 /**
- * Validate the existence of the asset-mapping.json and content package files.
+ * Validate the existence of the input files and folders, reporting all the missing ones at once.
  * @param {string} assetMappingFile - The path to the asset-mapping.json file
  * @param {string} contentPackagePath - The path to the content package ZIP file
  * @param {boolean} skipAssets - If true, the asset mapping file is not required
- * @return {boolean} True if the files exist, false otherwise
+ * @param {string} token - The AEM login token, or the path to a file containing it
+ * @param {string} localAssets - The path to the local assets folder, if any
+ * @throws {ValidationError} If a required file or folder does not exist
  */
-function validateFiles(assetMappingFile, contentPackagePath, skipAssets) {
-  const files = [
-    { path: contentPackagePath, message: `Content package not found: ${contentPackagePath}`, mandatory: true },
-    { path: assetMappingFile, message: `asset-mapping.json file not found: ${assetMappingFile}`, mandatory: !skipAssets },
-  ];
-
-  for (const file of files) {
-    if (file.mandatory === false) {
-      continue;
-    }
-
-    if (!fs.existsSync(file.path)) {
-      console.error(chalk.red(file.message));
-      return false;
-    }
-  }
-  return true;
+function validateFiles(assetMappingFile, contentPackagePath, skipAssets, token, localAssets) {
+  assertPrerequisites({
+    files: [
+      {
+        path: contentPackagePath,
+        label: 'Content package',
+        requiredMessage: 'Content package not found: no path given',
+      },
+      !skipAssets && {
+        path: assetMappingFile,
+        label: 'asset-mapping.json file',
+        requiredMessage: 'asset-mapping.json file not found: no path given',
+      },
+    ].filter(Boolean),
+    directories: [{ path: localAssets, label: 'Local assets folder' }],
+    tokens: [{ value: token, label: 'Token' }],
+  });
 }
 
 /**
  * Validate the AEM login token by making a HEAD request to the target environment.
  * @param url - The AEM target environment
  * @param token - The AEM login token
- * @return {Promise<boolean>} True if the token is valid, false otherwise
+ * @throws {AuthenticationError} If the token is rejected or the target cannot be reached
  */
 async function validateLogin(url, token) {
+  let response;
   try {
     const headers = {
       Authorization: `Bearer ${token}`,
     };
-    const response = await fetch(url, { method: 'HEAD', headers });
-
-    if (!response.ok) {
-      console.error(chalk.red(`Login failed with status: ${response.status} - ${response.statusText}`));
-      if (response.status === 401 || response.status === 403) {
-        console.error(chalk.red('Unauthorized: Invalid token'));
-      }
-      return false;
-    }
+    response = await fetch(url, { method: 'HEAD', headers });
+  } catch (error) {
+    throw new AuthenticationError(`Network error: ${error.message}`, { cause: error });
+  }
 
-    const text = await response.text();
-    if (text.includes('Invalid token') || text.includes('Unauthorized')) {
-      console.error(chalk.red(`Invalid token detected in response body: ${text}`));
-      return false;
+  if (!response.ok) {
+    const message = `Login failed with status: ${response.status} - ${response.statusText}`;
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthenticationError(`${message}. Unauthorized: Invalid token`);
     }
+    throw new AuthenticationError(message);
+  }
 
-    return response.status === 200;
-  } catch (error) {
-    console.error(chalk.red(`Network error: ${error.message}`));
-    return false;
+  const text = await response.text();
+  if (text.includes('Invalid token') || text.includes('Unauthorized')) {
+    throw new AuthenticationError(`Invalid token detected in response body: ${text}`);
   }
-}
 
-export const aemBuilder = (yargs) => {
-  return yargs
-    .option('zip', {
-      type: 'string',
-      describe: 'Absolute path to the content package ZIP file',
-      demandOption: true,
-    })
-    .option('asset-mapping', {
-      type: 'string',
-      describe: 'Absolute path to the image-mapping.json file',
-    })
-    .option('token', {
-      describe: 'AEM login token or path to a file containing the token',
-      type: 'string',
-      demandOption: true,
-    })
-    .option('target', {
-      describe: 'AEM target environment',
-      type: 'string',
-      demandOption: true,
-    })
-    .option('output', {
-      describe: 'Output directory for downloaded assets',
-      type: 'string',
-      default: 'aem-assets',
-    })
-    .option('skip-assets', {
-      describe: 'If skip-assets is true, the assets are not downloaded',
-      type: 'boolean',
-      default: false,
-    })
-    .option('keep', {
-      describe: 'If keep is true, local assets are not deleted after upload',
-      type: 'boolean',
-      default: false,
-    })
-    .option('images-to-png', {
-      describe: 'Convert downloaded images to PNG and update references to .png (default: true)',
-      type: 'boolean',
-      default: true,
-    })
-    .option('local-assets', {
-      describe: 'Path to a local assets folder (tries local first, falls back to downloading missing assets)',
-      type: 'string',
-    });
+  if (response.status !== 200) {
+    throw new AuthenticationError(`Login failed with status: ${response.status} - ${response.statusText}`);
+  }
 }
 
-export const aemHandler = async (args) => {
-  if (!validateFiles(args['asset-mapping'], args['zip'], args['skip-assets'])) {
-    process.exit(1);
-  }
+/**
+ * Upload a content package, and the assets it references, to an AEM environment.
+ * @param {string} zip - Path to the content package ZIP file
+ * @param {string} assetMapping - Path to the asset-mapping.json file (not required with skipAssets)
+ * @param {string} token - AEM login token or path to a file containing the token
+ * @param {string} target - AEM target environment
+ * @param {string} output - Output directory for downloaded assets
+ * @param {boolean} skipAssets - If true, the assets are not downloaded nor uploaded
+ * @param {boolean} keep - If true, local assets are not deleted after upload
+ * @param {boolean} imagesToPng - Convert downloaded images to PNG and update references to .png
+ * @param {string} localAssets - Optional path to a local assets folder
+ * @returns {Promise<{packagePath: string, assetUpload: object|undefined}>} The path of the
+ * installed (modified) package and the result of the asset upload, if assets were uploaded
+ * @throws {ValidationError} If an input file or folder is invalid
+ * @throws {AuthenticationError} If the token is rejected
+ * @throws {UploadError} If the assets or the package cannot be uploaded
+ */
+export async function uploadToAem({
+  zip,
+  assetMapping: assetMappingPath,
+  token: tokenOrPath,
+  target,
+  output = 'aem-assets',
+  skipAssets = false,
+  keep = false,
+  imagesToPng = true,
+  localAssets,
+}) {
+  validateFiles(assetMappingPath, zip, skipAssets, tokenOrPath, localAssets);
 
-  if (args['local-assets']) {
-    const validation = validateLocalAssetsPath(args['local-assets']);
-    if (!validation.valid) {
-      console.error(chalk.red(validation.message));
-      process.exit(1);
-    }
-    console.log(chalk.yellow(`Using local assets from: ${args['local-assets']}`));
+  if (localAssets) {
+    console.log(chalk.yellow(`Using local assets from: ${localAssets}`));
   }
 
-  if (!fs.existsSync(args.output)) {
-    fs.mkdirSync(args.output);
+  if (!fs.existsSync(output)) {
+    fs.mkdirSync(output);
   }
 
   // check to see if the token is a string value or a file
-  let token = args.token;
+  let token = tokenOrPath;
   if (fs.existsSync(token)) {
     token = fs.readFileSync(token, 'utf-8').trim();
   }
 
   console.log(chalk.yellow('Validating token...'));
-  if (!await validateLogin(args.target, token)) {
-    process.exit(1);
-  }
+  await validateLogin(target, token);
 
+  let assetUpload;
   try {
     // Common options and mappings used below
-    const imagesToPng = args['images-to-png'] !== false;
-    const assetMappingJson = args['asset-mapping'] && fs.existsSync(args['asset-mapping'])
-      ? JSON.parse(fs.readFileSync(args['asset-mapping'], 'utf-8'))
+    const assetMappingJson = assetMappingPath && fs.existsSync(assetMappingPath)
+      ? JSON.parse(fs.readFileSync(assetMappingPath, 'utf-8'))
       : {};
     const assetMapping = new Map(Object.entries(assetMappingJson));
 
@@ -173,22 +148,23 @@ export const aemHandler = async (args) => {
     // These are converted to JCR paths and used to update .content.xml references in the package.
     let extensionReplacements = new Map();
 
-    if (!args['skip-assets']) {
+    if (!skipAssets) {
       const damRootFolder = getDamRootFolder(assetMapping);
       if (damRootFolder === null) {
         console.log(chalk.yellow('No DAM root folder in asset mapping (empty or no paths under /content/dam/...), skipping asset download/upload.'));
       } else {
-        const downloadFolder = args.output === 'aem-assets'
-          ? path.join(process.cwd(), args.output)
-          : args.output;
+        const downloadFolder = output === 'aem-assets'
+          ? path.join(process.cwd(), output)
+          : output;
 
         console.log(chalk.yellow(`Downloading origin assets to ${downloadFolder}...`));
-        await downloadAssets(assetMapping, downloadFolder, undefined, undefined, {}, { convertImagesToPng: imagesToPng, localAssetsPath: args['local-assets'] });
+        await downloadAssets(assetMapping, downloadFolder, undefined, undefined, {}, { convertImagesToPng: imagesToPng, localAssetsPath: localAssets });
 
         const assetFolder = path.join(downloadFolder, damRootFolder);
 
-        console.log(chalk.yellow(`Uploading downloaded assets to ${args.target}...`));
-        const { uploadResult, renamedFiles } = await uploadAssets(args.target, token, assetFolder);
+        console.log(chalk.yellow(`Uploading downloaded assets to ${target}...`));
+        const { uploadResult, renamedFiles } = await uploadAssets(target, token, assetFolder);
+        assetUpload = uploadResult;
 
         // Build JCR-level replacement map for extensionless references based on files present
         // on disk after download/conversion.
@@ -204,19 +180,86 @@ export const aemHandler = async (args) => {
 
         printUploadSummary(uploadResult);
 
-        if (!args.keep) {
+        if (!keep) {
           await cleanup(downloadFolder);
         }
       }
     }
 
     console.log(chalk.yellow('Preparing content package for upload...'));
-    const { modifiedZipPath } = await prepareModifiedPackage(args['zip'], assetMapping, imagesToPng, extensionReplacements);
+    const { modifiedZipPath } = await prepareModifiedPackage(zip, assetMapping, imagesToPng, extensionReplacements);
+
+    console.log(chalk.yellow(`Uploading content package ${target}...`));
+    await installPackage(target, token, modifiedZipPath);
+
+    return { packagePath: modifiedZipPath, assetUpload };
+  } catch (err) {
+    throw new UploadError(`Error during upload: ${err.message}`, { cause: err });
+  }
+}
+
+export const aemBuilder = (yargs) => {
+  return yargs
+    .option('zip', {
+      type: 'string',
+      describe: 'Absolute path to the content package ZIP file',
+      demandOption: true,
+    })
+    .option('asset-mapping', {
+      type: 'string',
+      describe: 'Absolute path to the image-mapping.json file',
+    })
+    .option('token', {
+      describe: 'AEM login token or path to a file containing the token',
+      type: 'string',
+      demandOption: true,
+    })
+    .option('target', {
+      describe: 'AEM target environment',
+      type: 'string',
+      demandOption: true,
+    })
+    .option('output', {
+      describe: 'Output directory for downloaded assets',
+      type: 'string',
+      default: 'aem-assets',
+    })
+    .option('skip-assets', {
+      describe: 'If skip-assets is true, the assets are not downloaded',
+      type: 'boolean',
+      default: false,
+    })
+    .option('keep', {
+      describe: 'If keep is true, local assets are not deleted after upload',
+      type: 'boolean',
+      default: false,
+    })
+    .option('images-to-png', {
+      describe: 'Convert downloaded images to PNG and update references to .png (default: true)',
+      type: 'boolean',
+      default: true,
+    })
+    .option('local-assets', {
+      describe: 'Path to a local assets folder (tries local first, falls back to downloading missing assets)',
+      type: 'string',
+    });
+}
 
-    console.log(chalk.yellow(`Uploading content package ${args.target}...`));
-    await installPackage(args.target, token, modifiedZipPath);
+export const aemHandler = async (args) => {
+  try {
+    await uploadToAem({
+      zip: args['zip'],
+      assetMapping: args['asset-mapping'],
+      token: args.token,
+      target: args.target,
+      output: args.output,
+      skipAssets: args['skip-assets'],
+      keep: args.keep,
+      imagesToPng: args['images-to-png'] !== false,
+      localAssets: args['local-assets'],
+    });
   } catch (err) {
-    console.error(chalk.red('Error during upload:', err));
+    console.error(chalk.red(err.message));
     process.exit(1);
   }
   console.log(chalk.green('Content uploaded successfully.'));
@@ -14,6 +14,7 @@ import { FormData, File } from 'formdata-node';
 import fetch from 'node-fetch';
 import chalk from 'chalk';
 import { parseStringPromise } from 'xml2js';
+import { EVENTS, emitEvent } from '../events.js';
 
 const BASE_DELAY = 5000; // base delay in milliseconds
 const MAX_RETRIES = process.env.MAX_RETRIES || 3; // maximum number of retries
@@ -73,6 +74,7 @@ export async function installPackage(target, token, packagePath) {
         throw new Error(`Failed to install package: ${response}`);
       }
       console.info(chalk.yellow(`Package installed successfully at ${endpoint}.`));
+      emitEvent(EVENTS.PACKAGE_INSTALLED, { target, packagePath, attempts: attempt });
       return fetchResponse;
     } catch (error) {
       if (attempt === MAX_RETRIES) {
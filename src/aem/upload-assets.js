@@ -2,6 +2,7 @@ import { FileSystemUploadOptions, FileSystemUpload } from '@adobe/aem-upload';
 import chalk from 'chalk';
 import { uploadDirWithSplitAndFallback } from './aem-upload-orchestrator.js';
 import { addExtensionsToFiles } from '../utils/mime-utils.js';
+import { EVENTS, emitEvent } from '../events.js';
 
 /**
  * Build the AEM Assets URL to which the assets need to be uploaded.
@@ -66,6 +67,7 @@ function createFileUploader() {
   fileUpload.on('fileend', (data) => {
     const { targetFile } = data;
     console.info(chalk.green(`✓ Uploaded: ${targetFile}`));
+    emitEvent(EVENTS.ASSET_UPLOAD, { file: targetFile, uploaded: true });
   });
 
   fileUpload.on('fileerror', (data) => {
@@ -75,6 +77,7 @@ function createFileUploader() {
       ? errors.map(err => `${err.code ? `[${err.code}] ` : ''}${err.message || 'Unknown error'}`).join(', ')
       : String(errors);
     console.error(chalk.red(`✗ Failed: ${fileName} - ${errorMessages}`));
+    emitEvent(EVENTS.ASSET_UPLOAD, { file: fileName, uploaded: false, error: errorMessages });
   });
 
   fileUpload.on('fileuploadstart', (data) => {
@@ -137,6 +140,9 @@ export async function uploadAssets(target, token, assetFolder, fileUploader = nu
     assetRootDir: assetFolder,
     dir: assetFolder,
   });
+  emitEvent(EVENTS.ASSET_UPLOAD_COMPLETE, {
+    target, assetFolder, ok: Boolean(uploadResult?.ok), errorCount: uploadResult?.errors?.length || 0,
+  });
 
   return { uploadResult, renamedFiles };
 }
\ No newline at end of file
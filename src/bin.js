@@ -19,6 +19,29 @@ import { bundleCommand } from './cmd/bundle.js';
 import { uploadCommand } from './cmd/upload.js';
 import { aemCommand } from './cmd/aem.js';
 import { daCommand } from './cmd/da.js';
+import { loadCommandConfig } from './utils/config-utils.js';
+import { recordEvents } from './events.js';
+import { ENV_FILE_NAME, loadEnvFile } from './utils/env-utils.js';
+
+// Load the .env file and look up the config file and profile before the commands are parsed,
+// so their values can be used as defaults which command line flags override
+const preArgs = yargs(hideBin(process.argv)).help(false).version(false).parseSync();
+let commandConfig;
+try {
+  const envFile = preArgs['env-file'];
+  loadEnvFile(envFile || ENV_FILE_NAME, { required: Boolean(envFile) });
+  commandConfig = loadCommandConfig({
+    command: preArgs._[0],
+    profile: preArgs.profile,
+    configPath: preArgs.config,
+  });
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+if (commandConfig.configPath) {
+  console.log(chalk.gray(`Using config file ${commandConfig.configPath}${preArgs.profile ? ` (profile: ${preArgs.profile})` : ''}`));
+}
 
 const argv = yargs(hideBin(process.argv));
 
@@ -31,11 +54,34 @@ daCommand(argv);
 argv
   .scriptName('aem-import-helper')
   .usage('$0 <cmd> [args]')
+  .option('config', {
+    describe: 'path to the config file (default: .aem-import-helper.json, looked up from the working directory)',
+    type: 'string',
+  })
+  .option('profile', {
+    describe: 'name of the config file profile to use',
+    type: 'string',
+  })
+  .option('env-file', {
+    describe: `path to a file of environment variables to load (default: ${ENV_FILE_NAME} in the working directory, if any)`,
+    type: 'string',
+  })
+  .option('events', {
+    describe: 'path to a file to append the lifecycle events (jobs, assets, packages, DA pages) to, as newline-delimited JSON',
+    type: 'string',
+  })
+  .middleware((args) => {
+    if (args.events) {
+      recordEvents(args.events);
+    }
+  })
+  .config(commandConfig.values)
   .strictCommands()
   .demandCommand(1, 'You need at least one command before moving on')
   .help()
   .fail((msg, err, yargs) => {
-    if (err) throw err;
+    // the problems returned by the .check() of a command are passed as err too, as a string
+    if (err instanceof Error) throw err;
     console.error(`${chalk.red('Error:')} ${chalk.red(msg)}`);
     console.log(yargs.help());
     process.exit(1);
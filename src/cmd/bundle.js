@@ -12,7 +12,14 @@
 
 import fs from 'fs';
 import chalk from 'chalk';
-import prepareImportScript from '../import/bundler.js';
+import {
+  bundleImportScript,
+  getBundlePath,
+  parseDefines,
+  printBundleReport,
+  watchImportScript,
+} from '../import/bundler.js';
+import { assertValidImportScript } from '../import/script-validator.js';
 
 export function bundleCommand(yargs) {
   yargs.command({
@@ -25,18 +32,106 @@ export function bundleCommand(yargs) {
           type: 'string',
           demandOption: true,
         })
+        .option('watch', {
+          describe: 'rebuild the bundle whenever the import script or one of its imports changes',
+          type: 'boolean',
+          default: false,
+        })
+        .option('minify', {
+          describe: 'minify the bundle',
+          type: 'boolean',
+          default: false,
+        })
+        .option('sourcemap', {
+          describe: 'generate a source map, either inlined in the bundle or written next to it',
+          type: 'string',
+          choices: ['inline', 'external'],
+        })
+        .option('define', {
+          describe: 'replace a global identifier with a constant at build time, as KEY=VALUE (can be repeated)',
+          type: 'array',
+          string: true,
+        })
+        .option('metafile', {
+          describe: 'path to write the esbuild metafile describing the bundle inputs and outputs to',
+          type: 'string',
+        })
+        .option('analyze', {
+          describe: 'print the bundle size and the modules contributing the most to it',
+          type: 'boolean',
+          default: false,
+        })
+        .option('validate', {
+          describe: 'check that the bundle exports the transformer API expected by the importer, use --no-validate to skip',
+          type: 'boolean',
+          default: true,
+        })
     },
-    handler: (argv) => {
+    handler: async (argv) => {
       const {
         importjs: importJsPath,
+        watch,
+        minify,
+        sourcemap,
+        define,
+        metafile: metafilePath,
+        analyze,
+        validate,
       } = argv;
 
+      const outputPath = getBundlePath(importJsPath);
+      let bundleOptions;
+      try {
+        bundleOptions = {
+          minify,
+          sourcemap,
+          define: parseDefines(define),
+          metafile: Boolean(metafilePath || analyze),
+          outputPath,
+        };
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
+
+      // Validate each bundle and report on it, whether it is built once or on every change
+      const checkBundle = ({ code, metafile }) => {
+        if (validate) {
+          assertValidImportScript(code, importJsPath);
+        }
+        if (metafilePath) {
+          console.log(chalk.yellow(`Writing metafile to ${metafilePath}...`));
+          fs.writeFileSync(metafilePath, JSON.stringify(metafile, null, 2));
+        }
+        if (analyze) {
+          printBundleReport(metafile);
+        }
+      };
+
+      if (watch) {
+        try {
+          console.log(chalk.yellow(`Watching ${importJsPath}, press Ctrl-C to stop...`));
+          const context = await watchImportScript(importJsPath, outputPath, bundleOptions, checkBundle);
+          process.on('SIGINT', async () => {
+            await context.dispose();
+            process.exit(0);
+          });
+        } catch (error) {
+          console.error(chalk.red('Failed to watch import script:', error));
+          process.exit(1);
+        }
+        return;
+      }
+
       try {
         console.log(chalk.yellow(`Bundling ${importJsPath}...`));
-        const bundledCode = prepareImportScript(importJsPath);
-        const outputPath = `${importJsPath.replace(/\.[^/.]+$/, '')}.bundle.js`;
+        const { code, map, metafile } = bundleImportScript(importJsPath, bundleOptions);
+        checkBundle({ code, metafile });
         console.log(chalk.yellow(`Writing to ${outputPath}...`));
-        fs.writeFileSync(outputPath, bundledCode);
+        fs.writeFileSync(outputPath, code);
+        if (map) {
+          fs.writeFileSync(`${outputPath}.map`, map);
+        }
         console.log(chalk.green('Done.'));
       } catch (error) {
         console.error(chalk.red('Failed to bundle import script:', error));
@@ -12,8 +12,138 @@
 
 import fs from 'fs';
 import chalk from 'chalk';
-import { runImportJobAndPoll } from '../import/import-helper.js';
-import { checkEnvironment } from '../utils/env-utils.js';
+import inquirer from 'inquirer';
+import {
+  getJobSnapshot, retryFailedUrls, runImportJobAndPoll, stopImportJob, watchImportJob,
+} from '../import/import-helper.js';
+import {
+  filterJournalEntries, findJournalEntry, getJournalPath, printJournalEntries, printJournalEntry, readJournal,
+} from '../import/job-journal.js';
+import { DEFAULT_PREVIEW_BASE_URL, previewImportScript } from '../import/preview.js';
+import { readUrls, URL_SOURCE_FORMATS } from '../import/url-sources.js';
+import { TRAILING_SLASH_POLICIES } from '../import/url-validator.js';
+import { SERVICE_URL_OPTIONS } from '../utils/env-utils.js';
+import { checkPrerequisites } from '../utils/prerequisites.js';
+import {
+  assertSharePointUploads, getSharePointOptions, SHAREPOINT_OPTIONS,
+} from '../import/sharepoint-uploader.js';
+
+function secondsToMillis(seconds) {
+  return seconds === undefined ? undefined : seconds * 1000;
+}
+
+/**
+ * Check the polling options of a command which waits for a job: 0 would poll without pause,
+ * or give up at once.
+ * @param {object} argv - The parsed arguments
+ * @returns {true|string} True when the options are valid, the problem otherwise, as yargs expects
+ */
+export function checkPollingOptions({ timeout, pollInterval }) {
+  if (timeout !== undefined && !(timeout > 0)) {
+    return '--timeout must be a positive number of seconds';
+  }
+  if (pollInterval !== undefined && !(pollInterval > 0)) {
+    return '--poll-interval must be a positive number of seconds';
+  }
+  return true;
+}
+
+/**
+ * Check the batching options of the import command: a fraction, 0 or NaN would start no job,
+ * or jobs of no URL.
+ * @param {object} argv - The parsed arguments
+ * @returns {true|string} True when the options are valid, the problem otherwise, as yargs expects
+ */
+export function checkBatchOptions({ batchSize, maxConcurrentJobs }) {
+  if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize > 0)) {
+    return '--batch-size must be a positive integer';
+  }
+  if (maxConcurrentJobs !== undefined && !(Number.isInteger(maxConcurrentJobs) && maxConcurrentJobs > 0)) {
+    return '--max-concurrent-jobs must be a positive integer';
+  }
+  return true;
+}
+
+function jobIdPositional(yargs) {
+  return yargs
+    .positional('jobId', {
+      describe: 'ID of an existing import job',
+      type: 'string',
+    })
+    .option('stage', {
+      describe: 'use stage endpoint',
+      type: 'boolean',
+    })
+    .options(SERVICE_URL_OPTIONS);
+}
+
+/**
+ * Check the environment is ready to talk to the import service, with the --api-url and
+ * --labs-url options, and the other prerequisites of the command are met, with the SharePoint
+ * uploader of the command. Exits when they are not.
+ * @param {object} argv - The parsed arguments
+ * @param {object} prerequisites - The other prerequisites of the command, see findMissingPrerequisites
+ */
+function prepareEnvironment(argv, prerequisites = {}) {
+  const { apiUrl, labsUrl, sharepointUploader } = argv;
+  checkPrerequisites({
+    importService: true, serviceUrls: { apiUrl, labsUrl }, sharePointUploader: sharepointUploader, ...prerequisites,
+  });
+}
+
+/**
+ * Handle Ctrl-C while import jobs are being polled. In an interactive terminal the user is
+ * offered to cancel the server-side jobs, otherwise the jobs are left running on the server.
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API
+ * @returns {function} Callback to register each job once it has been started
+ */
+function listenForInterrupt({ stage, apiUrl }) {
+  const jobIds = [];
+  let prompting = false;
+
+  process.on('SIGINT', async () => {
+    if (prompting) {
+      return;
+    }
+    if (jobIds.length === 0) {
+      process.exit(130);
+    }
+    if (!process.stdin.isTTY) {
+      jobIds.forEach((jobId) => {
+        console.log(chalk.yellow(`\nJob ${jobId} may still be running. Stop it with: aem-import-helper import stop ${jobId}`));
+      });
+      process.exit(130);
+    }
+
+    prompting = true;
+    try {
+      const { stop } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'stop',
+        message: `Stop import job(s) ${jobIds.join(', ')} on the server as well?`,
+        default: true,
+      }]);
+      if (stop) {
+        for (const jobId of jobIds) {
+          await stopImportJob({
+            jobId, stage, apiUrl, journalPath: getJournalPath(),
+          });
+        }
+      } else {
+        jobIds.forEach((jobId) => {
+          console.log(chalk.yellow(`Job ${jobId} may still be running. Resume tracking with: aem-import-helper import watch ${jobId}`));
+        });
+      }
+    } catch (error) {
+      // A second Ctrl-C while prompting lands here, leave the jobs as they are
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+    process.exit(130);
+  });
+
+  return (job) => jobIds.push(job.id);
+}
 
 export function importCommand(yargs) {
   yargs.command({
@@ -21,71 +151,527 @@ export function importCommand(yargs) {
     describe: 'Start an import job',
     builder: (yargs) => {
       return yargs
+        .command({
+          command: 'status <jobId>',
+          describe: 'Show the current status and progress of an import job',
+          builder: (yargs) => {
+            return jobIdPositional(yargs)
+              .option('report', {
+                describe: 'path to write the per-URL report of the job to (.json or .csv), '
+                  + 'URLs which were not imported are listed in a failed-urls.txt file next to it',
+                type: 'string',
+              });
+          },
+          handler: async (argv) => {
+            const {
+              jobId, stage, apiUrl, labsUrl, report: reportPath,
+            } = argv;
+
+            prepareEnvironment(argv);
+
+            try {
+              await getJobSnapshot({
+                jobId, stage, apiUrl, labsUrl, reportPath, journalPath: getJournalPath(),
+              });
+            } catch (error) {
+              console.error(chalk.red(`Error: ${error.message}`));
+              process.exit(1);
+            }
+          },
+        })
+        .command({
+          command: 'watch <jobId>',
+          describe: 'Re-attach to an import job and poll until it completes',
+          builder: (yargs) => {
+            return jobIdPositional(yargs)
+              .option('sharepointurl', {
+                describe: 'SharePoint URL to upload imported files to',
+                type: 'string',
+              })
+              .options(SHAREPOINT_OPTIONS)
+              .option('download', {
+                describe: 'directory to download the import archive to',
+                type: 'string',
+              })
+              .option('extract', {
+                describe: 'extract the downloaded import archive (use --no-extract to keep the .zip file)',
+                type: 'boolean',
+                default: true,
+              })
+              .option('timeout', {
+                describe: 'maximum time to wait for the job to finish, in seconds',
+                type: 'number',
+              })
+              .option('poll-interval', {
+                describe: 'time to wait between two job status requests, in seconds',
+                type: 'number',
+                default: 5,
+              })
+              .check(checkPollingOptions, false);
+          },
+          handler: async (argv) => {
+            const {
+              jobId,
+              sharepointurl: sharePointUploadUrl,
+              download: downloadDir,
+              extract,
+              stage,
+              apiUrl,
+              labsUrl,
+              timeout,
+              pollInterval,
+            } = argv;
+
+            prepareEnvironment(argv, { sharePoint: Boolean(sharePointUploadUrl) });
+
+            try {
+              const { sharePointManifest } = await watchImportJob({
+                jobId,
+                sharePointUploadUrl,
+                sharePointOptions: getSharePointOptions(argv),
+                downloadDir,
+                extract,
+                stage,
+                apiUrl,
+                labsUrl,
+                timeout: secondsToMillis(timeout),
+                pollInterval: secondsToMillis(pollInterval),
+                journalPath: getJournalPath(),
+              });
+              assertSharePointUploads([sharePointManifest]);
+              console.log(chalk.green('Done.'));
+            } catch (error) {
+              console.error(chalk.red(`Error: ${error.message}`));
+              process.exit(1);
+            }
+          },
+        })
+        .command({
+          command: 'stop <jobId>',
+          describe: 'Stop a running import job',
+          builder: jobIdPositional,
+          handler: async (argv) => {
+            const { jobId, stage, apiUrl } = argv;
+
+            prepareEnvironment(argv);
+
+            try {
+              await stopImportJob({
+                jobId, stage, apiUrl, journalPath: getJournalPath(),
+              });
+            } catch (error) {
+              console.error(chalk.red(`Error: ${error.message}`));
+              process.exit(1);
+            }
+          },
+        })
+        .command({
+          command: 'jobs [jobId]',
+          describe: 'List the import jobs started from this directory, or show the details of one of them',
+          builder: (yargs) => {
+            return yargs
+              .positional('jobId', {
+                describe: 'ID, or beginning of the ID, of a job to show the details of',
+                type: 'string',
+              })
+              .option('status', {
+                describe: 'only list the jobs with this status (e.g. RUNNING, COMPLETE, FAILED, STOPPED)',
+                type: 'string',
+              })
+              // not --urls, --importjs or --stage: the config file may set those for the import command
+              .option('urls-file', {
+                describe: 'only list the jobs started with a URLs file whose path contains this text',
+                type: 'string',
+              })
+              .option('script', {
+                describe: 'only list the jobs started with an import script whose path or hash contains this text',
+                type: 'string',
+              })
+              .option('endpoint', {
+                describe: 'only list the jobs run against this endpoint, custom for the jobs run with --api-url',
+                choices: ['stage', 'production', 'custom'],
+              })
+              .option('since', {
+                describe: 'only list the jobs started on or after this date (e.g. 2026-01-31)',
+                type: 'string',
+              })
+              .option('limit', {
+                describe: 'maximum number of jobs to list, newest first (0 for all)',
+                type: 'number',
+                default: 20,
+              })
+              .option('json', {
+                describe: 'print the jobs as JSON',
+                type: 'boolean',
+                default: false,
+              });
+          },
+          handler: (argv) => {
+            const {
+              jobId, status, urlsFile, script, endpoint, since, limit, json,
+            } = argv;
+
+            try {
+              const jobs = readJournal(getJournalPath());
+              if (jobId) {
+                const job = findJournalEntry(jobs, jobId);
+                if (!job) {
+                  throw new Error(`Job ${jobId} not found in ${getJournalPath()}`);
+                }
+                if (json) {
+                  console.log(JSON.stringify(job, null, 2));
+                } else {
+                  printJournalEntry(job);
+                }
+                return;
+              }
+
+              const sinceDate = since ? new Date(since) : undefined;
+              if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+                throw new Error(`Invalid date "${since}"`);
+              }
+              const matches = filterJournalEntries(jobs, {
+                status,
+                urls: urlsFile,
+                importJs: script,
+                endpoint,
+                since: sinceDate,
+                limit,
+              });
+              if (json) {
+                console.log(JSON.stringify(matches, null, 2));
+              } else {
+                printJournalEntries(matches);
+              }
+            } catch (error) {
+              console.error(chalk.red(`Error: ${error.message}`));
+              process.exit(1);
+            }
+          },
+        })
+        .command({
+          command: 'preview <html..>',
+          describe: 'Run an import script locally against saved HTML files, without the import service',
+          builder: (yargs) => {
+            return yargs
+              .positional('html', {
+                describe: 'HTML files, or directories containing HTML files',
+                type: 'string',
+              })
+              .option('importjs', {
+                describe: 'path to import script',
+                type: 'string',
+                demandOption: true,
+              })
+              .option('output', {
+                describe: 'directory to write the transformed documents and the preview report to',
+                type: 'string',
+                default: 'preview',
+              })
+              .option('base-url', {
+                describe: 'URL the HTML files are previewed as, each file is previewed as <base-url>/<file name>',
+                type: 'string',
+                default: DEFAULT_PREVIEW_BASE_URL,
+              });
+          },
+          handler: async (argv) => {
+            const {
+              html: htmlPaths,
+              importjs: importJsPath,
+              output: outputDir,
+              baseUrl,
+            } = argv;
+
+            try {
+              const { reportPath, results } = await previewImportScript({
+                importJsPath, htmlPaths, outputDir, baseUrl,
+              });
+              console.log(chalk.yellow(`Preview report written to ${reportPath}`));
+
+              const failed = results.filter((result) => result.error);
+              if (failed.length > 0) {
+                console.error(chalk.red(`${failed.length} of ${results.length} HTML files could not be transformed`));
+                process.exit(1);
+              }
+              console.log(chalk.green('Done.'));
+            } catch (error) {
+              console.error(chalk.red(`Error: ${error.message}`));
+              process.exit(1);
+            }
+          },
+        })
         .option('urls', {
-          describe: 'path to urls file',
+          describe: 'path to urls file (text, sitemap.xml, CSV or JSON), required unless --retry-failed is used',
           type: 'string',
-          demandOption: true,
+          global: false,
+        })
+        .option('retry-failed', {
+          describe: 'ID of a finished job to import the failed URLs of again, with the same options, '
+            + 'import script and xwalk files unless they are supplied again',
+          type: 'string',
+          global: false,
+        })
+        .option('urls-format', {
+          describe: 'format of the urls file, detected from its extension and content by default',
+          choices: Object.values(URL_SOURCE_FORMATS),
+          global: false,
+        })
+        .option('url-column', {
+          describe: 'CSV column (name or 0-based index) or JSON property holding the URLs',
+          type: 'string',
+          global: false,
+        })
+        .option('include', {
+          describe: 'only import URLs matching one of these glob or /regex/ patterns',
+          type: 'array',
+          string: true,
+          global: false,
+        })
+        .option('exclude', {
+          describe: 'skip URLs matching one of these glob or /regex/ patterns',
+          type: 'array',
+          string: true,
+          global: false,
+        })
+        .option('trailing-slash', {
+          describe: 'trailing slash policy applied to the URLs',
+          choices: Object.values(TRAILING_SLASH_POLICIES),
+          default: TRAILING_SLASH_POLICIES.KEEP,
+          global: false,
+        })
+        .option('allowed-hosts', {
+          describe: 'hosts the URLs may belong to, URLs of other hosts are invalid',
+          type: 'array',
+          string: true,
+          global: false,
+        })
+        .option('strict', {
+          describe: 'abort when any of the URLs is invalid',
+          type: 'boolean',
+          default: false,
+          global: false,
+        })
+        .option('url-report', {
+          describe: 'path to write the URL validation report (JSON) to',
+          type: 'string',
+          global: false,
+        })
+        .option('report', {
+          describe: 'path to write the per-URL report of the job(s) to (.json or .csv), '
+            + 'URLs which were not imported are listed in a failed-urls.txt file next to it',
+          type: 'string',
+          global: false,
         })
         .option('options', {
           describe: 'options as a JSON string',
           type: 'string',
+          global: false,
+        })
+        .option('options-file', {
+          describe: 'path to a JSON file with options, merged with (and overridden by) --options',
+          type: 'string',
+          global: false,
         })
         .option('importjs', {
           describe: 'path to import script',
           type: 'string',
+          global: false,
+        })
+        .option('validate', {
+          describe: 'check the import script and the xwalk component files before creating the job, use --no-validate to skip',
+          type: 'boolean',
+          default: true,
+          global: false,
         })
         .option('models', {
           describe: 'path to component-models.json file',
           type: 'string',
+          global: false,
         })
         .option('filters', {
           describe: 'path to component-filters.json file',
           type: 'string',
+          global: false,
         })
         .option('definitions', {
           describe: 'path to component-definition.json file',
           type: 'string',
+          global: false,
         })
         .option('sharepointurl', {
           describe: 'SharePoint URL to upload imported files to',
           type: 'string',
+          global: false,
+        })
+        .options(SHAREPOINT_OPTIONS)
+        .option('download', {
+          describe: 'directory to download the import archive to',
+          type: 'string',
+          global: false,
+        })
+        .option('extract', {
+          describe: 'extract the downloaded import archive (use --no-extract to keep the .zip file)',
+          type: 'boolean',
+          default: true,
+          global: false,
         })
         .option('stage', {
           describe: 'use stage endpoint',
           type: 'boolean',
-        });
+          global: false,
+        })
+        .options(SERVICE_URL_OPTIONS)
+        .option('timeout', {
+          describe: 'maximum time to wait for the job to finish, in seconds',
+          type: 'number',
+          global: false,
+        })
+        .option('poll-interval', {
+          describe: 'time to wait between two job status requests, in seconds',
+          type: 'number',
+          default: 5,
+          global: false,
+        })
+        .option('batch-size', {
+          describe: 'split the URLs into several jobs of at most this many URLs',
+          type: 'number',
+          global: false,
+        })
+        .option('max-concurrent-jobs', {
+          describe: 'maximum number of jobs running at the same time when using --batch-size',
+          type: 'number',
+          default: 1,
+          global: false,
+        })
+        .check((argv) => {
+          const problem = [checkPollingOptions(argv), checkBatchOptions(argv)].find((result) => result !== true);
+          return problem || true;
+        }, false);
     },
     handler: async (argv) => {
       const {
         urls: urlsPath,
+        urlsFormat,
+        urlColumn,
+        include,
+        exclude,
+        trailingSlash,
+        allowedHosts,
+        strict,
+        urlReport: urlReportPath,
+        report: reportPath,
         options: optionsString,
+        optionsFile,
         importjs: importJsPath,
+        validate,
         models: modelsPath,
         filters: filtersPath,
         definitions: definitionsPath,
         sharepointurl: sharePointUploadUrl,
+        download: downloadDir,
+        extract,
         stage,
+        apiUrl,
+        labsUrl,
+        timeout,
+        pollInterval,
+        batchSize,
+        maxConcurrentJobs,
+        retryFailed,
       } = argv;
 
-      checkEnvironment(process.env);
-
-      // Read URLs from the file
-      const urls = fs.readFileSync(urlsPath, 'utf8').split('\n').filter(Boolean);
+      if (!urlsPath && !retryFailed) {
+        console.error(chalk.red('Error: Missing required argument: urls'));
+        process.exit(1);
+      }
 
-      // Parse the options object
+      // Parse the options object, which may come from a file, the command line or the config file.
+      // A missing options file is reported with the other prerequisites below.
       let options;
+      if (optionsFile && fs.existsSync(optionsFile)) {
+        try {
+          options = JSON.parse(fs.readFileSync(optionsFile, 'utf8'));
+        } catch (error) {
+          console.error(chalk.red(`Error: Invalid options file ${optionsFile}: ${error.message}`));
+          process.exit(1);
+        }
+      }
       if (optionsString) {
         try {
-          options = JSON.parse(optionsString);
+          const inlineOptions = typeof optionsString === 'object' ? optionsString : JSON.parse(optionsString);
+          options = { ...options, ...inlineOptions };
         } catch (error) {
           console.error(chalk.red('Error: Invalid options JSON.'));
           process.exit(1);
         }
       }
 
+      // The component files of an xwalk import may be recorded in the journal when retrying a job
+      const xwalkRequired = options?.type === 'xwalk' && !retryFailed;
+      const xwalkFile = (filePath, name, flag) => ({
+        path: filePath,
+        label: `${name} file`,
+        requiredMessage: xwalkRequired && `You must provide a ${name} file (--${flag}) when performing an xwalk import`,
+      });
+      prepareEnvironment(argv, {
+        files: [
+          { path: retryFailed ? undefined : urlsPath, label: 'URLs file' },
+          { path: optionsFile, label: 'Options file' },
+          { path: importJsPath, label: 'Import script' },
+          xwalkFile(modelsPath, 'component-models.json', 'models'),
+          xwalkFile(filtersPath, 'component-filters.json', 'filters'),
+          xwalkFile(definitionsPath, 'component-definition.json', 'definitions'),
+        ],
+        sharePoint: Boolean(sharePointUploadUrl),
+      });
+
+      // Read URLs from the file, unless the failed URLs of a previous job are retried
+      let urls;
+      if (!retryFailed) {
+        try {
+          urls = await readUrls(urlsPath, {
+            format: urlsFormat, urlColumn, include, exclude,
+          });
+        } catch (error) {
+          console.error(chalk.red(`Error: Unable to read URLs from ${urlsPath}: ${error.message}`));
+          process.exit(1);
+        }
+      }
+
       // Run the import job
       try {
-        await runImportJobAndPoll({ urls, options, importJsPath, sharePointUploadUrl, stage, modelsPath, filtersPath, definitionsPath } );
+        const onJobStarted = listenForInterrupt({ stage, apiUrl });
+        const importParams = {
+          trailingSlash,
+          allowedHosts,
+          strict,
+          urlReportPath,
+          reportPath,
+          options,
+          importJsPath,
+          validateImportScript: validate,
+          sharePointUploadUrl,
+          sharePointOptions: getSharePointOptions(argv),
+          downloadDir,
+          extract,
+          stage,
+          apiUrl,
+          labsUrl,
+          timeout: secondsToMillis(timeout),
+          pollInterval: secondsToMillis(pollInterval),
+          batchSize,
+          maxConcurrentJobs,
+          modelsPath,
+          filtersPath,
+          definitionsPath,
+          validateXwalk: validate,
+          onJobStarted,
+          journalPath: getJournalPath(),
+        };
+        const { jobs } = retryFailed
+          ? await retryFailedUrls({ jobId: retryFailed, ...importParams })
+          : { jobs: await runImportJobAndPoll({ urls, urlsPath, ...importParams }) };
+        assertSharePointUploads(jobs.map((job) => job.sharePointManifest));
         console.log(chalk.green('Done.'));
       } catch(error) {
         console.error(chalk.red(`Error: ${error.message}`));
@@ -12,39 +12,132 @@
 
 import chalk from 'chalk';
 import { uploadJobResult } from '../import/import-helper.js';
-import { checkEnvironment } from '../utils/env-utils.js';
+import { getJournalPath } from '../import/job-journal.js';
+import { SERVICE_URL_OPTIONS } from '../utils/env-utils.js';
+import { checkPrerequisites } from '../utils/prerequisites.js';
+import {
+  assertSharePointUploads,
+  getSharePointOptions,
+  SHAREPOINT_OPTIONS,
+  uploadArchiveToSharePoint,
+  uploadDirectoryToSharePoint,
+} from '../import/sharepoint-uploader.js';
+
+/**
+ * Find what is wrong with the combination of options: the documents come from exactly one of
+ * an import job, a local archive or a local folder, and local documents can only be uploaded.
+ * @param {object} argv - The parsed arguments
+ * @returns {string|undefined} The problem, if any
+ */
+function findUsageProblem({
+  jobid: jobId, archive, dir, sharepointurl: sharePointUploadUrl, download,
+}) {
+  if ([jobId, archive, dir].filter(Boolean).length !== 1) {
+    return 'Provide one of --jobid, --archive or --dir';
+  }
+  if (jobId && !sharePointUploadUrl && !download) {
+    return 'Provide --sharepointurl and/or --download';
+  }
+  if (!jobId && !sharePointUploadUrl) {
+    return 'Provide --sharepointurl to upload a local archive or folder';
+  }
+  if (!jobId && download) {
+    return '--download can only be used with --jobid';
+  }
+  return undefined;
+}
 
 export function uploadCommand(yargs) {
   yargs.command({
     command: 'upload',
-    describe: 'Upload the result of an import job',
+    describe: 'Upload the result of an import job, a local import archive or a local folder to SharePoint, '
+      + 'or download the result of an import job locally',
     builder: (yargs) => {
       return yargs
         .option('jobid', {
           describe: 'ID of the job to upload',
           type: 'string',
         })
+        .option('archive', {
+          describe: 'path to a local import archive (.zip) to upload instead of the result of a job',
+          type: 'string',
+        })
+        .option('dir', {
+          describe: 'path to a local folder of documents to upload instead of the result of a job, '
+            + 'e.g. the docx folder of an extracted import archive',
+          type: 'string',
+        })
         .option('sharepointurl', {
           describe: 'SharePoint URL to upload imported files to',
           type: 'string',
         })
+        .options(SHAREPOINT_OPTIONS)
+        .option('download', {
+          describe: 'directory to download the import archive to',
+          type: 'string',
+        })
+        .option('extract', {
+          describe: 'extract the downloaded import archive (use --no-extract to keep the .zip file)',
+          type: 'boolean',
+          default: true,
+        })
         .option('stage', {
           describe: 'use stage endpoint',
           type: 'boolean',
-        });
+        })
+        .options(SERVICE_URL_OPTIONS);
     },
     handler: async (argv) => {
       const {
         jobid: jobId,
+        archive: archivePath,
+        dir: dirPath,
         sharepointurl: sharePointUploadUrl,
+        download: downloadDir,
+        extract,
         stage,
+        apiUrl,
+        labsUrl,
+        sharepointUploader,
       } = argv;
 
-      checkEnvironment(process.env);
+      const usageProblem = findUsageProblem(argv);
+      if (usageProblem) {
+        console.error(chalk.red(`Error: ${usageProblem}`));
+        process.exit(1);
+      }
+
+      // Local archives and folders are uploaded without the import service
+      checkPrerequisites({
+        importService: Boolean(jobId),
+        serviceUrls: { apiUrl, labsUrl },
+        sharePoint: Boolean(sharePointUploadUrl),
+        sharePointUploader: sharepointUploader,
+        files: [{ path: archivePath, label: 'Import archive' }],
+        directories: [{ path: dirPath, label: 'Documents folder' }],
+      });
 
       // Process the upload request
       try {
-        await uploadJobResult({ jobId, sharePointUploadUrl, stage });
+        const sharePointOptions = getSharePointOptions(argv);
+        let manifest;
+        if (jobId) {
+          ({ sharePointManifest: manifest } = await uploadJobResult({
+            jobId,
+            sharePointUploadUrl,
+            sharePointOptions,
+            downloadDir,
+            extract,
+            stage,
+            apiUrl,
+            journalPath: getJournalPath(),
+          }));
+        } else {
+          manifest = archivePath
+            ? await uploadArchiveToSharePoint(archivePath, sharePointUploadUrl, sharePointOptions)
+            : await uploadDirectoryToSharePoint(dirPath, sharePointUploadUrl, sharePointOptions);
+        }
+        assertSharePointUploads([manifest]);
         console.log(chalk.green('Done.'));
       } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
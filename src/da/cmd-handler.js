@@ -14,27 +14,30 @@ import chalk from 'chalk';
 import fetch from 'node-fetch';
 import { processPages } from './da-helper.js';
 import { buildDaListUrl } from './url-utils.js';
-import { validateLocalAssetsPath } from '../utils/fileUtils.js';
+import { assertPrerequisites } from '../utils/prerequisites.js';
+import { AuthenticationError, UploadError } from '../errors.js';
 
 /**
- * Validate the existence of the asset-list.json and HTML folder.
+ * Validate the existence of the input files and folders, reporting all the missing ones at once.
  * @param {string} assetListFile - The path to the asset-list.json file
  * @param {string} daFolder - The path to the HTML folder
- * @return {boolean} True if the files exist, false otherwise
+ * @param {string} token - The DA authentication token, or the path to a file containing it
+ * @param {string} localAssets - The path to the local assets folder, if any
+ * @throws {ValidationError} If a file or folder does not exist
  */
-function validateFiles(assetListFile, daFolder) {
-  // Check if asset list file exists and is a file
-  if (!fs.existsSync(assetListFile) || !fs.statSync(assetListFile).isFile()) {
-    console.error(chalk.red(`asset-list.json file not found: ${assetListFile}`));
-    return false;
-  }
-
-  // Check if DA folder exists and is a directory
-  if (!fs.existsSync(daFolder) || !fs.statSync(daFolder).isDirectory()) {
-    console.error(chalk.red(`DA folder not found or not a directory: ${daFolder}`));
-    return false;
-  }
-  return true;
+function validateFiles(assetListFile, daFolder, token, localAssets) {
+  assertPrerequisites({
+    files: [{
+      path: assetListFile,
+      label: 'asset-list.json file',
+      requiredMessage: 'asset-list.json file not found: no path given',
+    }],
+    directories: [
+      { path: daFolder, label: 'DA folder', requiredMessage: 'DA folder not found or not a directory: no path given' },
+      { path: localAssets, label: 'Local assets folder' },
+    ],
+    tokens: [{ value: token, label: 'Token' }],
+  });
 }
 
 /**
@@ -128,26 +131,44 @@ export const daBuilder = (yargs) => {
     });
 }
 
-export const daHandler = async (args) => {
-  if (!validateFiles(args['asset-list'], args['da-folder'])) {
-    process.exit(1);
-  }
+/**
+ * Upload the HTML pages of a DA folder, and the assets they reference, to a DA site.
+ * @param {string} org - The organization
+ * @param {string} site - The name of the site
+ * @param {string} assetList - Path to the asset-list.json file
+ * @param {string} daFolder - Path to the DA folder
+ * @param {string} output - Folder where the DA content (pages, assets, etc.) is stored
+ * @param {string} token - DA authentication token or path to a file containing it (optional)
+ * @param {boolean} imagesToPng - Convert downloaded images to PNG and update references to .png
+ * @param {boolean} keep - Keep downloaded/processed DA assets and HTML on local disk after upload
+ * @param {string} localAssets - Optional path to a local assets folder
+ * @returns {Promise<{results: Array<object>}>} The result of each processed file, see processPages
+ * @throws {ValidationError} If an input file or folder is invalid
+ * @throws {AuthenticationError} If the site cannot be accessed with the given token
+ * @throws {UploadError} If the content cannot be processed or uploaded
+ */
+export async function uploadToDa({
+  org,
+  site,
+  assetList,
+  daFolder,
+  output = 'da-content',
+  token: tokenOrPath,
+  imagesToPng = true,
+  keep = false,
+  localAssets,
+}) {
+  validateFiles(assetList, daFolder, tokenOrPath, localAssets);
 
-  // Validate local-assets path if provided
-  if (args['local-assets']) {
-    const validation = validateLocalAssetsPath(args['local-assets']);
-    if (!validation.valid) {
-      console.error(chalk.red(validation.message));
-      process.exit(1);
-    }
-    console.log(chalk.yellow(`Using local assets from: ${args['local-assets']}`));
+  if (localAssets) {
+    console.log(chalk.yellow(`Using local assets from: ${localAssets}`));
   }
 
   // Construct the list URL for validation
-  const listUrl = buildDaListUrl(args.org, args.site);
+  const listUrl = buildDaListUrl(org, site);
 
   // Handle token (optional)
-  let token = args.token;
+  let token = tokenOrPath;
 
   if (token) {
     // Check if it's a file path (exists as a file)
@@ -161,10 +182,9 @@ export const daHandler = async (args) => {
 
   if (!validation.success) {
     if (validation.tokenRequired) {
-      console.error(chalk.red('This site requires authentication. Please re-run the command with a valid IMS token.'));
-      console.error(chalk.yellow('Example: --token "your-token-here" or --token "/path/to/token-file"'));
+      throw new AuthenticationError('This site requires authentication. Please re-run the command with a valid IMS token.');
     }
-    process.exit(1);
+    throw new AuthenticationError(`Unable to access the DA site ${org}/${site}`);
   }
 
   if (token) {
@@ -175,7 +195,7 @@ export const daHandler = async (args) => {
 
   try {
     // Read and parse the asset list JSON file
-    const assetListJson = JSON.parse(fs.readFileSync(args['asset-list'], 'utf-8'));
+    const assetListJson = JSON.parse(fs.readFileSync(assetList, 'utf-8'));
 
     // Extract the assets array from the JSON structure
     const assetUrls = new Set(assetListJson.assets || []);
@@ -193,23 +213,44 @@ export const daHandler = async (args) => {
       );
     }
 
-    await processPages(
-      args.org,
-      args.site,
+    const results = await processPages(
+      org,
+      site,
       assetUrls,
       siteOrigin,
-      args['da-folder'],
-      args['output'],
+      daFolder,
+      output,
       token,
-      args.keep,
-      { 
-        imagesToPng: args['images-to-png'],
-        localAssetsPath: args['local-assets'],
+      keep,
+      {
+        imagesToPng,
+        localAssetsPath: localAssets,
       },
     );
+    return { results };
+  } catch (err) {
+    throw new UploadError(`Error during processing: ${err.message}`, { cause: err });
+  }
+}
 
+export const daHandler = async (args) => {
+  try {
+    await uploadToDa({
+      org: args.org,
+      site: args.site,
+      assetList: args['asset-list'],
+      daFolder: args['da-folder'],
+      output: args['output'],
+      token: args.token,
+      imagesToPng: args['images-to-png'],
+      keep: args.keep,
+      localAssets: args['local-assets'],
+    });
   } catch (err) {
-    console.error(chalk.red('Error during processing:', err));
+    console.error(chalk.red(err.message));
+    if (err instanceof AuthenticationError && !args.token) {
+      console.error(chalk.yellow('Example: --token "your-token-here" or --token "/path/to/token-file"'));
+    }
     process.exit(1);
   }
   console.log(chalk.green('Assets processed and uploaded successfully.'));
@@ -14,6 +14,7 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import { getAllFiles, uploadFolder } from './upload.js';
+import { EVENTS, emitEvent } from '../events.js';
 
 // Import functions from modular components
 import {
@@ -324,6 +325,9 @@ export async function processPages(
             uploaded: true,
             assetStats: processedStats,
           });
+          emitEvent(EVENTS.DA_PAGE_PROCESSED, {
+            org, site, filePath: htmlFile, uploaded: true, assetStats: processedStats,
+          });
         } catch (error) {
           console.error(chalkDep.red(`Error processing ${htmlFile}: `, error.message));
           // Add error result for HTML file
@@ -333,6 +337,9 @@ export async function processPages(
             uploaded: false,
             assetStats: { assetReferences: 0, uniqueAssets: 0, copiedAssets: 0, downloadedAssets: 0 },
           });
+          emitEvent(EVENTS.DA_PAGE_PROCESSED, {
+            org, site, filePath: htmlFile, uploaded: false, error: error.message,
+          });
           throw error;
         }
       }
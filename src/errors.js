@@ -0,0 +1,95 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Base class of the errors thrown by the helper, so that callers of the API can tell them
+ * apart from unexpected failures. The code is stable and can be used to branch on.
+ */
+export class ImportHelperError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {string} code - A stable identifier of the kind of error
+   * @param {Error} cause - Optional underlying error
+   */
+  constructor(message, { code = 'IMPORT_HELPER_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ImportHelperError';
+    this.code = code;
+  }
+}
+
+/**
+ * The environment is missing something required, e.g. the AEM_IMPORT_API_KEY variable.
+ */
+export class ConfigurationError extends ImportHelperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIGURATION_ERROR', ...options });
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * An input is invalid: a missing file, an invalid import script, invalid component files, etc.
+ */
+export class ValidationError extends ImportHelperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', ...options });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Credentials were rejected: a token by AEM or DA, or the sign in or access token of a SharePoint
+ * upload. No other request with the same credentials can succeed.
+ */
+export class AuthenticationError extends ImportHelperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'AUTHENTICATION_ERROR', ...options });
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The import script could not be bundled.
+ */
+export class BundleError extends ImportHelperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'BUNDLE_ERROR', ...options });
+    this.name = 'BundleError';
+  }
+}
+
+/**
+ * One or more import jobs did not complete successfully.
+ */
+export class ImportJobError extends ImportHelperError {
+  /**
+   * @param {string} message - The error message
+   * @param {Array<object>} jobs - The jobs of the run, see runImportJobAndPoll
+   * @param {Error} cause - Optional underlying error
+   */
+  constructor(message, { jobs = [], cause } = {}) {
+    super(message, { code: 'IMPORT_JOB_ERROR', cause });
+    this.name = 'ImportJobError';
+    this.jobs = jobs;
+  }
+}
+
+/**
+ * Content could not be uploaded to its destination (AEM, DA or SharePoint).
+ */
+export class UploadError extends ImportHelperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPLOAD_ERROR', ...options });
+    this.name = 'UploadError';
+  }
+}
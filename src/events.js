@@ -10,5 +10,48 @@
  * governing permissions and limitations under the License.
  */
 import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
 
 export const helperEvents = new EventEmitter();
+
+// The lifecycle events emitted on helperEvents
+export const EVENTS = {
+  JOB_STARTED: 'job:started',
+  JOB_PROGRESS: 'job:progress',
+  JOB_COMPLETED: 'job:completed',
+  ASSET_DOWNLOAD_START: 'asset:download:start',
+  ASSET_DOWNLOAD_END: 'asset:download:end',
+  ASSET_DOWNLOAD_FAIL: 'asset:download:fail',
+  ASSET_UPLOAD: 'asset:upload',
+  ASSET_UPLOAD_COMPLETE: 'asset:upload:complete',
+  PACKAGE_INSTALLED: 'package:installed',
+  DA_PAGE_PROCESSED: 'da:page:processed',
+};
+
+/**
+ * Emit a lifecycle event on helperEvents. Listeners receive the event type, the time it was
+ * emitted and the given data in a single object.
+ * @param {string} type - The event type, one of EVENTS
+ * @param {object} data - The details of the event
+ * @returns {object} The emitted event
+ */
+export function emitEvent(type, data = {}) {
+  const event = { type, timestamp: new Date().toISOString(), ...data };
+  helperEvents.emit(type, event);
+  return event;
+}
+
+/**
+ * Append every lifecycle event to a file, as newline-delimited JSON (one event per line). The
+ * events are written synchronously, so that none is lost when the process exits right after.
+ * @param {string} eventsPath - Path of the file to append the events to
+ * @returns {function} A function which stops recording the events
+ */
+export function recordEvents(eventsPath) {
+  fs.mkdirSync(path.dirname(path.resolve(eventsPath)), { recursive: true });
+  const write = (event) => fs.appendFileSync(eventsPath, `${JSON.stringify(event)}\n`);
+  const types = Object.values(EVENTS);
+  types.forEach((type) => helperEvents.on(type, write));
+  return () => types.forEach((type) => helperEvents.off(type, write));
+}
@@ -9,31 +9,214 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import fs from 'fs';
 import esbuild from 'esbuild';
+import chalk from 'chalk';
+import { BundleError } from '../errors.js';
 
 /**
- * Prepares the given import script by bundling it up.
+ * The esbuild options used to bundle an import script.
  * @param {string} importJsPath - Path on the filesystem to the import.js entry point
- * @returns {string} - import.js bundle
+ * @param {object} bundleOptions - Optional bundle options, see bundleImportScript
+ * @returns {object}
+ */
+function getBuildOptions(importJsPath, {
+  minify, sourcemap, define, metafile, outputPath,
+} = {}) {
+  const buildOptions = {
+    entryPoints: [importJsPath],
+    bundle: true,
+    write: false,
+    globalName: 'CustomImportScript',
+    format: 'iife',
+    platform: 'browser',
+    target: ['es2015'],
+    banner: { js: '/* eslint-disable */' },
+  };
+
+  if (minify) {
+    buildOptions.minify = true;
+  }
+  if (sourcemap) {
+    if (sourcemap === 'external') {
+      // write the source map to its own file and reference it from the bundle,
+      // esbuild needs the output file name to do so
+      buildOptions.sourcemap = 'linked';
+      buildOptions.outfile = outputPath || getBundlePath(importJsPath);
+    } else {
+      buildOptions.sourcemap = sourcemap;
+    }
+  }
+  if (define && Object.keys(define).length > 0) {
+    buildOptions.define = define;
+  }
+  if (metafile) {
+    buildOptions.metafile = true;
+  }
+  return buildOptions;
+}
+
+/**
+ * Parse KEY=VALUE build-time constants into esbuild define entries. Values which are valid
+ * JSON (numbers, booleans, quoted strings, ...) are used as is, anything else is a string.
+ * @param {Array<string>} definitions - The KEY=VALUE definitions
+ * @returns {object}
+ */
+export function parseDefines(definitions = []) {
+  return Object.fromEntries(definitions.map((definition) => {
+    const separator = definition.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid define "${definition}", expected KEY=VALUE`);
+    }
+    const key = definition.slice(0, separator).trim();
+    const value = definition.slice(separator + 1);
+    try {
+      JSON.parse(value);
+      return [key, value];
+    } catch (error) {
+      return [key, JSON.stringify(value)];
+    }
+  }));
+}
+
+/**
+ * List the modules contributing the most to the size of a bundle.
+ * @param {object} metafile - The esbuild metafile of the bundle
+ * @param {number} limit - Maximum number of modules to list
+ * @returns {{totalBytes: number, modules: Array<{path: string, bytes: number, percent: number}>}}
+ */
+export function analyzeBundle(metafile, limit = 10) {
+  const output = Object.values(metafile.outputs).find((entry) => entry.entryPoint);
+  const inputs = Object.entries(output.inputs || {})
+    .map(([inputPath, { bytesInOutput }]) => ({ path: inputPath, bytes: bytesInOutput }));
+  const totalBytes = output.bytes;
+  const modules = inputs
+    .sort((a, b) => b.bytes - a.bytes)
+    .slice(0, limit)
+    .map((module) => ({ ...module, percent: totalBytes ? (module.bytes / totalBytes) * 100 : 0 }));
+  return { totalBytes, modules };
+}
+
+/**
+ * Get the path the bundle of an import script is written to: next to the import script,
+ * with a .bundle.js extension.
+ * @param {string} importJsPath - Path on the filesystem to the import.js entry point
+ * @returns {string}
+ */
+export function getBundlePath(importJsPath) {
+  return `${importJsPath.replace(/\.[^/.]+$/, '')}.bundle.js`;
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Print the size of a bundle and the modules contributing the most to it.
+ * @param {object} metafile - The esbuild metafile of the bundle
+ * @param {number} limit - Maximum number of modules to list
+ */
+export function printBundleReport(metafile, limit = 10) {
+  const { totalBytes, modules } = analyzeBundle(metafile, limit);
+  console.log(chalk.yellow(`Bundle size: ${formatSize(totalBytes)}, largest modules:`));
+  modules.forEach(({ path: modulePath, bytes, percent }) => {
+    console.log(`  ${formatSize(bytes).padStart(10)}  ${percent.toFixed(1).padStart(5)}%  ${modulePath}`);
+  });
+}
+
+/**
+ * Bundle the given import script.
+ * @param {string} importJsPath - Path on the filesystem to the import.js entry point
+ * @param {object} bundleOptions - Optional bundle options
+ * @param {boolean} bundleOptions.minify - Minify the bundle
+ * @param {string} bundleOptions.sourcemap - Generate a source map, either 'inline' or 'external'
+ * @param {object} bundleOptions.define - Build-time constants, see parseDefines
+ * @param {boolean} bundleOptions.metafile - Generate the esbuild metafile describing the bundle
+ * @param {string} bundleOptions.outputPath - Path the bundle will be written to, used to reference an external source map
+ * @returns {{code: string, map: string|undefined, metafile: object|undefined}}
  */
-function prepareImportScript(importJsPath) {
+export function bundleImportScript(importJsPath, bundleOptions = {}) {
   try {
-    const bundle = esbuild.buildSync({
-      entryPoints: [importJsPath],
-      bundle: true,
-      write: false,
-      globalName: 'CustomImportScript',
-      format: 'iife',
-      platform: 'browser',
-      target: ['es2015'],
-      banner: { js: '/* eslint-disable */' },
-    });
-
-    return bundle.outputFiles[0].text;
+    const bundle = esbuild.buildSync(getBuildOptions(importJsPath, bundleOptions));
+
+    const mapFile = bundle.outputFiles.find((file) => file.path && file.path.endsWith('.map'));
+    const codeFile = bundle.outputFiles.find((file) => file !== mapFile);
+    return {
+      code: codeFile.text,
+      map: mapFile ? mapFile.text : undefined,
+      metafile: bundle.metafile,
+    };
   } catch (error) {
     console.error('Import.js bundling failed:', error)
-    throw error;
+    throw new BundleError(`Unable to bundle ${importJsPath}: ${error.message}`, { cause: error });
   }
 }
 
+/**
+ * Prepares the given import script by bundling it up.
+ * @param {string} importJsPath - Path on the filesystem to the import.js entry point
+ * @param {object} bundleOptions - Optional bundle options, see bundleImportScript
+ * @returns {string} - import.js bundle
+ */
+export function prepareImportScript(importJsPath, bundleOptions) {
+  return bundleImportScript(importJsPath, bundleOptions).code;
+}
+
+/**
+ * Bundle the given import script, and rebuild it incrementally whenever the entry point or any
+ * of the files it imports changes. Each successful build is passed to onBuild, then written to
+ * outputPath and reported with its size and build time. Build errors, and errors thrown by
+ * onBuild, are printed without stopping the watcher, and the previous bundle is kept.
+ * @param {string} importJsPath - Path on the filesystem to the import.js entry point
+ * @param {string} outputPath - Path to write the bundle to
+ * @param {object} bundleOptions - Optional bundle options, see bundleImportScript
+ * @param {function} onBuild - Optional callback invoked with the {code, metafile} of each
+ * successful build, e.g. to validate it
+ * @returns {Promise<object>} The esbuild context, call dispose() on it to stop watching
+ */
+export async function watchImportScript(importJsPath, outputPath, bundleOptions = {}, onBuild = undefined) {
+  const reportPlugin = {
+    name: 'import-script-watch',
+    setup(build) {
+      let startTime;
+      build.onStart(() => {
+        startTime = Date.now();
+      });
+      build.onEnd(async (result) => {
+        const duration = Date.now() - startTime;
+        if (result.errors.length > 0) {
+          const messages = await esbuild.formatMessages(result.errors, { kind: 'error', color: chalk.level > 0 });
+          console.error(chalk.red(`Build failed with ${result.errors.length} error(s), waiting for changes...`));
+          messages.forEach((message) => console.error(message));
+          return;
+        }
+
+        const mapFile = result.outputFiles.find((file) => file.path && file.path.endsWith('.map'));
+        const bundledCode = result.outputFiles.find((file) => file !== mapFile).text;
+        try {
+          await onBuild?.({ code: bundledCode, metafile: result.metafile });
+        } catch (error) {
+          console.error(chalk.red(`${error.message}, waiting for changes...`));
+          return;
+        }
+        fs.writeFileSync(outputPath, bundledCode);
+        if (mapFile) {
+          fs.writeFileSync(`${outputPath}.map`, mapFile.text);
+        }
+        console.log(chalk.green(`[${new Date().toLocaleTimeString()}] Wrote ${outputPath} `
+          + `(${formatSize(Buffer.byteLength(bundledCode))}) in ${duration}ms, waiting for changes...`));
+      });
+    },
+  };
+
+  const context = await esbuild.context({
+    ...getBuildOptions(importJsPath, { ...bundleOptions, outputPath }),
+    // Errors are reported by the plugin
+    logLevel: 'silent',
+    plugins: [reportPlugin],
+  });
+  await context.watch();
+  return context;
+}
+
 export default prepareImportScript;
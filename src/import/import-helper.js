@@ -14,157 +14,989 @@ import fs from 'fs';
 import path from 'path';
 import { Blob } from 'buffer';
 import prepareImportScript from './bundler.js';
+import { assertValidImportScript } from './script-validator.js';
+import { validateXwalkFiles, XwalkValidationError } from './xwalk-validator.js';
 import chalk from 'chalk';
 import { uploadZipFromS3ToSharePoint } from './sharepoint-uploader.js';
+import { downloadJobArchive, readArchiveEntry } from './job-archive.js';
+import {
+  buildJobReport, getFailedUrls, IMPORT_REPORT_PATTERN, parseImportReportRows, readSpreadsheetRows, URL_STATUSES,
+  writeJobReport,
+} from './job-report.js';
+import { printUrlReport, validateUrls } from './url-validator.js';
+import { createProgressDisplay, getJobStartTime } from './progress-display.js';
+import {
+  addJournalEntry, hashContent, readJournal, updateJournalEntry,
+} from './job-journal.js';
 import { makeRequest } from '../utils/http-utils.js';
+import { ImportJobError, ValidationError } from '../errors.js';
+import { EVENTS, emitEvent } from '../events.js';
+import { writeToFile } from '../utils/fileUtils.js';
+import { IMPORT_API_URLS } from '../utils/env-utils.js';
 
-function getApiBaseUrl(stage) {
-  const alias = stage ? 'ci' : 'v1';
-  return `https://spacecat.experiencecloud.live/api/${alias}/tools/import/jobs`;
+// Maximum number of consecutive failed polling requests before giving up on a job
+const POLL_RETRY_LIMIT = 5;
+
+// Upper bound for the delay between polling retries
+const MAX_POLL_BACKOFF = 60000;
+
+// Status codes which will not go away by retrying the request
+const FATAL_STATUS_CODES = new Set([400, 401, 403, 404]);
+
+// The job management page, which is given the id of a job
+const DEFAULT_LABS_URL = 'https://labs.aem.live/tools/import/index.html';
+
+/**
+ * The base URL of the import jobs API. The given URL, or else AEM_IMPORT_API_URL, takes precedence
+ * over the stage flag, so that the requests can be sent to another deployment or to a local mock of the API.
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API
+ * @returns {string}
+ */
+function getApiBaseUrl({ stage, apiUrl }) {
+  const baseUrl = apiUrl || process.env.AEM_IMPORT_API_URL;
+  if (baseUrl) {
+    return baseUrl.replace(/\/+$/, '');
+  }
+  return stage ? IMPORT_API_URLS.stage : IMPORT_API_URLS.production;
+}
+
+/**
+ * The base URL of the import jobs API to send the requests about an existing job to. Unless an
+ * API URL is given, the URL the job was started with is looked up in the job journal, so that
+ * jobs started against another deployment are not looked for at the default endpoint.
+ * @param {string} jobId - ID of the job
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API
+ * @param {string} journalPath - Optional path of the job journal
+ * @returns {string}
+ */
+function getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath }) {
+  let recordedApiUrl;
+  if (!apiUrl && journalPath) {
+    try {
+      recordedApiUrl = readJournal(journalPath).find((job) => job.id === jobId)?.apiUrl;
+    } catch (error) {
+      console.warn(chalk.yellow('Unable to look up the job in the job journal:'), error.message);
+    }
+  }
+  return getApiBaseUrl({ stage, apiUrl: apiUrl || recordedApiUrl });
+}
+
+/**
+ * The link to the job management page of a job.
+ * @param {string} jobId - ID of the job
+ * @param {string} labsUrl - Optional URL of the job management page, AEM_IMPORT_LABS_URL or the labs page by default
+ * @returns {string}
+ */
+function getJobManagementUrl(jobId, labsUrl) {
+  const url = new URL(labsUrl || process.env.AEM_IMPORT_LABS_URL || DEFAULT_LABS_URL);
+  url.searchParams.set('jobid', jobId);
+  return url.toString();
+}
+
+// The job status requests made while polling, which are retried by the polling loop itself
+const POLL_REQUEST_OPTIONS = { retries: 0 };
+
+async function getJobResult(jobId, apiBaseUrl) {
+  // Fetching the result of a job has no side effect, it can be retried safely
+  return makeRequest(`${apiBaseUrl}/${jobId}/result`, 'POST', undefined, { idempotent: true });
+}
+
+async function getJobStatus(jobId, apiBaseUrl, requestOptions) {
+  return makeRequest(`${apiBaseUrl}/${jobId}`, 'GET', undefined, requestOptions);
+}
+
+async function getJobProgress(jobId, apiBaseUrl, requestOptions) {
+  return makeRequest(`${apiBaseUrl}/${jobId}/progress`, 'GET', undefined, requestOptions);
+}
+
+async function requestJobStop(jobId, apiBaseUrl) {
+  return makeRequest(`${apiBaseUrl}/${jobId}`, 'PATCH', JSON.stringify({ status: 'STOPPED' }), {
+    idempotent: true,
+  });
+}
+
+/**
+ * Record a newly started job in the job journal. Failing to update the journal is logged, it
+ * does not fail the import.
+ * @param {string} journalPath - Optional path of the job journal, nothing is recorded without it
+ * @param {object} jobResponse - The response of the job creation request
+ * @param {object} details - What the job was started with: URLs file, import script, options, etc.
+ */
+function recordStartedJob(journalPath, jobResponse, details) {
+  if (!journalPath) {
+    return;
+  }
+  try {
+    addJournalEntry(journalPath, {
+      id: jobResponse.id,
+      startedAt: jobResponse.startTime || new Date().toISOString(),
+      status: jobResponse.status,
+      ...details,
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Unable to record the job in the job journal:'), error.message);
+  }
+}
+
+/**
+ * Emit the job:completed event for a job which is no longer running, whatever its final status.
+ * @param {object} jobStatus - The final job status
+ * @param {string} downloadUrl - The download URL of the import archive, when the job completed
+ */
+function emitJobCompleted(jobStatus, downloadUrl) {
+  const {
+    id, status, urlCount, successCount, failedCount, redirectCount,
+  } = jobStatus;
+  emitEvent(EVENTS.JOB_COMPLETED, {
+    jobId: id, status, urlCount, successCount, failedCount, redirectCount, downloadUrl,
+  });
+}
+
+/**
+ * Record the latest known state of a job in the job journal, see recordStartedJob.
+ * @param {string} journalPath - Optional path of the job journal, nothing is recorded without it
+ * @param {object} jobStatus - The job status
+ * @param {string} downloadUrl - The download URL of the import archive, once known
+ */
+function recordJobStatus(journalPath, jobStatus, downloadUrl) {
+  if (!journalPath) {
+    return;
+  }
+  const {
+    status, endTime, urlCount, successCount, failedCount, redirectCount,
+  } = jobStatus;
+  try {
+    updateJournalEntry(journalPath, jobStatus.id, {
+      status, endTime, urlCount, successCount, failedCount, redirectCount, ...(downloadUrl && { downloadUrl }),
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Unable to update the job journal:'), error.message);
+  }
+}
+
+/**
+ * Steps to perform once a job is no longer running: print the download URL of the import
+ * archive and, when requested, download it locally and/or upload its contents to SharePoint.
+ * Jobs which did not complete successfully (e.g. FAILED or STOPPED) are reported as an error.
+ * @param {object} jobStatus - The final job status
+ * @param {string} sharePointUploadUrl - Optional SharePoint URL to upload imported files to
+ * @param {object} sharePointOptions - Optional options of the SharePoint upload, see uploadDirectoryToSharePoint
+ * @param {string} downloadDir - Optional directory to download the import archive to
+ * @param {boolean} extract - Whether to extract the downloaded import archive
+ * @param {string} apiBaseUrl - The base URL of the import jobs API, see getApiBaseUrl
+ * @param {string} journalPath - Optional path of the job journal to record the final state of the job in
+ * @returns {Promise<{jobStatus: object, downloadUrl: string, sharePointManifest: object|undefined}>} The
+ * manifest of the SharePoint upload, when the archive was uploaded
+ */
+async function handleJobCompletion(jobStatus, {
+  sharePointUploadUrl, sharePointOptions, downloadDir, extract, apiBaseUrl, journalPath,
+}) {
+  if (jobStatus.status !== 'COMPLETE') {
+    recordJobStatus(journalPath, jobStatus);
+    emitJobCompleted(jobStatus);
+    console.error(chalk.red('Job finished:'), jobStatus);
+    throw new ImportJobError(`Job ${jobStatus.id} ended with status ${jobStatus.status}`, {
+      jobs: [{ jobId: jobStatus.id, jobStatus }],
+    });
+  }
+
+  console.log(chalk.green('Job completed:'), jobStatus);
+
+  // Print the job result's downloadUrl
+  const jobResult = await getJobResult(jobStatus.id, apiBaseUrl);
+  recordJobStatus(journalPath, jobStatus, jobResult.downloadUrl);
+  emitJobCompleted(jobStatus, jobResult.downloadUrl);
+  console.log(chalk.green('Download the import archive:'), jobResult.downloadUrl);
+
+  if (typeof downloadDir === 'string') {
+    await downloadJobArchive({
+      downloadUrl: jobResult.downloadUrl, jobId: jobStatus.id, downloadDir, extract,
+    });
+  }
+
+  let sharePointManifest;
+  if (typeof sharePointUploadUrl === 'string') {
+    // Upload the import archive to SharePoint
+    sharePointManifest = await uploadZipFromS3ToSharePoint(jobResult.downloadUrl, sharePointUploadUrl, sharePointOptions);
+  }
+
+  return { jobStatus, downloadUrl: jobResult.downloadUrl, sharePointManifest };
+}
+
+/**
+ * Read the per-URL results of a job from the import report spreadsheet of its archive.
+ * @param {string} downloadUrl - The S3 presigned URL of the import archive
+ * @returns {Promise<Array<object>>} The per-URL results, empty when the archive has no report
+ */
+async function readUrlResults(downloadUrl) {
+  const spreadsheet = await readArchiveEntry(downloadUrl, IMPORT_REPORT_PATTERN);
+  return spreadsheet ? parseImportReportRows(await readSpreadsheetRows(spreadsheet)) : [];
+}
+
+/**
+ * Write the report of the given jobs, see writeJobReport. Failing to write the report is
+ * logged, it does not fail the import.
+ * @param {string} reportPath - Path of the report file
+ * @param {Array<{jobId: string, urls: Array<string>, error: Error}>} jobs - The jobs to report on,
+ * jobs which could not be started have no jobId
+ * @param {string} apiBaseUrl - The base URL of the import jobs API, see getApiBaseUrl
+ * @returns {Promise<void>}
+ */
+async function reportImportJobs(reportPath, jobs, apiBaseUrl) {
+  try {
+    const jobReports = [];
+    for (const { jobId, urls, error } of jobs) {
+      if (!jobId) {
+        jobReports.push({
+          job: { status: 'NOT_STARTED', error: error?.message },
+          urls: urls.map((url) => ({ url, status: URL_STATUSES.FAILED, reason: error?.message })),
+        });
+        continue;
+      }
+      const jobStatus = await getJobStatus(jobId, apiBaseUrl);
+      const jobProgress = await getJobProgress(jobId, apiBaseUrl);
+      const urlResults = jobStatus.status === 'COMPLETE'
+        ? await readUrlResults((await getJobResult(jobId, apiBaseUrl)).downloadUrl)
+        : [];
+      jobReports.push(buildJobReport({
+        jobStatus, jobProgress, urls, urlResults,
+      }));
+    }
+
+    const { failedUrlsPath, failedUrls } = await writeJobReport(reportPath, jobReports);
+    console.log(chalk.yellow(`Import report written to ${reportPath}`));
+    console.log(chalk.yellow(`${failedUrls.length} URLs were not imported, listed in ${failedUrlsPath}`));
+  } catch (error) {
+    console.error(chalk.red('Unable to write the import report:'), error.message);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll the status of a job until it is no longer running, then run the post-completion steps.
+ * Transient polling failures (network errors, 429 and 5xx responses) are retried with an
+ * exponential backoff, honoring the Retry-After header. Fatal failures (e.g. 401 or 404),
+ * too many consecutive failures, or exceeding the timeout reject the returned promise.
+ * @param {string} jobId - ID of the job to poll
+ * @param {string} sharePointUploadUrl - Optional SharePoint URL to upload imported files to
+ * @param {object} sharePointOptions - Optional options of the SharePoint upload
+ * @param {string} downloadDir - Optional directory to download the import archive to
+ * @param {boolean} extract - Whether to extract the downloaded import archive
+ * @param {string} apiBaseUrl - The base URL of the import jobs API, see getApiBaseUrl
+ * @param {number} pollInterval - Time to wait between polling requests
+ * @param {number} timeout - Optional maximum time to wait for the job to finish, in milliseconds
+ * @param {function} onProgress - Optional callback receiving the status and progress of the running
+ * job, replaces the default progress logging
+ * @param {string} journalPath - Optional path of the job journal to record the final state of the job in
+ * @returns {Promise<{jobStatus: object, downloadUrl: string, sharePointManifest: object|undefined}>} See handleJobCompletion
+ */
+async function pollJobStatus(jobId, {
+  sharePointUploadUrl, sharePointOptions, downloadDir, extract, apiBaseUrl, pollInterval, timeout, onProgress, journalPath,
+}) {
+  const deadline = timeout ? Date.now() + timeout : Infinity;
+  let failures = 0;
+  let delay = pollInterval;
+  let display;
+
+  try {
+    while (true) {
+      if (Date.now() + delay > deadline) {
+        throw new ImportJobError(`Timed out waiting for job ${jobId} to finish. `
+          + `The job may still be running, resume tracking with: aem-import-helper import watch ${jobId}`, {
+          jobs: [{ jobId }],
+        });
+      }
+
+      // Wait before polling
+      await sleep(delay);
+
+      let jobStatus;
+      let jobProgress;
+      try {
+        jobStatus = await getJobStatus(jobId, apiBaseUrl, POLL_REQUEST_OPTIONS);
+        if (jobStatus.status === 'RUNNING') {
+          jobProgress = await getJobProgress(jobId, apiBaseUrl, POLL_REQUEST_OPTIONS);
+        }
+      } catch (error) {
+        display?.clear();
+        if (FATAL_STATUS_CODES.has(error.status)) {
+          console.error(chalk.red('Error polling job status:'), error);
+          throw error;
+        }
+
+        failures += 1;
+        if (failures > POLL_RETRY_LIMIT) {
+          console.error(chalk.red(`Error polling job status, giving up after ${POLL_RETRY_LIMIT} retries:`), error);
+          throw new ImportJobError(`Unable to poll the status of job ${jobId}: ${error.message}`, {
+            jobs: [{ jobId }], cause: error,
+          });
+        }
+
+        const backoff = Math.min(pollInterval * 2 ** failures, MAX_POLL_BACKOFF);
+        delay = Math.max(backoff, error.retryAfter || 0);
+        console.warn(chalk.yellow(`Error polling job status (retry ${failures} of ${POLL_RETRY_LIMIT} in ${Math.round(delay / 1000)}s):`), error.message);
+        continue;
+      }
+
+      failures = 0;
+      delay = pollInterval;
+
+      if (jobStatus.status !== 'RUNNING') {
+        // Job is finished!
+        display?.stop();
+        return handleJobCompletion(jobStatus, {
+          sharePointUploadUrl, sharePointOptions, downloadDir, extract, apiBaseUrl, journalPath,
+        });
+      }
+
+      emitEvent(EVENTS.JOB_PROGRESS, { jobId, urlCount: jobStatus.urlCount, ...jobProgress });
+      if (typeof onProgress === 'function') {
+        onProgress(jobStatus, jobProgress);
+      } else {
+        display = display || createProgressDisplay({ startTime: getJobStartTime(jobStatus) });
+        display.update({ counts: jobProgress, total: jobStatus.urlCount });
+      }
+    }
+  } finally {
+    display?.stop();
+  }
 }
 
-async function getJobResult(jobId, stage) {
-  return makeRequest(`${getApiBaseUrl(stage)}/${jobId}/result`, 'POST');
+/**
+ * Prepare the parts of the job request which are shared by every job of an import run: the
+ * options, custom headers, bundled import script and xwalk component files.
+ * @returns {{options: object, headers: object, importScript: {code: string, name: string}, xwalkFiles: object}}
+ */
+function prepareJobConfig({
+  options, importJsPath, validateImportScript = true, modelsPath, filtersPath, definitionsPath,
+  validateXwalk = true,
+}) {
+  const { headers, ...restOptions } = options || {};
+  const jobConfig = { options: restOptions, headers };
+
+  if (importJsPath) {
+    // Conditionally include the custom (bundled) import.js, when provided
+    const code = prepareImportScript(importJsPath);
+    jobConfig.importScript = {
+      code,
+      name: path.basename(importJsPath),
+      hash: hashContent(code),
+    };
+    if (validateImportScript) {
+      // fail before any job is created rather than after it returns empty documents
+      assertValidImportScript(jobConfig.importScript.code, importJsPath);
+    }
+  }
+
+  if (restOptions.type === 'xwalk') {
+    const requiredFiles = [
+      { path: modelsPath, name: 'component-models.json' },
+      { path: filtersPath, name: 'component-filters.json' },
+      { path: definitionsPath, name: 'component-definition.json' },
+    ];
+
+    requiredFiles.forEach(file => {
+      if (!file.path) {
+        throw new ValidationError(
+          `You must provide a ${file.name} file when performing an xwalk import`);
+      }
+      if (!fs.existsSync(file.path)) {
+        throw new ValidationError(`The file ${file.path} does not exist`);
+      }
+    });
+
+    jobConfig.xwalkFiles = {
+      models: fs.readFileSync(modelsPath, 'utf8'),
+      filters: fs.readFileSync(filtersPath, 'utf8'),
+      definitions: fs.readFileSync(definitionsPath, 'utf8'),
+    };
+
+    if (validateXwalk) {
+      const problems = validateXwalkFiles({
+        models: { name: modelsPath, content: jobConfig.xwalkFiles.models },
+        filters: { name: filtersPath, content: jobConfig.xwalkFiles.filters },
+        definitions: { name: definitionsPath, content: jobConfig.xwalkFiles.definitions },
+      });
+      if (problems.length > 0) {
+        throw new XwalkValidationError(problems);
+      }
+    }
+  }
+
+  return jobConfig;
+}
+
+/**
+ * Create a new import job for the given URLs.
+ * @param {Array<string>} urls - Array of URLs to import
+ * @param {object} jobConfig - The shared job configuration, see prepareJobConfig
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiBaseUrl - The base URL of the import jobs API, see getApiBaseUrl
+ * @param {string} labsUrl - Optional URL of the job management page, see getJobManagementUrl
+ * @param {function} onJobStarted - Optional callback invoked with the job response
+ * @returns {Promise<object>} The job response
+ */
+async function startJob(urls, jobConfig, {
+  stage, apiBaseUrl, labsUrl, onJobStarted,
+}) {
+  const {
+    options, headers, importScript, xwalkFiles,
+  } = jobConfig;
+
+  const requestBody = new FormData();
+  requestBody.append('urls', JSON.stringify(urls));
+  if (options) {
+    // Conditionally include options, when provided
+    requestBody.append('options', JSON.stringify(options));
+  }
+  if (headers) {
+    // Conditionally include custom headers, when provided
+    requestBody.append('customHeaders', JSON.stringify(headers));
+  }
+  if (importScript) {
+    const bundledScriptBlob = new Blob([importScript.code], { type: 'application/javascript' });
+    requestBody.append('importScript', bundledScriptBlob, importScript.name);
+  }
+  if (xwalkFiles) {
+    requestBody.append('models', new Blob([xwalkFiles.models], { type: 'application/json' }));
+    requestBody.append('filters', new Blob([xwalkFiles.filters], { type: 'application/json' }));
+    requestBody.append('definitions', new Blob([xwalkFiles.definitions], { type: 'application/json' }));
+  }
+
+  let jobResponse;
+  try {
+    jobResponse = await makeRequest(apiBaseUrl, 'POST', requestBody);
+  } catch (error) {
+    console.error(chalk.red('Error starting job:'), error);
+    throw error;
+  }
+
+  console.log(chalk.yellow('Job can be managed (tracked, stopped, downloaded, etc) at:'));
+  console.log(getJobManagementUrl(jobResponse.id, labsUrl));
+  console.log(chalk.yellow('Job started:'), jobResponse);
+  emitEvent(EVENTS.JOB_STARTED, { jobId: jobResponse.id, urlCount: urls.length, stage: Boolean(stage) });
+  if (typeof onJobStarted === 'function') {
+    onJobStarted(jobResponse);
+  }
+  return jobResponse;
+}
+
+/**
+ * Split the given URLs into chunks of at most batchSize URLs.
+ * @param {Array<string>} urls - Array of URLs
+ * @param {number} batchSize - Maximum number of URLs per chunk
+ * @returns {Array<Array<string>>}
+ */
+export function splitIntoBatches(urls, batchSize) {
+  const batches = [];
+  for (let i = 0; i < urls.length; i += batchSize) {
+    batches.push(urls.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Sum up the URL counts of all jobs of a batched import run. Finished jobs report their final
+ * counts, running jobs the counts of their latest progress response.
+ * @param {Array<object>} batchJobs - The tracked jobs of the run
+ * @returns {{completed: number, failed: number, redirect: number, total: number, finishedJobs: number}}
+ */
+function getBatchProgress(batchJobs) {
+  const totals = {
+    completed: 0, failed: 0, redirect: 0, total: 0, finishedJobs: 0,
+  };
+  batchJobs.forEach((job) => {
+    totals.total += job.urlCount;
+    if (job.jobStatus) {
+      totals.completed += job.jobStatus.successCount || 0;
+      totals.failed += job.jobStatus.failedCount || 0;
+      totals.redirect += job.jobStatus.redirectCount || 0;
+    } else if (job.progress) {
+      totals.completed += job.progress.completed || 0;
+      totals.failed += job.progress.failed || 0;
+      totals.redirect += job.progress.redirect || 0;
+    }
+    if (job.finished) {
+      totals.finishedJobs += 1;
+    }
+  });
+  return totals;
+}
+
+function logBatchProgress(batchJobs, display) {
+  const {
+    completed, failed, redirect, total, finishedJobs,
+  } = getBatchProgress(batchJobs);
+  display.update({
+    counts: { completed, failed, redirect },
+    total,
+    label: `${finishedJobs}/${batchJobs.length} jobs finished`,
+  });
+}
+
+/**
+ * The outcome of one job of an import run, as returned by runImportJobAndPoll.
+ * @returns {{jobId: string|undefined, urls: Array<string>, jobStatus: object|undefined,
+ * downloadUrl: string|undefined, sharePointManifest: object|undefined, error: Error|undefined}}
+ */
+function toJobResult({
+  jobId, urls, jobStatus, downloadUrl, sharePointManifest, error,
+}) {
+  return {
+    jobId, urls, jobStatus, downloadUrl, sharePointManifest, error,
+  };
+}
+
+/**
+ * Import a large list of URLs as several jobs of at most batchSize URLs each. Jobs are submitted
+ * with at most maxConcurrentJobs of them running at the same time, and the combined progress of
+ * all jobs is logged periodically while they run. Once all jobs are finished, every job and its archive URL
+ * is listed. Rejects if any of the jobs did not complete successfully.
+ * @param {Array<string>} urls - Array of URLs to import
+ * @param {object} jobConfig - The shared job configuration, see prepareJobConfig
+ * @param {number} batchSize - Maximum number of URLs per job
+ * @param {number} maxConcurrentJobs - Maximum number of jobs running at the same time
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} labsUrl - Optional URL of the job management page, see getJobManagementUrl
+ * @param {function} onJobStarted - Optional callback invoked with the response of each new job
+ * @param {string} reportPath - Optional path to write the per-URL report of all jobs to
+ * @param {object} journalDetails - What the jobs are started with, recorded in the job journal
+ * @param {object} pollOptions - Options passed on to pollJobStatus, including the apiBaseUrl
+ * @returns {Promise<Array<object>>} The jobs of the run, see toJobResult
+ */
+async function runBatchedImportJobs(urls, jobConfig, {
+  batchSize, maxConcurrentJobs = 1, stage, labsUrl, onJobStarted, reportPath, journalDetails, ...pollOptions
+}) {
+  const { apiBaseUrl } = pollOptions;
+  const batches = splitIntoBatches(urls, batchSize);
+  const batchJobs = batches.map((batchUrls) => ({ urls: batchUrls, urlCount: batchUrls.length }));
+  const concurrency = Math.max(1, Math.min(maxConcurrentJobs, batches.length));
+  console.log(chalk.yellow(`Splitting ${urls.length} URLs into ${batches.length} jobs of up to ${batchSize} URLs, `
+    + `running ${concurrency} at a time.`));
+
+  // The jobs log their own messages, so the progress is printed as plain lines
+  const display = createProgressDisplay({ interactive: false });
+
+  let nextIndex = 0;
+  async function runNextJobs() {
+    while (nextIndex < batchJobs.length) {
+      const batchJob = batchJobs[nextIndex];
+      nextIndex += 1;
+      try {
+        const jobResponse = await startJob(batchJob.urls, jobConfig, {
+          stage, apiBaseUrl, labsUrl, onJobStarted,
+        });
+        batchJob.jobId = jobResponse.id;
+        recordStartedJob(pollOptions.journalPath, jobResponse, {
+          ...journalDetails,
+          urlCount: batchJob.urlCount,
+          batch: { index: batchJobs.indexOf(batchJob) + 1, count: batchJobs.length },
+        });
+        const { jobStatus, downloadUrl, sharePointManifest } = await pollJobStatus(jobResponse.id, {
+          ...pollOptions,
+          onProgress: (status, progress) => {
+            batchJob.progress = progress;
+            logBatchProgress(batchJobs, display);
+          },
+        });
+        batchJob.jobStatus = jobStatus;
+        batchJob.downloadUrl = downloadUrl;
+        batchJob.sharePointManifest = sharePointManifest;
+      } catch (error) {
+        batchJob.error = error;
+      }
+      batchJob.finished = true;
+      logBatchProgress(batchJobs, display);
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, runNextJobs));
+
+  console.log(chalk.green('Batch summary:'));
+  batchJobs.forEach((batchJob, index) => {
+    const label = `Job ${index + 1}/${batchJobs.length} (${batchJob.urlCount} URLs)`;
+    if (batchJob.error) {
+      console.log(chalk.red(`  ${label} ${batchJob.jobId || 'not started'}: ${batchJob.error.message}`));
+    } else {
+      console.log(chalk.green(`  ${label} ${batchJob.jobId}:`), batchJob.downloadUrl);
+    }
+  });
+
+  if (reportPath) {
+    await reportImportJobs(reportPath, batchJobs, apiBaseUrl);
+  }
+
+  const jobs = batchJobs.map(toJobResult);
+  const failedJobs = batchJobs.filter((batchJob) => batchJob.error);
+  if (failedJobs.length > 0) {
+    throw new ImportJobError(`${failedJobs.length} of ${batchJobs.length} import jobs did not complete successfully`, {
+      jobs,
+    });
+  }
+  return jobs;
 }
 
 /**
  * Run the import job and begin polling for the result. Logs progress & result to the console.
+ * The URLs are validated, normalized and de-duplicated before the job is created. When a
+ * batchSize is given and the list of URLs is larger, the URLs are imported as several jobs.
  * @param {Array<string>} urls - Array of URLs to import
+ * @param {string} urlsPath - Optional path of the file the URLs were read from, recorded in the job journal
+ * @param {string} trailingSlash - Trailing slash policy applied to the URLs: keep, add or remove (default: keep)
+ * @param {Array<string>} allowedHosts - Optional list of hosts the URLs may belong to
+ * @param {boolean} strict - Set to true to abort when any of the URLs is invalid
+ * @param {string} urlReportPath - Optional path to write the URL validation report (JSON) to
+ * @param {string} reportPath - Optional path to write the per-URL report (JSON or CSV) of the job(s) to,
+ * the URLs which were not imported are listed in a failed-urls.txt file next to it
  * @param {object} options - Optional object with import options
  * @param {string} importJsPath - Optional path to the custom import.js file
+ * @param {boolean} validateImportScript - Whether to check the transformer API of the bundled import.js (default: true)
  * @param {string} sharePointUploadUrl - SharePoint URL to upload imported files to
+ * @param {object} sharePointOptions - Optional options of the SharePoint upload: uploader, concurrency,
+ * skipUnchanged and manifestPath, see uploadDirectoryToSharePoint
+ * @param {string} downloadDir - Optional directory to download the import archive to
+ * @param {boolean} extract - Whether to extract the downloaded import archive (default: true)
  * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {string} labsUrl - Optional URL of the job management page, AEM_IMPORT_LABS_URL or the labs page by default
  * @param {number} pollInterval - Time to wait between polling requests
+ * @param {number} timeout - Optional maximum time to wait for the job to finish, in milliseconds
+ * @param {number} batchSize - Optional maximum number of URLs per job
+ * @param {number} maxConcurrentJobs - Maximum number of jobs running at the same time in batch mode (default: 1)
  * @param {string} modelsPath - Required path to the models JSON file when performing xwalk import
  * @param {string} filtersPath - Required path to the filters JSON file when performing xwalk import
  * @param {string} definitionsPath - Required path to the definitions JSON file when performing xwalk import
- * @returns {Promise<void>}
+ * @param {boolean} validateXwalk - Whether to validate the xwalk component files (default: true)
+ * @param {function} onJobStarted - Optional callback invoked with the job response once a job has been created
+ * @param {string} journalPath - Optional path of the job journal to record the started jobs in, see getJournalPath
+ * @param {string} retryOf - Optional ID of the job whose failed URLs are retried, recorded in the job journal
+ * @returns {Promise<Array<{jobId: string, urls: Array<string>, jobStatus: object, downloadUrl: string,
+ * sharePointManifest: object}>>} The jobs of the import, one unless the URLs were split into batches
+ * @throws {ValidationError} When the URLs or the import files are invalid
+ * @throws {ImportJobError} When a job did not complete successfully, its jobs property lists the jobs of the import
  */
 export async function runImportJobAndPoll( {
   urls,
+  urlsPath,
+  trailingSlash,
+  allowedHosts,
+  strict = false,
+  urlReportPath,
+  reportPath,
   importJsPath,
+  validateImportScript = true,
   options,
   sharePointUploadUrl,
+  sharePointOptions,
+  downloadDir,
+  extract = true,
   stage = false,
+  apiUrl,
+  labsUrl,
   pollInterval = 5000,
+  timeout,
+  batchSize,
+  maxConcurrentJobs = 1,
   modelsPath,
   filtersPath,
   definitionsPath,
+  validateXwalk = true,
+  onJobStarted,
+  journalPath,
+  retryOf,
 } ) {
-  // Determine the base URL
-  const baseURL = getApiBaseUrl(stage);
-
-  // Filter out obviously invalid URLs, and ignore comments.
-  const filteredUrls = Array.isArray(urls) ? urls.filter((url) => url.length > 4 && url[0] !== '#') : [];
+  // Validate, normalize and de-duplicate the URLs, ignoring comments.
+  const { urls: filteredUrls, report } = validateUrls(urls, { trailingSlash, allowedHosts });
+  printUrlReport(report);
+  if (urlReportPath) {
+    await writeToFile(urlReportPath, JSON.stringify(report, null, 2));
+    console.log(chalk.yellow(`URL validation report written to ${urlReportPath}`));
+  }
 
-  function hasProvidedSharePointUrl() {
-    return typeof sharePointUploadUrl === 'string';
+  if (strict && report.invalid.length > 0) {
+    throw new ValidationError(`Found ${report.invalid.length} invalid URLs, aborting (strict mode)`);
+  }
+  if (filteredUrls.length === 0) {
+    throw new ValidationError('No valid URLs provided');
   }
 
-  // Function to poll job status
-  async function pollJobStatus(jobId) {
-    const url = `${baseURL}/${jobId}`;
-    while (true) {
-      // Wait before polling
-      await new Promise((resolve) => setTimeout(resolve, pollInterval));
-      try {
-        const jobStatus = await makeRequest(url, 'GET');
-        if (jobStatus.status !== 'RUNNING') {
-          // Job is finished!
-          console.log(chalk.green('Job completed:'), jobStatus);
-
-          // Print the job result's downloadUrl
-          const jobResult = await getJobResult(jobId, stage);
-          console.log(chalk.green('Download the import archive:'), jobResult.downloadUrl);
-
-          if (hasProvidedSharePointUrl()) {
-            // Upload the import archive to SharePoint
-            await uploadZipFromS3ToSharePoint(jobResult.downloadUrl, sharePointUploadUrl);
-          }
-          break;
-        }
+  const jobConfig = prepareJobConfig({
+    options, importJsPath, validateImportScript, modelsPath, filtersPath, definitionsPath, validateXwalk,
+  });
+  const apiBaseUrl = getApiBaseUrl({ stage, apiUrl });
+  const pollOptions = {
+    sharePointUploadUrl, sharePointOptions, downloadDir, extract, apiBaseUrl, pollInterval, timeout, journalPath,
+  };
+  // What produced the archive of each job: the headers are left out as they may hold credentials
+  const journalDetails = {
+    stage,
+    apiUrl: apiBaseUrl,
+    urlsFile: urlsPath && path.resolve(urlsPath),
+    importJs: jobConfig.importScript && { file: path.resolve(importJsPath), hash: jobConfig.importScript.hash },
+    xwalk: jobConfig.xwalkFiles && {
+      models: path.resolve(modelsPath), filters: path.resolve(filtersPath), definitions: path.resolve(definitionsPath),
+    },
+    options: jobConfig.options,
+    retryOf,
+  };
 
-        const progressUrl = `${url}/progress`;
-        const jobProgress = await makeRequest(progressUrl, 'GET');
-        console.log(chalk.yellow('Job status:'), jobStatus.status, jobProgress);
-      } catch (error) {
-        console.error(chalk.red('Error polling job status:'), error);
-        break;
-      }
-    }
+  if (batchSize > 0 && filteredUrls.length > batchSize) {
+    return runBatchedImportJobs(filteredUrls, jobConfig, {
+      batchSize, maxConcurrentJobs, stage, labsUrl, onJobStarted, reportPath, journalDetails, ...pollOptions,
+    });
   }
 
-  // Main function to start the job
-  async function startJob() {
-    const requestBody = new FormData();
-    requestBody.append('urls', JSON.stringify(filteredUrls));
-    const { headers, ...restOptions } = options || {};
-    if (restOptions) {
-      // Conditionally include options, when provided
-      requestBody.append('options', JSON.stringify(restOptions));
-    }
-    if (headers) {
-      // Conditionally include custom headers, when provided
-      requestBody.append('customHeaders', JSON.stringify(headers));
+  const jobResponse = await startJob(filteredUrls, jobConfig, {
+    stage, apiBaseUrl, labsUrl, onJobStarted,
+  });
+  recordStartedJob(journalPath, jobResponse, { ...journalDetails, urlCount: filteredUrls.length });
+  try {
+    const { jobStatus, downloadUrl, sharePointManifest } = await pollJobStatus(jobResponse.id, pollOptions);
+    return [toJobResult({
+      jobId: jobResponse.id, urls: filteredUrls, jobStatus, downloadUrl, sharePointManifest,
+    })];
+  } finally {
+    if (reportPath) {
+      await reportImportJobs(reportPath, [{ jobId: jobResponse.id, urls: filteredUrls }], apiBaseUrl);
     }
-    if (importJsPath) {
-      // Conditionally include the custom (bundled) import.js, when provided
-      const bundledCode = prepareImportScript(importJsPath);
-      const bundledScriptBlob = new Blob([bundledCode], { type: 'application/javascript' });
-      requestBody.append('importScript', bundledScriptBlob, path.basename(importJsPath));
-    }
-
-    if (restOptions.type === 'xwalk') {
-      const requiredFiles = [
-        { path: modelsPath, name: 'component-models.json' },
-        { path: filtersPath, name: 'component-filters.json' },
-        { path: definitionsPath, name: 'component-definition.json' },
-      ];
-
-      requiredFiles.forEach(file => {
-        if (!file.path) {
-          throw new Error(
-            `You must provide a ${file.name} file when performing an xwalk import`);
-        }
-        if (!fs.existsSync(file.path)) {
-          throw new Error(`The file ${file.path} does not exist`);
-        }
-      });
+  }
+}
 
-      requestBody.append('models', new Blob([fs.readFileSync(modelsPath, 'utf8')], { type: 'application/json' }));
-      requestBody.append('filters', new Blob([fs.readFileSync(filtersPath, 'utf8')], { type: 'application/json' }));
-      requestBody.append('definitions', new Blob([fs.readFileSync(definitionsPath, 'utf8')], { type: 'application/json' }));
-    }
+/**
+ * Start a new job importing the URLs which a previous job failed to import, as listed in the
+ * import report of its archive. Unless they are supplied again, the new job uses the options of
+ * the previous job, and the import script and xwalk files recorded for it in the job journal.
+ * @param {string} jobId - ID of the previous job
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {object} options - Optional import options, the options of the previous job by default
+ * @param {string} importJsPath - Optional path to the custom import.js file
+ * @param {string} modelsPath - Optional path to the models JSON file of an xwalk import
+ * @param {string} filtersPath - Optional path to the filters JSON file of an xwalk import
+ * @param {string} definitionsPath - Optional path to the definitions JSON file of an xwalk import
+ * @param {string} journalPath - Optional path of the job journal, to look up and record the jobs in
+ * @param {function} onJobStarted - Optional callback invoked with the job response once a job has been created
+ * @param {object} importParams - Other parameters passed on to runImportJobAndPoll
+ * @returns {Promise<{urls: Array<string>, jobs: Array<object>}>} The retried URLs, empty when the
+ * previous job has no failed URLs, and the jobs which imported them, see runImportJobAndPoll
+ */
+export async function retryFailedUrls({
+  jobId,
+  stage = false,
+  apiUrl,
+  options,
+  importJsPath,
+  modelsPath,
+  filtersPath,
+  definitionsPath,
+  journalPath,
+  onJobStarted,
+  ...importParams
+}) {
+  const apiBaseUrl = getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath });
+  const jobStatus = await getJobStatus(jobId, apiBaseUrl);
+  if (jobStatus.status === 'RUNNING') {
+    throw new ValidationError(`Job ${jobId} is still running, wait for it to finish before retrying its failed URLs`);
+  }
+  if (jobStatus.status !== 'COMPLETE') {
+    throw new ImportJobError(`Job ${jobId} ended with status ${jobStatus.status}, the outcome of its URLs is not available`, {
+      jobs: [{ jobId, jobStatus }],
+    });
+  }
 
-    try {
-      const jobResponse = await makeRequest(baseURL, 'POST', requestBody);
-      console.log(chalk.yellow('Job can be managed (tracked, stopped, downloaded, etc) at:'));
-      console.log(`https://labs.aem.live/tools/import/index.html?jobid=${jobResponse.id}`);
-      console.log(chalk.yellow('Job started:'), jobResponse);
-      await pollJobStatus(jobResponse.id);
-    } catch (error) {
-      console.error(chalk.red('Error starting job:'), error);
-    }
+  const urlResults = await readUrlResults((await getJobResult(jobId, apiBaseUrl)).downloadUrl);
+  if (urlResults.length === 0) {
+    throw new ImportJobError(`The import archive of job ${jobId} has no import report, unable to tell which URLs failed`, {
+      jobs: [{ jobId, jobStatus }],
+    });
+  }
+  const failedUrls = getFailedUrls(urlResults);
+  if (failedUrls.length === 0) {
+    console.log(chalk.green(`Job ${jobId} has no failed URLs, nothing to retry.`));
+    return { urls: failedUrls, jobs: [] };
   }
 
-  if (filteredUrls.length === 0) {
-    throw new Error('No valid URLs provided');
+  const recordedJob = journalPath ? readJournal(journalPath).find((job) => job.id === jobId) : undefined;
+  const retryImportJsPath = importJsPath || recordedJob?.importJs?.file;
+  if (!retryImportJsPath && jobStatus.hasCustomImportJs) {
+    throw new ValidationError(`Job ${jobId} used a custom import script which is not recorded in the job journal, `
+      + 'supply it again with --importjs');
+  }
+  if (!options && jobStatus.hasCustomHeaders) {
+    console.warn(chalk.yellow(`Job ${jobId} used custom headers, which cannot be looked up: supply them again with --options`));
   }
 
-  return startJob();
+  console.log(chalk.yellow(`Retrying ${failedUrls.length} of ${urlResults.length} URLs which failed in job ${jobId}`));
+  const jobs = await runImportJobAndPoll({
+    ...importParams,
+    urls: failedUrls,
+    stage,
+    // the failed URLs are imported again by the deployment which imported them first
+    apiUrl: apiBaseUrl,
+    options: options || jobStatus.options,
+    importJsPath: retryImportJsPath,
+    modelsPath: modelsPath || recordedJob?.xwalk?.models,
+    filtersPath: filtersPath || recordedJob?.xwalk?.filters,
+    definitionsPath: definitionsPath || recordedJob?.xwalk?.definitions,
+    journalPath,
+    retryOf: jobId,
+    onJobStarted: (jobResponse) => {
+      console.log(chalk.yellow(`Job ${jobResponse.id} retries the failed URLs of job ${jobId}`));
+      if (typeof onJobStarted === 'function') {
+        onJobStarted(jobResponse);
+      }
+    },
+  });
+  return { urls: failedUrls, jobs };
 }
 
 /**
- * Upload the result of an import job to SharePoint.
+ * Upload the result of an import job to SharePoint and/or download it to a local directory.
  * @param {string} jobId - ID of the job to upload
- * @param {string} sharePointUploadUrl - SharePoint URL to upload imported files to
+ * @param {string} sharePointUploadUrl - Optional SharePoint URL to upload imported files to
+ * @param {object} sharePointOptions - Optional options of the SharePoint upload, see uploadDirectoryToSharePoint
+ * @param {string} downloadDir - Optional directory to download the import archive to
+ * @param {boolean} extract - Whether to extract the downloaded import archive (default: true)
  * @param {boolean} stage - Set to true if stage APIs should be used
- * @returns {Promise<void>}
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {string} journalPath - Optional path of the job journal to look up the API URL of the job in
+ * @returns {Promise<{downloadUrl: string, sharePointManifest: object|undefined}>} The manifest of the
+ * SharePoint upload, when the archive was uploaded
  */
-export async function uploadJobResult({ jobId, sharePointUploadUrl, stage = false }) {
+export async function uploadJobResult({
+  jobId, sharePointUploadUrl, sharePointOptions, downloadDir, extract = true, stage = false, apiUrl, journalPath,
+}) {
   // Fetch the job result
-  const jobResult = await getJobResult(jobId, stage);
+  const jobResult = await getJobResult(jobId, getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath }));
+
+  if (typeof downloadDir === 'string') {
+    await downloadJobArchive({
+      downloadUrl: jobResult.downloadUrl, jobId, downloadDir, extract,
+    });
+  }
+
+  let sharePointManifest;
+  if (typeof sharePointUploadUrl === 'string') {
+    // Upload the import archive to SharePoint
+    sharePointManifest = await uploadZipFromS3ToSharePoint(jobResult.downloadUrl, sharePointUploadUrl, sharePointOptions);
+  }
+  return { downloadUrl: jobResult.downloadUrl, sharePointManifest };
+}
+
+/**
+ * Fetch a one-shot snapshot of an existing job: its status, its progress and, once the job
+ * has finished, the download URL of the import archive. Logs the snapshot to the console.
+ * @param {string} jobId - ID of the job to inspect
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {string} labsUrl - Optional URL of the job management page, AEM_IMPORT_LABS_URL or the labs page by default
+ * @param {string} reportPath - Optional path to write the per-URL report (JSON or CSV) of the job to
+ * @param {string} journalPath - Optional path of the job journal to look up the API URL of the job in, and to
+ * record the state of the job in
+ * @returns {Promise<{jobStatus: object, jobProgress: object, downloadUrl: string|undefined}>}
+ */
+export async function getJobSnapshot({
+  jobId, stage = false, apiUrl, labsUrl, reportPath, journalPath,
+}) {
+  const apiBaseUrl = getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath });
+  const jobStatus = await getJobStatus(jobId, apiBaseUrl);
+  const jobProgress = await getJobProgress(jobId, apiBaseUrl);
+  console.log(chalk.yellow('Job status:'), jobStatus.status, jobStatus);
+  console.log(chalk.yellow('Job progress:'), jobProgress);
+
+  let downloadUrl;
+  if (jobStatus.status === 'COMPLETE') {
+    const jobResult = await getJobResult(jobId, apiBaseUrl);
+    downloadUrl = jobResult.downloadUrl;
+    console.log(chalk.green('Download the import archive:'), downloadUrl);
+  } else if (jobStatus.status === 'RUNNING') {
+    console.log(chalk.yellow('Job can be managed (tracked, stopped, downloaded, etc) at:'));
+    console.log(getJobManagementUrl(jobId, labsUrl));
+  }
+  recordJobStatus(journalPath, jobStatus, downloadUrl);
+
+  if (reportPath) {
+    await reportImportJobs(reportPath, [{ jobId, urls: [] }], apiBaseUrl);
+  }
+
+  return { jobStatus, jobProgress, downloadUrl };
+}
+
+/**
+ * Re-attach to an existing job and poll until it is no longer running. Once finished, the same
+ * post-completion steps as the import command are run (print download URL, download, SharePoint upload).
+ * @param {string} jobId - ID of the job to watch
+ * @param {string} sharePointUploadUrl - Optional SharePoint URL to upload imported files to
+ * @param {object} sharePointOptions - Optional options of the SharePoint upload, see uploadDirectoryToSharePoint
+ * @param {string} downloadDir - Optional directory to download the import archive to
+ * @param {boolean} extract - Whether to extract the downloaded import archive (default: true)
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {string} labsUrl - Optional URL of the job management page, AEM_IMPORT_LABS_URL or the labs page by default
+ * @param {number} pollInterval - Time to wait between polling requests
+ * @param {number} timeout - Optional maximum time to wait for the job to finish, in milliseconds
+ * @param {string} journalPath - Optional path of the job journal to look up the API URL of the job in, and to
+ * record the final state of the job in
+ * @returns {Promise<{jobStatus: object, downloadUrl: string, sharePointManifest: object|undefined}>}
+ * @throws {ImportJobError} When the job did not complete successfully
+ */
+export async function watchImportJob({
+  jobId,
+  sharePointUploadUrl,
+  sharePointOptions,
+  downloadDir,
+  extract = true,
+  stage = false,
+  apiUrl,
+  labsUrl,
+  pollInterval = 5000,
+  timeout,
+  journalPath,
+}) {
+  const apiBaseUrl = getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath });
+  console.log(chalk.yellow(`Watching job ${jobId}...`));
+  console.log(getJobManagementUrl(jobId, labsUrl));
+  return pollJobStatus(jobId, {
+    sharePointUploadUrl, sharePointOptions, downloadDir, extract, apiBaseUrl, pollInterval, timeout, journalPath,
+  });
+}
+
+/**
+ * Stop (cancel) a running import job and report the state the job ended up in.
+ * @param {string} jobId - ID of the job to stop
+ * @param {boolean} stage - Set to true if stage APIs should be used
+ * @param {string} apiUrl - Optional base URL of the import jobs API, AEM_IMPORT_API_URL or the
+ * production or stage endpoint by default
+ * @param {string} journalPath - Optional path of the job journal to look up the API URL of the job in, and to
+ * record the final state of the job in
+ * @returns {Promise<object>} The job status after the stop request
+ */
+export async function stopImportJob({
+  jobId, stage = false, apiUrl, journalPath,
+}) {
+  const apiBaseUrl = getJobApiBaseUrl(jobId, { stage, apiUrl, journalPath });
+  const jobStatus = await getJobStatus(jobId, apiBaseUrl);
+  if (jobStatus.status !== 'RUNNING') {
+    recordJobStatus(journalPath, jobStatus);
+    console.log(chalk.yellow(`Job ${jobId} is not running (status: ${jobStatus.status}), nothing to stop.`));
+    return jobStatus;
+  }
+
+  console.log(chalk.yellow(`Stopping job ${jobId}...`));
+  await requestJobStop(jobId, apiBaseUrl);
 
-  // Upload the import archive to SharePoint
-  await uploadZipFromS3ToSharePoint(jobResult.downloadUrl, sharePointUploadUrl);
+  const finalStatus = await getJobStatus(jobId, apiBaseUrl);
+  recordJobStatus(journalPath, finalStatus);
+  console.log(chalk.green('Job stopped:'), finalStatus.status, finalStatus);
+  return finalStatus;
 }
@@ -0,0 +1,160 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import unzipper from 'unzipper';
+import chalk from 'chalk';
+
+/**
+ * Fetch a ZIP file from a given S3 presigned URL.
+ * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
+ * @returns {Promise<Readable>} A readable stream of the ZIP file
+ */
+async function fetchZip(s3PresignedUrl) {
+  const response = await fetch(s3PresignedUrl);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download ZIP file: ${response.statusText}`);
+  }
+
+  return Readable.fromWeb(response.body);
+}
+
+/**
+ * Download a ZIP file from a given S3 presigned URL and extract it to a directory.
+ * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
+ * @param {string} downloadDirPath - The directory to extract the ZIP file to
+ * @returns {Promise<void>}
+ */
+export async function downloadAndExtractZip(s3PresignedUrl, downloadDirPath) {
+  try {
+    // Stream the ZIP file to the unzipper, writing its contents to the download directory
+    const zipStream = await fetchZip(s3PresignedUrl);
+    await zipStream.pipe(unzipper.Extract({ path: downloadDirPath })).promise();
+    console.log(chalk.green('Download and extraction complete.'));
+  } catch (error) {
+    console.error('Error downloading or extracting the ZIP:', error);
+    throw error;
+  }
+}
+
+/**
+ * Extract a local ZIP file to a directory.
+ * @param {string} zipPath - The path of the ZIP file
+ * @param {string} extractPath - The directory to extract the ZIP file to
+ * @returns {Promise<void>}
+ */
+export async function extractZip(zipPath, extractPath) {
+  await fs.createReadStream(zipPath).pipe(unzipper.Extract({ path: extractPath })).promise();
+}
+
+/**
+ * Download a ZIP file from a given S3 presigned URL and save it as is.
+ * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
+ * @param {string} zipPath - The path to write the ZIP file to
+ * @returns {Promise<void>}
+ */
+export async function downloadZip(s3PresignedUrl, zipPath) {
+  try {
+    fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+    const zipStream = await fetchZip(s3PresignedUrl);
+    await pipeline(zipStream, fs.createWriteStream(zipPath));
+    console.log(chalk.green('Download complete.'));
+  } catch (error) {
+    console.error('Error downloading the ZIP:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read a single file from the import archive at the given S3 presigned URL, without keeping
+ * the rest of the archive in memory or on disk.
+ * @param {string} s3PresignedUrl - The S3 presigned URL of the import archive
+ * @param {RegExp} pattern - Pattern the path of the file inside the archive must match
+ * @returns {Promise<Buffer|undefined>} The content of the first matching file, if any
+ */
+export async function readArchiveEntry(s3PresignedUrl, pattern) {
+  const zipStream = await fetchZip(s3PresignedUrl);
+  let content;
+  await zipStream.pipe(unzipper.Parse())
+    .on('entry', (entry) => {
+      if (content === undefined && entry.type === 'File' && pattern.test(entry.path)) {
+        content = entry.buffer();
+      } else {
+        entry.autodrain();
+      }
+    })
+    .promise();
+  return content;
+}
+
+/**
+ * Locate the well-known artifacts of an extracted import archive: the folder of generated
+ * documents, the JCR content packages (xwalk imports) and the asset mapping file.
+ * @param {string} extractPath - The directory the import archive was extracted to
+ * @returns {{docxPath: string|undefined, packagePaths: Array<string>, assetMappingPath: string|undefined}}
+ */
+export function describeArchiveContents(extractPath) {
+  const docxPath = path.join(extractPath, 'docx');
+  const assetMappingPath = path.join(extractPath, 'asset-mapping.json');
+  const packagePaths = fs.readdirSync(extractPath, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && path.extname(entry.name).toLowerCase() === '.zip')
+    .map((entry) => path.join(extractPath, entry.name));
+
+  return {
+    docxPath: fs.existsSync(docxPath) ? docxPath : undefined,
+    packagePaths,
+    assetMappingPath: fs.existsSync(assetMappingPath) ? assetMappingPath : undefined,
+  };
+}
+
+/**
+ * Download the archive of an import job to a local directory. The archive is either saved as
+ * `<downloadDir>/<jobId>.zip`, or extracted into `<downloadDir>/<jobId>/`. The location of the
+ * archive (and of its well-known artifacts, when extracted) is logged to the console.
+ * @param {string} downloadUrl - The S3 presigned URL of the import archive
+ * @param {string} jobId - ID of the job the archive belongs to
+ * @param {string} downloadDir - The directory to download the archive to
+ * @param {boolean} extract - Whether to extract the archive instead of keeping the ZIP file
+ * @returns {Promise<{archivePath: string|undefined, extractPath: string|undefined}>}
+ */
+export async function downloadJobArchive({
+  downloadUrl, jobId, downloadDir, extract = true,
+}) {
+  if (!extract) {
+    const archivePath = path.resolve(downloadDir, `${jobId}.zip`);
+    console.log(chalk.green(`Downloading job archive to ${archivePath}...`));
+    await downloadZip(downloadUrl, archivePath);
+    return { archivePath, extractPath: undefined };
+  }
+
+  const extractPath = path.resolve(downloadDir, jobId);
+  console.log(chalk.green(`Downloading and extracting job archive to ${extractPath}...`));
+  await downloadAndExtractZip(downloadUrl, extractPath);
+
+  const { docxPath, packagePaths, assetMappingPath } = describeArchiveContents(extractPath);
+  console.log(chalk.green('Import archive extracted to:'), extractPath);
+  if (docxPath) {
+    console.log(chalk.green('  Documents:'), docxPath);
+  }
+  packagePaths.forEach((packagePath) => {
+    console.log(chalk.green('  Content package:'), packagePath);
+  });
+  if (assetMappingPath) {
+    console.log(chalk.green('  Asset mapping:'), assetMappingPath);
+  }
+
+  return { archivePath: undefined, extractPath };
+}
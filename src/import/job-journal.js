@@ -0,0 +1,210 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { IMPORT_API_URLS } from '../utils/env-utils.js';
+
+// The journal of the jobs started from a directory, relative to that directory
+export const JOURNAL_PATH = path.join('.aem-import-helper', 'jobs.json');
+
+/**
+ * The path of the job journal of a directory.
+ * @param {string} cwd - The directory (default: the working directory)
+ * @returns {string}
+ */
+export function getJournalPath(cwd = process.cwd()) {
+  return path.join(cwd, JOURNAL_PATH);
+}
+
+/**
+ * A short fingerprint of a content, e.g. the bundled import script of a job.
+ * @param {string} content - The content
+ * @returns {string} The first 12 characters of the SHA-256 hash of the content
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+}
+
+/**
+ * Read the jobs recorded in a journal, oldest first.
+ * @param {string} journalPath - Path of the journal
+ * @returns {Array<object>} The recorded jobs, empty when the journal does not exist yet
+ */
+export function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  try {
+    const { jobs } = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    return Array.isArray(jobs) ? jobs : [];
+  } catch (error) {
+    throw new Error(`Unable to read the job journal ${journalPath}: ${error.message}`);
+  }
+}
+
+function writeJournal(journalPath, jobs) {
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  // write to a temporary file first, so that an interrupted write does not lose the journal
+  const tempPath = `${journalPath}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify({ jobs }, null, 2)}\n`);
+  fs.renameSync(tempPath, journalPath);
+}
+
+/**
+ * Record a new job in a journal.
+ * @param {string} journalPath - Path of the journal
+ * @param {object} entry - The job, identified by its id
+ * @returns {object} The recorded entry
+ */
+export function addJournalEntry(journalPath, entry) {
+  const jobs = readJournal(journalPath).filter((job) => job.id !== entry.id);
+  const recorded = { ...entry, updatedAt: new Date().toISOString() };
+  writeJournal(journalPath, [...jobs, recorded]);
+  return recorded;
+}
+
+/**
+ * Update a job recorded in a journal, e.g. once its final status is known. Jobs which are not
+ * recorded in the journal (started from another directory or machine) are left alone.
+ * @param {string} journalPath - Path of the journal
+ * @param {string} jobId - ID of the job
+ * @param {object} changes - The properties to set
+ * @returns {object|undefined} The updated entry, if the job is recorded
+ */
+export function updateJournalEntry(journalPath, jobId, changes) {
+  const jobs = readJournal(journalPath);
+  const index = jobs.findIndex((job) => job.id === jobId);
+  if (index === -1) {
+    return undefined;
+  }
+  jobs[index] = { ...jobs[index], ...changes, updatedAt: new Date().toISOString() };
+  writeJournal(journalPath, jobs);
+  return jobs[index];
+}
+
+/**
+ * Find a recorded job by its id, or by the beginning of its id.
+ * @param {Array<object>} jobs - The recorded jobs
+ * @param {string} jobId - The id, or an unambiguous prefix of it
+ * @returns {object|undefined}
+ */
+export function findJournalEntry(jobs, jobId) {
+  const exactMatch = jobs.find((job) => job.id === jobId);
+  if (exactMatch) {
+    return exactMatch;
+  }
+  const matches = jobs.filter((job) => job.id.startsWith(jobId));
+  if (matches.length > 1) {
+    throw new Error(`"${jobId}" matches ${matches.length} jobs, use a longer job id`);
+  }
+  return matches[0];
+}
+
+/**
+ * The endpoint a recorded job was run against: stage, production, or the URL of another
+ * deployment of the import jobs API. Jobs recorded before the API URL was recorded only have
+ * the stage flag.
+ * @param {object} job - The recorded job
+ * @returns {string}
+ */
+export function getJobEndpoint({ stage, apiUrl }) {
+  if (!apiUrl) {
+    return stage ? 'stage' : 'production';
+  }
+  return Object.keys(IMPORT_API_URLS).find((name) => IMPORT_API_URLS[name] === apiUrl) || apiUrl;
+}
+
+/**
+ * Filter the recorded jobs, newest first.
+ * @param {Array<object>} jobs - The recorded jobs
+ * @param {string} status - Only keep the jobs with this status (case insensitive)
+ * @param {string} urls - Only keep the jobs whose URLs file path contains this text
+ * @param {string} importJs - Only keep the jobs whose import script path or hash contains this text
+ * @param {string} endpoint - Only keep the jobs run against this endpoint: stage, production, or
+ * custom for the jobs run against another deployment, see getJobEndpoint
+ * @param {Date} since - Only keep the jobs started at or after this date
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Array<object>}
+ */
+export function filterJournalEntries(jobs, {
+  status, urls, importJs, endpoint, since, limit,
+} = {}) {
+  const matchesEndpoint = (job) => {
+    const jobEndpoint = getJobEndpoint(job);
+    return endpoint === 'custom' ? !(jobEndpoint in IMPORT_API_URLS) : jobEndpoint === endpoint;
+  };
+  const matches = jobs
+    .filter((job) => !status || String(job.status).toLowerCase() === status.toLowerCase())
+    .filter((job) => !urls || (job.urlsFile || '').includes(urls))
+    .filter((job) => !importJs || [job.importJs?.file, job.importJs?.hash]
+      .some((value) => (value || '').includes(importJs)))
+    .filter((job) => !endpoint || matchesEndpoint(job))
+    .filter((job) => !since || new Date(job.startedAt) >= since)
+    .reverse();
+  return limit > 0 ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Print the recorded jobs, one line per job.
+ * @param {Array<object>} jobs - The recorded jobs
+ */
+export function printJournalEntries(jobs) {
+  if (jobs.length === 0) {
+    console.log(chalk.yellow('No jobs found.'));
+    return;
+  }
+  jobs.forEach((job) => {
+    const statusColor = { COMPLETE: chalk.green, RUNNING: chalk.yellow }[job.status] || chalk.red;
+    const details = [
+      `${job.urlCount ?? '?'} URLs`,
+      job.urlsFile && path.basename(job.urlsFile),
+      job.importJs && `import.js ${job.importJs.hash}`,
+      job.batch && `batch ${job.batch.index}/${job.batch.count}`,
+      job.retryOf && `retry of ${job.retryOf}`,
+      getJobEndpoint(job) !== 'production' && getJobEndpoint(job),
+    ].filter(Boolean);
+    console.log(`${job.id}  ${job.startedAt}  ${statusColor(String(job.status).padEnd(8))}  ${chalk.gray(details.join(', '))}`);
+  });
+}
+
+/**
+ * Print the details of a recorded job.
+ * @param {object} job - The recorded job
+ */
+export function printJournalEntry(job) {
+  const rows = [
+    ['Job', job.id],
+    ['Status', job.status],
+    ['Endpoint', getJobEndpoint(job)],
+    ['Started', job.startedAt],
+    ['Finished', job.endTime],
+    ['URLs file', job.urlsFile],
+    ['URLs', job.urlCount],
+    ['Imported', job.successCount],
+    ['Failed', job.failedCount],
+    ['Redirected', job.redirectCount],
+    ['Batch', job.batch && `${job.batch.index} of ${job.batch.count}`],
+    ['Retry of', job.retryOf],
+    ['Import script', job.importJs && `${job.importJs.file} (${job.importJs.hash})`],
+    ['Component models', job.xwalk?.models],
+    ['Component filters', job.xwalk?.filters],
+    ['Component definitions', job.xwalk?.definitions],
+    ['Options', job.options && JSON.stringify(job.options)],
+    ['Download URL', job.downloadUrl],
+    ['Updated', job.updatedAt],
+  ];
+  const knownRows = rows.filter(([, value]) => value !== undefined && value !== null);
+  const width = Math.max(...knownRows.map(([label]) => label.length)) + 2;
+  knownRows.forEach(([label, value]) => console.log(`${chalk.yellow(`${label}:`.padEnd(width))}${value}`));
+}
@@ -0,0 +1,241 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import path from 'path';
+import unzipper from 'unzipper';
+import xml2js from 'xml2js';
+import { writeToFile } from '../utils/fileUtils.js';
+
+export const URL_STATUSES = {
+  COMPLETE: 'complete',
+  REDIRECT: 'redirect',
+  FAILED: 'failed',
+  UNKNOWN: 'unknown',
+};
+
+// The spreadsheet, inside the import archive, listing the outcome of each URL
+export const IMPORT_REPORT_PATTERN = /(^|\/)import-report\.xlsx$/i;
+
+export const FAILED_URLS_FILE_NAME = 'failed-urls.txt';
+
+const CSV_COLUMNS = ['url', 'status', 'reason', 'redirectUrl', 'path', 'jobId'];
+
+// Spreadsheet column headers, lower-cased, mapped to the properties of a report row
+const COLUMN_ALIASES = {
+  url: 'url',
+  'source url': 'url',
+  status: 'status',
+  reason: 'reason',
+  error: 'reason',
+  message: 'reason',
+  redirect: 'redirectUrl',
+  'redirect url': 'redirectUrl',
+  target: 'redirectUrl',
+  path: 'path',
+  file: 'path',
+};
+
+function getText(node) {
+  if (node === undefined) {
+    return '';
+  }
+  if (typeof node === 'string') {
+    return node;
+  }
+  if (Array.isArray(node)) {
+    return node.map(getText).join('');
+  }
+  // <t xml:space="preserve"> elements are parsed as objects holding the text in "_"
+  if (node._ !== undefined || node.$) {
+    return node._ || '';
+  }
+  // rich text runs: <si><r><t>...</t></r>...</si>
+  return getText(node.t) + getText(node.r);
+}
+
+function getColumnIndex(cellReference) {
+  const letters = cellReference.replace(/\d+$/, '');
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Read the rows of the first sheet of an XLSX spreadsheet.
+ * @param {Buffer} xlsx - The content of the spreadsheet
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export async function readSpreadsheetRows(xlsx) {
+  const directory = await unzipper.Open.buffer(xlsx);
+  const readXml = async (name) => {
+    const file = directory.files.find((entry) => entry.path === name);
+    return file ? xml2js.parseStringPromise((await file.buffer()).toString('utf8')) : undefined;
+  };
+
+  const sharedStrings = await readXml('xl/sharedStrings.xml');
+  const strings = (sharedStrings?.sst?.si || []).map(getText);
+  const sheet = await readXml('xl/worksheets/sheet1.xml');
+  const rows = sheet?.worksheet?.sheetData?.[0]?.row || [];
+
+  return rows.map((row) => {
+    const values = [];
+    (row.c || []).forEach((cell) => {
+      const { r: reference, t: type } = cell.$ || {};
+      let value;
+      if (type === 's') {
+        value = strings[Number(getText(cell.v))];
+      } else if (type === 'inlineStr') {
+        value = getText(cell.is);
+      } else {
+        value = getText(cell.v);
+      }
+      values[reference ? getColumnIndex(reference) : values.length] = value;
+    });
+    return Array.from(values, (value) => value ?? '');
+  });
+}
+
+function normalizeStatus(status) {
+  const value = String(status || '').trim().toLowerCase();
+  if (['complete', 'completed', 'success', 'succeeded', 'ok', 'imported'].includes(value)) {
+    return URL_STATUSES.COMPLETE;
+  }
+  if (value.includes('redirect')) {
+    return URL_STATUSES.REDIRECT;
+  }
+  if (value.includes('fail') || value.includes('error')) {
+    return URL_STATUSES.FAILED;
+  }
+  return value || URL_STATUSES.UNKNOWN;
+}
+
+/**
+ * Turn the rows of an import report spreadsheet into per-URL results, using its header row
+ * to locate the columns.
+ * @param {Array<Array<string>>} rows - The rows of the spreadsheet, starting with the header row
+ * @returns {Array<{url: string, status: string, reason: string, redirectUrl: string, path: string}>}
+ */
+export function parseImportReportRows(rows) {
+  const [header = [], ...dataRows] = rows;
+  const columns = header.map((name) => COLUMN_ALIASES[String(name).trim().toLowerCase()]);
+  if (!columns.includes('url')) {
+    return [];
+  }
+
+  return dataRows
+    .map((row) => {
+      const result = {};
+      columns.forEach((property, index) => {
+        if (property && result[property] === undefined && row[index] !== '') {
+          result[property] = row[index];
+        }
+      });
+      return result;
+    })
+    .filter((result) => result.url)
+    .map((result) => ({ ...result, status: normalizeStatus(result.status) }));
+}
+
+/**
+ * The status of a URL when the job does not report per-URL results: only a job which completed
+ * without failures or redirects tells us that every URL was imported.
+ */
+function getFallbackStatus(jobStatus) {
+  const { status, failedCount, redirectCount } = jobStatus;
+  if (status === 'COMPLETE' && !failedCount && !redirectCount) {
+    return { status: URL_STATUSES.COMPLETE };
+  }
+  if (status === 'FAILED' || status === 'STOPPED') {
+    return { status: URL_STATUSES.FAILED, reason: `Job ended with status ${status}` };
+  }
+  return { status: URL_STATUSES.UNKNOWN, reason: 'The job did not report a result for this URL' };
+}
+
+/**
+ * Build the report of one import job: a summary of the job and one row per URL. URLs listed in
+ * the per-URL results of the job use those results, the other submitted URLs get a status
+ * derived from the overall job status.
+ * @param {object} jobStatus - The job status
+ * @param {object} jobProgress - The job progress, if available
+ * @param {Array<string>} urls - The URLs submitted to the job, if known
+ * @param {Array<object>} urlResults - The per-URL results of the job, if available
+ * @returns {{job: object, urls: Array<object>}}
+ */
+export function buildJobReport({
+  jobStatus, jobProgress, urls = [], urlResults = [],
+}) {
+  const rows = new Map();
+  urlResults.forEach((result) => rows.set(result.url, { ...result, jobId: jobStatus.id }));
+  urls.filter((url) => !rows.has(url)).forEach((url) => {
+    rows.set(url, { url, ...getFallbackStatus(jobStatus), jobId: jobStatus.id });
+  });
+
+  return {
+    job: {
+      id: jobStatus.id,
+      status: jobStatus.status,
+      startTime: jobStatus.startTime,
+      endTime: jobStatus.endTime,
+      urlCount: jobStatus.urlCount,
+      successCount: jobStatus.successCount,
+      failedCount: jobStatus.failedCount,
+      redirectCount: jobStatus.redirectCount,
+      progress: jobProgress,
+    },
+    urls: [...rows.values()],
+  };
+}
+
+/**
+ * The URLs of a report which were not imported, i.e. neither complete nor redirected.
+ * @param {Array<{url: string, status: string}>} urlRows - The rows of the report
+ * @returns {Array<string>}
+ */
+export function getFailedUrls(urlRows) {
+  return urlRows
+    .filter(({ status }) => status !== URL_STATUSES.COMPLETE && status !== URL_STATUSES.REDIRECT)
+    .map(({ url }) => url);
+}
+
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the reports of one or more import jobs to a file, as CSV when the file name ends with
+ * .csv or as JSON otherwise. The URLs which were not imported (neither complete nor redirected)
+ * are written, one per line, to a failed-urls.txt file next to the report.
+ * @param {string} reportPath - Path of the report file
+ * @param {Array<{job: object, urls: Array<object>}>} jobReports - The reports of the jobs
+ * @returns {Promise<{reportPath: string, failedUrlsPath: string, failedUrls: Array<string>}>}
+ */
+export async function writeJobReport(reportPath, jobReports) {
+  const urls = jobReports.flatMap((jobReport) => jobReport.urls);
+
+  let content;
+  if (path.extname(reportPath).toLowerCase() === '.csv') {
+    content = [CSV_COLUMNS, ...urls.map((row) => CSV_COLUMNS.map((column) => row[column]))]
+      .map((row) => row.map(toCsvValue).join(','))
+      .join('\n');
+  } else {
+    content = JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      jobs: jobReports.map((jobReport) => jobReport.job),
+      urls,
+    }, null, 2);
+  }
+  await writeToFile(reportPath, `${content}\n`);
+
+  const failedUrls = getFailedUrls(urls);
+  const failedUrlsPath = path.join(path.dirname(reportPath), FAILED_URLS_FILE_NAME);
+  await writeToFile(failedUrlsPath, failedUrls.map((url) => `${url}\n`).join(''));
+
+  return { reportPath, failedUrlsPath, failedUrls };
+}
@@ -0,0 +1,224 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { JSDOM } from 'jsdom';
+import prepareImportScript from './bundler.js';
+import { assertValidImportScript, evaluateImportScript } from './script-validator.js';
+import { createWebImporter } from './web-importer.js';
+
+export const DEFAULT_PREVIEW_BASE_URL = 'http://localhost/';
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Expand the given HTML files and directories into a list of HTML files, each with its path
+ * relative to the directory it was found in, or its name when it was given as a file.
+ * @param {Array<string>} htmlPaths - HTML files, or directories containing HTML files
+ * @returns {Array<{file: string, relativePath: string}>}
+ */
+function collectHtmlFiles(htmlPaths) {
+  return htmlPaths.flatMap((htmlPath) => {
+    if (!fs.existsSync(htmlPath)) {
+      throw new Error(`The file ${htmlPath} does not exist`);
+    }
+    if (!fs.statSync(htmlPath).isDirectory()) {
+      return [{ file: htmlPath, relativePath: path.basename(htmlPath) }];
+    }
+    return fs.readdirSync(htmlPath, { recursive: true })
+      .filter((file) => HTML_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .map((file) => ({ file: path.join(htmlPath, file), relativePath: file }));
+  });
+}
+
+/**
+ * The URL a local HTML file is previewed as: its path relative to the directory it was found
+ * in, without extension, relative to the base URL. An index file is previewed as its folder.
+ * @param {string} relativePath - Path of the HTML file, relative to its input directory
+ * @param {string} baseUrl - The base URL
+ * @returns {string}
+ */
+export function getPreviewUrl(relativePath, baseUrl = DEFAULT_PREVIEW_BASE_URL) {
+  const segments = relativePath.split(/[\\/]/).filter(Boolean);
+  const name = path.basename(segments.pop(), path.extname(relativePath));
+  return new URL([...segments, name === 'index' ? '' : name].join('/'), baseUrl).href;
+}
+
+/**
+ * The document path used by the importer when the import script does not generate one.
+ * @param {string} url - URL of the page
+ * @returns {string}
+ */
+function getDefaultDocumentPath(url) {
+  const { pathname } = new URL(url);
+  const documentPath = pathname.replace(/\.html?$/, '').replace(/\/$/, '/index');
+  return decodeURIComponent(documentPath);
+}
+
+/**
+ * The file, inside the output directory, a transformed document is written to.
+ * @param {string} outputDir - The output directory
+ * @param {string} documentPath - The document path reported by the import script
+ * @returns {string}
+ */
+function getOutputFile(outputDir, documentPath) {
+  const relativePath = documentPath
+    .replace(/\.(docx|html?|md)$/, '')
+    .split('/')
+    .filter((segment) => segment !== '' && segment !== '.' && segment !== '..')
+    .join('/');
+  return path.join(outputDir, `${relativePath || 'index'}.html`);
+}
+
+/**
+ * Run the transformer API of an import script against a source document, the same way the
+ * importer does.
+ * @param {object} transformer - The default export of the import script
+ * @param {object} source - The source document: { document, url, html, params }
+ * @returns {Promise<Array<{element: object, path: string, report: object, from: string}>>}
+ */
+async function transformDocument(transformer, source) {
+  if (typeof transformer.preprocess === 'function') {
+    await transformer.preprocess(source);
+  }
+
+  if (typeof transformer.transform === 'function') {
+    const results = await transformer.transform(source);
+    return (Array.isArray(results) ? results : [results]).filter(Boolean);
+  }
+
+  const element = await transformer.transformDOM(source);
+  const documentPath = typeof transformer.generateDocumentPath === 'function'
+    ? await transformer.generateDocumentPath(source)
+    : getDefaultDocumentPath(source.url);
+  return [{ element, path: documentPath }];
+}
+
+/**
+ * List the URLs of the assets (images and videos) referenced by a transformed element.
+ * @param {object} element - The transformed element
+ * @returns {Array<string>}
+ */
+function getAssetUrls(element) {
+  const urls = [...element.querySelectorAll('img[src], video[src], source[src]')]
+    .map((asset) => asset.src);
+  return [...new Set(urls)];
+}
+
+function toHtmlDocument(element) {
+  const content = element.tagName === 'BODY' ? element.innerHTML : element.outerHTML;
+  return `<!DOCTYPE html>\n<html>\n<head></head>\n<body>\n<main>${content}</main>\n</body>\n</html>\n`;
+}
+
+/**
+ * Preview one HTML file: run the import script against it and write the transformed documents.
+ * A document is not written over the document of another HTML file, see writtenFiles.
+ * @param {Map<string, string>} writtenFiles - The HTML file each output file was written for
+ * @returns {Promise<{source: string, url: string, documents: Array<object>}>}
+ */
+async function previewHtmlFile(code, { file: htmlFile, relativePath }, { outputDir, baseUrl, writtenFiles }) {
+  const url = getPreviewUrl(relativePath, baseUrl);
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  const dom = new JSDOM(html, { url });
+
+  try {
+    const customImportScript = evaluateImportScript(code, {
+      window: dom.window,
+      webImporter: createWebImporter(),
+    });
+    const results = await transformDocument(customImportScript.default, {
+      document: dom.window.document,
+      url,
+      html,
+      params: { originalURL: url },
+    });
+
+    results.forEach(({ element, path: documentPath }) => {
+      const writtenFor = element && writtenFiles.get(getOutputFile(outputDir, documentPath));
+      if (writtenFor && writtenFor !== htmlFile) {
+        throw new Error(`The document ${documentPath} was already produced by ${writtenFor}`);
+      }
+    });
+
+    const documents = results.map(({
+      element, path: documentPath, report, from,
+    }) => {
+      const document = element
+        ? { path: documentPath, file: getOutputFile(outputDir, documentPath), assets: getAssetUrls(element) }
+        // the importer downloads these (e.g. PDFs) as they are, nothing to preview
+        : { path: documentPath, from };
+      if (report) {
+        document.report = report;
+      }
+      if (element) {
+        fs.mkdirSync(path.dirname(document.file), { recursive: true });
+        fs.writeFileSync(document.file, toHtmlDocument(element));
+        writtenFiles.set(document.file, htmlFile);
+      }
+      return document;
+    });
+    return { source: htmlFile, url, documents };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * Run an import script locally against saved HTML files, without the import service. The
+ * transformed documents are written as HTML to the output directory, together with a
+ * preview-report.json listing the documents and the asset URLs they reference.
+ * @param {string} importJsPath - Path to the import.js file
+ * @param {Array<string>} htmlPaths - HTML files, or directories containing HTML files
+ * @param {string} outputDir - Directory to write the transformed documents to
+ * @param {string} baseUrl - The base URL the HTML files are previewed as (default: http://localhost/)
+ * @returns {Promise<{reportPath: string, results: Array<object>}>}
+ */
+export async function previewImportScript({
+  importJsPath,
+  htmlPaths,
+  outputDir,
+  baseUrl = DEFAULT_PREVIEW_BASE_URL,
+}) {
+  const htmlFiles = collectHtmlFiles(htmlPaths);
+  if (htmlFiles.length === 0) {
+    throw new Error('No HTML files found');
+  }
+
+  const code = prepareImportScript(importJsPath);
+  assertValidImportScript(code, importJsPath);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const results = [];
+  const writtenFiles = new Map();
+  for (const htmlFile of htmlFiles) {
+    const { file } = htmlFile;
+    try {
+      const result = await previewHtmlFile(code, htmlFile, { outputDir, baseUrl, writtenFiles });
+      result.documents.forEach((document) => {
+        console.log(chalk.green(`${file} -> ${document.file || document.from}`),
+          document.assets ? chalk.gray(`(${document.assets.length} assets)`) : '');
+      });
+      results.push(result);
+    } catch (error) {
+      console.error(chalk.red(`${file}: ${error.message}`));
+      results.push({ source: file, error: error.message });
+    }
+  }
+
+  const reportPath = path.join(outputDir, 'preview-report.json');
+  fs.writeFileSync(reportPath, JSON.stringify(results, null, 2));
+
+  return { reportPath, results };
+}
@@ -0,0 +1,165 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import readline from 'readline';
+import chalk from 'chalk';
+
+// Minimum time between two progress lines when the output is not a terminal
+export const PLAIN_LOG_INTERVAL = 30000;
+
+const BAR_WIDTH = 20;
+
+/**
+ * Format a duration as a short human readable string, e.g. 1h 02m, 3m 05s or 12s.
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${pad(Math.floor((seconds % 3600) / 60))}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Compute the progress of a job from the URL counts of its /progress response: the number of
+ * processed URLs, the elapsed time and, once some URLs were processed, the estimated remaining time.
+ * @param {object} counts - The URL counts: completed, failed, redirect and optionally pending
+ * @param {number} total - The total number of URLs, derived from the counts when not known
+ * @param {number} startTime - When the job started, in milliseconds since the epoch
+ * @param {number} now - The current time, in milliseconds since the epoch
+ * @returns {{completed: number, failed: number, redirect: number, processed: number, total: number,
+ * elapsed: number, eta: number|undefined}}
+ */
+export function computeProgress({
+  counts = {}, total, startTime, now = Date.now(),
+}) {
+  const completed = counts.completed || 0;
+  const failed = counts.failed || 0;
+  const redirect = counts.redirect || 0;
+  const processed = completed + failed + redirect;
+  const urlCount = total || processed + (counts.pending || 0) + (counts.running || 0);
+  const elapsed = Math.max(0, now - startTime);
+  const eta = processed > 0 && urlCount > processed
+    ? (elapsed / processed) * (urlCount - processed)
+    : undefined;
+
+  return {
+    completed, failed, redirect, processed, total: urlCount, elapsed, eta,
+  };
+}
+
+/**
+ * Format the progress of a job as a single line.
+ * @param {object} progress - The progress, see computeProgress
+ * @param {string} label - Optional text to prefix the line with
+ * @param {boolean} bar - Whether to include a progress bar
+ * @returns {string}
+ */
+export function formatProgressLine(progress, { label, bar = false } = {}) {
+  const {
+    processed, total, failed, redirect, elapsed, eta,
+  } = progress;
+  const parts = [];
+  if (label) {
+    parts.push(label);
+  }
+  const percent = total > 0 ? Math.floor((processed / total) * 100) : 0;
+  const urls = `${processed}/${total} URLs (${percent}%)`;
+  if (bar) {
+    const filled = total > 0 ? Math.min(BAR_WIDTH, Math.round((processed / total) * BAR_WIDTH)) : 0;
+    parts.push(`[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${urls}`);
+  } else {
+    parts.push(urls);
+  }
+  parts.push(`${failed} failed, ${redirect} redirected`);
+  parts.push(`elapsed ${formatDuration(elapsed)}`);
+  parts.push(`ETA ${eta === undefined ? '--' : formatDuration(eta)}`);
+  return parts.join(' | ');
+}
+
+/**
+ * Create a display for the progress of running jobs. In a terminal, the progress is shown on a
+ * single line which is rewritten on every update. Otherwise, a plain line is printed at most
+ * every logInterval milliseconds, so that CI logs are not flooded.
+ * @param {object} stream - The stream to write to (default: process.stdout)
+ * @param {boolean} interactive - Whether to rewrite a single line (default: when the stream is a terminal)
+ * @param {number} logInterval - Minimum time between two plain lines
+ * @param {number} startTime - When the tracked jobs started, in milliseconds since the epoch
+ * @returns {{update: function, clear: function, stop: function}}
+ */
+export function createProgressDisplay({
+  stream = process.stdout,
+  interactive = Boolean(stream.isTTY),
+  logInterval = PLAIN_LOG_INTERVAL,
+  startTime = Date.now(),
+} = {}) {
+  let lastLogTime;
+  let lineShown = false;
+
+  /**
+   * Show the latest progress.
+   * @param {object} counts - The URL counts of the /progress response
+   * @param {number} total - The total number of URLs, if known
+   * @param {string} label - Optional text to prefix the progress with
+   */
+  const update = ({ counts, total, label }) => {
+    const now = Date.now();
+    const progress = computeProgress({
+      counts, total, startTime, now,
+    });
+
+    if (interactive) {
+      const line = formatProgressLine(progress, { label, bar: true });
+      readline.cursorTo(stream, 0);
+      readline.clearLine(stream, 0);
+      stream.write(chalk.yellow(stream.columns ? line.slice(0, stream.columns - 1) : line));
+      lineShown = true;
+    } else if (lastLogTime === undefined || now - lastLogTime >= logInterval) {
+      stream.write(`${chalk.yellow('Progress:')} ${formatProgressLine(progress, { label })}\n`);
+      lastLogTime = now;
+    }
+  };
+
+  // Remove the progress line, so that other messages can be printed
+  const clear = () => {
+    if (lineShown) {
+      readline.cursorTo(stream, 0);
+      readline.clearLine(stream, 0);
+      lineShown = false;
+    }
+  };
+
+  // Leave the last progress line in place, and move to the next line
+  const stop = () => {
+    if (lineShown) {
+      stream.write('\n');
+      lineShown = false;
+    }
+  };
+
+  return { update, clear, stop };
+}
+
+/**
+ * When the job started, falling back to now when the job status does not tell.
+ * @param {object} jobStatus - The job status
+ * @returns {number}
+ */
+export function getJobStartTime(jobStatus) {
+  const startTime = Date.parse(jobStatus?.startTime);
+  return Number.isNaN(startTime) ? Date.now() : startTime;
+}
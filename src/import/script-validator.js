@@ -0,0 +1,169 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import vm from 'vm';
+import chalk from 'chalk';
+import { JSDOM } from 'jsdom';
+import { ValidationError } from '../errors.js';
+
+const EVALUATION_TIMEOUT = 5000;
+
+// Globals every sandbox provides on its own (Object, Array, Promise, ...)
+const JS_BUILTINS = new Set(vm.runInNewContext('Object.getOwnPropertyNames(globalThis)'));
+
+// Functions of the transformer API, the importer calls each of them with a single object
+const TRANSFORMER_FUNCTIONS = ['preprocess', 'transform', 'transformDOM', 'generateDocumentPath'];
+
+export class ImportScriptError extends ValidationError {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ImportScriptError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A stand-in for the WebImporter global provided by the importer: any property access or
+ * call returns another stub, so scripts that use it while loading can still be evaluated.
+ * @returns {Proxy}
+ */
+function createWebImporterStub() {
+  const stub = new Proxy(function webImporterStub() {}, {
+    get: (target, property) => (property === Symbol.toPrimitive ? () => '' : stub),
+    apply: () => stub,
+    construct: () => stub,
+  });
+  return stub;
+}
+
+/**
+ * Evaluate a bundled import script in a sandbox exposing the DOM of the given window, and
+ * return the object it exposes as CustomImportScript.
+ * @param {string} code - The bundled import script
+ * @param {object} window - The JSDOM window the script runs against
+ * @param {object} webImporter - The WebImporter global made available to the script
+ * @returns {object|undefined}
+ */
+export function evaluateImportScript(code, { window, webImporter = createWebImporterStub() }) {
+  // Expose the browser globals (window, document, URL, HTMLElement, ...) but keep the
+  // JavaScript builtins of the sandbox itself
+  const sandbox = { console, WebImporter: webImporter };
+  Object.getOwnPropertyNames(window)
+    .filter((name) => !JS_BUILTINS.has(name) && !(name in sandbox))
+    .forEach((name) => {
+      try {
+        sandbox[name] = window[name];
+      } catch (error) {
+        // some properties are not available without a browsing context
+      }
+    });
+
+  const context = vm.createContext(sandbox);
+  new vm.Script(code, { filename: 'import.bundle.js' })
+    .runInContext(context, { timeout: EVALUATION_TIMEOUT });
+  return context.CustomImportScript;
+}
+
+/**
+ * Evaluate a bundled import script against an empty page.
+ * @param {string} code - The bundled import script
+ * @returns {object|undefined}
+ */
+function evaluateInEmptyPage(code) {
+  const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'https://example.com/',
+  });
+  try {
+    return evaluateImportScript(code, { window });
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Check that a bundled import script exposes the transformer API expected by the importer:
+ * a default export with either a transform function, or a transformDOM function and an
+ * optional generateDocumentPath function.
+ * @param {string} code - The bundled import script
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export function validateImportScript(code) {
+  const errors = [];
+  const warnings = [];
+
+  let customImportScript;
+  try {
+    customImportScript = evaluateInEmptyPage(code);
+  } catch (error) {
+    errors.push(`The import script failed to load: ${error.message}`);
+    return { errors, warnings };
+  }
+
+  if (!customImportScript) {
+    errors.push('The import script does not define CustomImportScript');
+    return { errors, warnings };
+  }
+
+  const transformer = customImportScript.default;
+  if (transformer === undefined || transformer === null) {
+    errors.push('The import script has no default export, export an object with a transform or transformDOM function');
+    return { errors, warnings };
+  }
+  if (typeof transformer !== 'object') {
+    errors.push(`The default export of the import script must be an object, got ${typeof transformer}`);
+    return { errors, warnings };
+  }
+
+  TRANSFORMER_FUNCTIONS
+    .filter((name) => transformer[name] !== undefined)
+    .forEach((name) => {
+      if (typeof transformer[name] !== 'function') {
+        errors.push(`${name} must be a function, got ${typeof transformer[name]}`);
+      } else if (transformer[name].length > 1) {
+        warnings.push(`${name} declares ${transformer[name].length} parameters, but is called with a single object`
+          + ' ({ document, url, html, params })');
+      }
+    });
+
+  if (transformer.transform === undefined && transformer.transformDOM === undefined) {
+    errors.push('The default export of the import script must define a transform or transformDOM function');
+  } else if (transformer.transform !== undefined) {
+    if (transformer.transformDOM !== undefined) {
+      warnings.push('transformDOM is ignored because transform is defined');
+    }
+    if (transformer.generateDocumentPath !== undefined) {
+      warnings.push('generateDocumentPath is ignored because transform is defined, return the path from transform instead');
+    }
+  } else if (transformer.generateDocumentPath === undefined) {
+    warnings.push('generateDocumentPath is not defined, the document path will be derived from the URL');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a bundled import script, print its warnings and throw when it is invalid.
+ * @param {string} code - The bundled import script
+ * @param {string} importJsPath - Path of the import script, used in messages
+ * @throws {ImportScriptError} When the script does not expose the expected transformer API
+ */
+export function assertValidImportScript(code, importJsPath) {
+  const { errors, warnings } = validateImportScript(code);
+
+  warnings.forEach((warning) => console.warn(chalk.yellow(`${importJsPath}: ${warning}`)));
+
+  if (errors.length > 0) {
+    throw new ImportScriptError(
+      `Invalid import script ${importJsPath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`,
+      errors,
+    );
+  }
+}
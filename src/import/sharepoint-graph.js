@@ -0,0 +1,486 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'node:fs';
+import chalk from 'chalk';
+import { AuthenticationError } from '../errors.js';
+import { isHttpUrl } from '../utils/env-utils.js';
+import {
+  getDefaultRequestOptions,
+  getRetryDelay,
+  isRetryable,
+  parseJsonResponse,
+  parseRetryAfter,
+  RequestError,
+} from '../utils/http-utils.js';
+
+export const DEFAULT_GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+export const DEFAULT_LOGIN_URL = 'https://login.microsoftonline.com';
+
+// Permissions requested on behalf of the user signing in with a device code
+const DELEGATED_SCOPES = [
+  'https://graph.microsoft.com/Files.ReadWrite.All',
+  'https://graph.microsoft.com/Sites.ReadWrite.All',
+  'offline_access',
+];
+
+// Permissions of the application itself, as granted to it in Microsoft Entra
+const APPLICATION_SCOPE = 'https://graph.microsoft.com/.default';
+
+// Files up to this size are uploaded in a single request, larger ones with an upload session
+export const SIMPLE_UPLOAD_LIMIT = 4 * 1024 * 1024;
+
+// Upload session chunks must be a multiple of 320 KiB, this is 10 MiB
+export const UPLOAD_CHUNK_SIZE = 32 * 320 * 1024;
+
+// Access tokens are renewed when they expire within this delay, in milliseconds
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// quickXorHash shifts each byte by 11 bits in a 160 bits (20 bytes) value
+const QUICK_XOR_WIDTH = 20;
+const QUICK_XOR_SHIFT = 11;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * The Microsoft Graph settings, read from the environment. The Graph and login endpoints can be
+ * changed to test against a local stand-in of the APIs.
+ * @param {object} env - The environment (default: process.env)
+ * @returns {{graphUrl: string, loginUrl: string, tenantId: string, clientId: string,
+ * clientSecret: string, accessToken: string}}
+ */
+export function getGraphSettings(env = process.env) {
+  const trimSlashes = (url) => url.replace(/\/+$/, '');
+  return {
+    graphUrl: trimSlashes(env.AEM_IMPORT_GRAPH_URL || DEFAULT_GRAPH_URL),
+    loginUrl: trimSlashes(env.AEM_IMPORT_LOGIN_URL || DEFAULT_LOGIN_URL),
+    tenantId: env.AEM_IMPORT_SHAREPOINT_TENANT_ID,
+    clientId: env.AEM_IMPORT_SHAREPOINT_CLIENT_ID,
+    clientSecret: env.AEM_IMPORT_SHAREPOINT_CLIENT_SECRET,
+    accessToken: env.AEM_IMPORT_SHAREPOINT_TOKEN,
+  };
+}
+
+/**
+ * Find what is missing or invalid in the environment to upload to SharePoint with Microsoft Graph.
+ * @param {object} env - The environment (default: process.env)
+ * @returns {Array<string>} A description of each problem, empty when the environment is ready
+ */
+export function findGraphSettingsProblems(env = process.env) {
+  const problems = [];
+  if (!env.AEM_IMPORT_SHAREPOINT_TOKEN) {
+    ['AEM_IMPORT_SHAREPOINT_TENANT_ID', 'AEM_IMPORT_SHAREPOINT_CLIENT_ID']
+      .filter((name) => !env[name])
+      .forEach((name) => problems.push(`Ensure the ${name} environment variable is set to upload to SharePoint `
+        + '(or set AEM_IMPORT_SHAREPOINT_TOKEN, or use --sharepoint-uploader m365).'));
+  }
+  ['AEM_IMPORT_GRAPH_URL', 'AEM_IMPORT_LOGIN_URL'].forEach((name) => {
+    if (env[name] && !isHttpUrl(env[name])) {
+      problems.push(`${name} must be an http(s) URL, got: ${env[name]}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Send a single request and return its response, or throw a RequestError for non-OK responses,
+ * network errors and timeouts.
+ */
+async function sendGraphRequest(url, { method, headers, body }, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    let res;
+    let text;
+    try {
+      res = await fetch(url, {
+        method, headers, body, signal: controller.signal,
+      });
+      if (res.ok) {
+        text = await res.text();
+      }
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      const message = timedOut ? `timed out after ${timeout}ms` : `failed: ${error.message}`;
+      throw new RequestError(`Request ${method} ${url} ${message}`, {
+        method, url, timedOut, cause: error,
+      });
+    }
+
+    if (res.ok) {
+      return text ? parseJsonResponse(text, { status: res.status, method, url }) : {};
+    }
+
+    const responseBody = await res.text().catch(() => '');
+    throw new RequestError(`Request ${method} ${url} failed with status code ${res.status}: ${responseBody}`, {
+      status: res.status,
+      retryAfter: parseRetryAfter(res.headers.get('retry-after')),
+      method,
+      url,
+      body: responseBody,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a request to Microsoft Graph or the login endpoint and return its JSON response. Throttled
+ * requests (429, 503) are retried after the Retry-After delay, idempotent requests are also
+ * retried on other 5xx statuses, network errors and timeouts.
+ * @param {string} url - The URL of the request
+ * @param {string} method - The HTTP method (default: GET)
+ * @param {object} headers - The request headers
+ * @param {string|Buffer|URLSearchParams} body - Optional request body
+ * @param {boolean} idempotent - Whether the request can be sent again safely (default: GET and PUT)
+ * @returns {Promise<object>} The parsed JSON response, empty for responses without a body
+ * @throws {RequestError} When the last attempt failed
+ */
+export async function graphRequest(url, {
+  method = 'GET', headers = {}, body, idempotent = ['GET', 'PUT'].includes(method),
+} = {}) {
+  const {
+    retries, retryDelay, maxRetryDelay, timeout,
+  } = getDefaultRequestOptions();
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await sendGraphRequest(url, { method, headers, body }, timeout);
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt > retries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+      await sleep(getRetryDelay(error, attempt, { retryDelay, maxRetryDelay }));
+    }
+  }
+}
+
+function getOAuthError(error) {
+  try {
+    return JSON.parse(error.body);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sign in with a device code: the user opens a page, enters the code printed to the console and
+ * signs in, while the token endpoint is polled until the sign in is complete.
+ */
+async function signInWithDeviceCode({ loginUrl, tenantId, clientId }) {
+  const oauthUrl = `${loginUrl}/${encodeURIComponent(tenantId)}/oauth2/v2.0`;
+  const deviceCode = await graphRequest(`${oauthUrl}/devicecode`, {
+    method: 'POST',
+    body: new URLSearchParams({ client_id: clientId, scope: DELEGATED_SCOPES.join(' ') }),
+  });
+  console.log(chalk.yellow(deviceCode.message
+    || `To sign in to SharePoint, open ${deviceCode.verification_uri} and enter the code ${deviceCode.user_code}`));
+
+  let interval = (deviceCode.interval ?? 5) * 1000;
+  const expiresAt = Date.now() + (deviceCode.expires_in ?? 900) * 1000;
+  while (Date.now() < expiresAt) {
+    await sleep(interval);
+    try {
+      return await graphRequest(`${oauthUrl}/token`, {
+        method: 'POST',
+        body: new URLSearchParams({
+          grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+          client_id: clientId,
+          device_code: deviceCode.device_code,
+        }),
+      });
+    } catch (error) {
+      const { error: code, error_description: description } = getOAuthError(error);
+      if (code === 'slow_down') {
+        interval += 5000;
+      } else if (code !== 'authorization_pending') {
+        throw new AuthenticationError(`SharePoint sign in failed: ${description || error.message}`, { cause: error });
+      }
+    }
+  }
+  throw new AuthenticationError('SharePoint sign in failed: the device code expired before the sign in was completed');
+}
+
+/**
+ * Create a function which returns a Microsoft Graph access token. The token is acquired on first
+ * use and renewed when it expires: with the client secret when one is set (client credentials),
+ * otherwise with the refresh token of a device code sign in. A token set in the
+ * AEM_IMPORT_SHAREPOINT_TOKEN environment variable is used as is.
+ * @param {object} settings - The Graph settings, see getGraphSettings
+ * @returns {function(): Promise<string>}
+ */
+export function createTokenProvider(settings) {
+  const {
+    loginUrl, tenantId, clientId, clientSecret, accessToken,
+  } = settings;
+  let token;
+  let tokenPromise;
+
+  async function requestToken(params) {
+    try {
+      return await graphRequest(`${loginUrl}/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`, {
+        method: 'POST',
+        body: new URLSearchParams({ client_id: clientId, ...params }),
+      });
+    } catch (error) {
+      const { error_description: description } = getOAuthError(error);
+      throw new AuthenticationError(`SharePoint authentication failed: ${description || error.message}`, { cause: error });
+    }
+  }
+
+  async function acquireToken() {
+    if (clientSecret) {
+      return requestToken({ grant_type: 'client_credentials', client_secret: clientSecret, scope: APPLICATION_SCOPE });
+    }
+    if (token?.refreshToken) {
+      return requestToken({ grant_type: 'refresh_token', refresh_token: token.refreshToken, scope: DELEGATED_SCOPES.join(' ') });
+    }
+    return signInWithDeviceCode(settings);
+  }
+
+  return async function getAccessToken() {
+    if (accessToken) {
+      return accessToken;
+    }
+    if (token && token.expiresAt - TOKEN_EXPIRY_MARGIN >= Date.now()) {
+      return token.accessToken;
+    }
+    // Concurrent uploads share the same token request
+    if (!tokenPromise) {
+      tokenPromise = acquireToken()
+        .then((response) => {
+          token = {
+            accessToken: response.access_token,
+            refreshToken: response.refresh_token || token?.refreshToken,
+            expiresAt: Date.now() + (response.expires_in ?? 3600) * 1000,
+          };
+          return token.accessToken;
+        })
+        .finally(() => {
+          tokenPromise = undefined;
+        });
+    }
+    return tokenPromise;
+  };
+}
+
+/**
+ * Compute the quickXorHash of a file, the hash SharePoint reports for the files of its document
+ * libraries, see https://learn.microsoft.com/en-us/onedrive/developer/code-snippets/quickxorhash
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} The base64 encoded hash
+ */
+export async function quickXorHash(filePath) {
+  const hash = Buffer.alloc(QUICK_XOR_WIDTH);
+  const widthInBits = QUICK_XOR_WIDTH * 8;
+  let length = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    for (const byte of chunk) {
+      const bitOffset = (length * QUICK_XOR_SHIFT) % widthInBits;
+      const shifted = byte << (bitOffset % 8);
+      const index = Math.floor(bitOffset / 8);
+      hash[index] ^= shifted & 0xff;
+      // the bits of the byte past the last byte of the hash wrap around to the first one
+      hash[(index + 1) % QUICK_XOR_WIDTH] ^= shifted >> 8;
+      length += 1;
+    }
+  }
+  // the length of the file is XORed into the last 8 bytes, as a little-endian 64 bits integer
+  const lengthBytes = Buffer.alloc(8);
+  lengthBytes.writeBigUInt64LE(BigInt(length));
+  lengthBytes.forEach((byte, i) => {
+    hash[QUICK_XOR_WIDTH - 8 + i] ^= byte;
+  });
+  return hash.toString('base64');
+}
+
+/**
+ * Whether a local file has the same content as a file of SharePoint: same size and same hash.
+ * When SharePoint reports no hash, the remote file is up to date if it was modified after the
+ * local one.
+ * @param {string} filePath - Path of the local file
+ * @param {object} item - The drive item of the remote file
+ * @returns {Promise<boolean>}
+ */
+export async function isSameFile(filePath, item) {
+  const { size, mtimeMs } = await fs.promises.stat(filePath);
+  if (item.size !== size) {
+    return false;
+  }
+  const remoteHash = item.file?.hashes?.quickXorHash;
+  if (remoteHash) {
+    return remoteHash === await quickXorHash(filePath);
+  }
+  return Date.parse(item.lastModifiedDateTime) >= mtimeMs;
+}
+
+/**
+ * Create a SharePoint uploader using Microsoft Graph. The document library and the destination
+ * folder are resolved on the first upload, missing folders are created and large files are
+ * uploaded in chunks with an upload session.
+ * @param {string} siteUrl - The URL of the SharePoint site, e.g. https://example.sharepoint.com/sites/example
+ * @param {string} basePath - The path of the destination folder in the site, starting with the
+ * document library, e.g. /Shared Documents/destination-directory
+ * @param {object} settings - The Graph settings (default: read from the environment, see getGraphSettings)
+ * @returns {{uploadFile: function(string, string): Promise<object>, findUnchangedFile: function(string, string): Promise<object|undefined>}}
+ * uploadFile uploads a local file to a folder relative to the destination folder and returns the
+ * created drive item, findUnchangedFile returns the drive item of the remote copy of a local file
+ * when it is up to date
+ */
+export function createGraphUploader(siteUrl, basePath, settings = getGraphSettings()) {
+  const { graphUrl } = settings;
+  const getAccessToken = createTokenProvider(settings);
+  const [library, ...baseFolders] = basePath.split('/').filter(Boolean);
+  const folderIds = new Map();
+  let drivePromise;
+
+  async function request(url, options = {}) {
+    const headers = { Authorization: `Bearer ${await getAccessToken()}`, ...options.headers };
+    try {
+      return await graphRequest(url, { ...options, headers });
+    } catch (error) {
+      // An expired token, or one without access to the site: no other request can succeed either
+      if (error.status === 401 || error.status === 403) {
+        throw new AuthenticationError(`SharePoint rejected the access token: ${error.message}`, { cause: error });
+      }
+      throw error;
+    }
+  }
+
+  async function resolveDrive() {
+    const { hostname, pathname: sitePath } = new URL(siteUrl);
+    const site = await request(`${graphUrl}/sites/${hostname}:${encodeURI(sitePath)}`);
+    const { value: drives = [] } = await request(`${graphUrl}/sites/${site.id}/drives`);
+    const libraryPath = `${sitePath}/${library}`;
+    const drive = drives.find((candidate) => candidate.webUrl
+        && decodeURIComponent(new URL(candidate.webUrl).pathname) === libraryPath)
+      || drives.find((candidate) => candidate.name === library);
+    if (!drive) {
+      throw new Error(`Document library "${library}" not found in the SharePoint site ${siteUrl}`);
+    }
+    return drive.id;
+  }
+
+  function getDriveId() {
+    if (!drivePromise) {
+      drivePromise = resolveDrive();
+      // do not cache failures, so that a retry of the upload looks the drive up again
+      drivePromise.catch(() => {
+        drivePromise = undefined;
+      });
+    }
+    return drivePromise;
+  }
+
+  async function createFolder(parentId, name) {
+    const driveId = await getDriveId();
+    try {
+      const folder = await request(`${graphUrl}/drives/${driveId}/items/${parentId}/children`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' }),
+      });
+      return folder.id;
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+      // the folder already exists
+      const folder = await request(`${graphUrl}/drives/${driveId}/items/${parentId}:/${encodeURIComponent(name)}`);
+      return folder.id;
+    }
+  }
+
+  // The id of a folder, created with its missing parents. Concurrent uploads share the same promise.
+  function ensureFolder(segments) {
+    const key = segments.join('/');
+    if (!folderIds.has(key)) {
+      const folderId = segments.length === 0
+        ? Promise.resolve('root')
+        : ensureFolder(segments.slice(0, -1)).then((parentId) => createFolder(parentId, segments.at(-1)));
+      // do not cache failures, so that a retry of the upload creates the folder again
+      folderId.catch(() => folderIds.delete(key));
+      folderIds.set(key, folderId);
+    }
+    return folderIds.get(key);
+  }
+
+  async function uploadInChunks(itemUrl, filePath, size) {
+    const session = await request(`${itemUrl}/createUploadSession`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ item: { '@microsoft.graph.conflictBehavior': 'replace' } }),
+    });
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+      let item;
+      for (let start = 0; start < size; start += UPLOAD_CHUNK_SIZE) {
+        const { buffer, bytesRead } = await file.read({
+          buffer: Buffer.alloc(Math.min(UPLOAD_CHUNK_SIZE, size - start)),
+          position: start,
+        });
+        // the upload URL is pre-authenticated, it must not be sent the access token
+        item = await graphRequest(session.uploadUrl, {
+          method: 'PUT',
+          headers: {
+            'Content-Length': String(bytesRead),
+            'Content-Range': `bytes ${start}-${start + bytesRead - 1}/${size}`,
+          },
+          body: buffer.subarray(0, bytesRead),
+        });
+      }
+      return item;
+    } finally {
+      await file.close();
+    }
+  }
+
+  const getFolderSegments = (relativeFolder) => [...baseFolders, ...relativeFolder.split(/[\\/]/).filter(Boolean)];
+
+  async function findUnchangedFile(filePath, relativeFolder = '') {
+    const driveId = await getDriveId();
+    const fileName = filePath.split(/[\\/]/).at(-1);
+    const itemPath = [...getFolderSegments(relativeFolder), fileName].map(encodeURIComponent).join('/');
+    let item;
+    try {
+      item = await request(`${graphUrl}/drives/${driveId}/root:/${itemPath}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return undefined;
+      }
+      throw error;
+    }
+    return await isSameFile(filePath, item) ? item : undefined;
+  }
+
+  async function uploadFile(filePath, relativeFolder = '') {
+    const segments = getFolderSegments(relativeFolder);
+    const [driveId, folderId] = await Promise.all([getDriveId(), ensureFolder(segments)]);
+    const fileName = filePath.split(/[\\/]/).at(-1);
+    const itemUrl = `${graphUrl}/drives/${driveId}/items/${folderId}:/${encodeURIComponent(fileName)}:`;
+    const { size } = await fs.promises.stat(filePath);
+
+    if (size > SIMPLE_UPLOAD_LIMIT) {
+      return uploadInChunks(itemUrl, filePath, size);
+    }
+    return request(`${itemUrl}/content`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: await fs.promises.readFile(filePath),
+    });
+  }
+
+  return { uploadFile, findUnchangedFile };
+}
@@ -12,42 +12,91 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { execSync } from 'node:child_process';
-import { Readable } from 'node:stream';
-import unzipper from 'unzipper';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
 import chalk from 'chalk';
+import { describeArchiveContents, downloadAndExtractZip, extractZip } from './job-archive.js';
+import { createGraphUploader } from './sharepoint-graph.js';
+import { writeToFile } from '../utils/fileUtils.js';
+import { AuthenticationError, UploadError } from '../errors.js';
+
+// The ways files can be uploaded to SharePoint: with Microsoft Graph, or with a globally installed m365 CLI
+export const SHAREPOINT_UPLOADERS = ['graph', 'm365'];
 
 // Maximum number of times to retry uploading a file to SharePoint
 const UPLOAD_RETRY_LIMIT = 2;
 
-// Temporary directory to store the extracted files
-const downloadDirDefault = `extracted-files-${Date.now()}`;
+// Number of files uploaded at the same time by default
+export const DEFAULT_UPLOAD_CONCURRENCY = 4;
+
+// CLI options of the commands which upload to SharePoint, see getSharePointOptions
+export const SHAREPOINT_OPTIONS = {
+  'sharepoint-uploader': {
+    describe: 'how to upload files to SharePoint: with Microsoft Graph (graph), or with a globally installed m365 CLI '
+      + '(default: AEM_IMPORT_SHAREPOINT_UPLOADER, or graph)',
+    type: 'string',
+    choices: SHAREPOINT_UPLOADERS,
+    global: false,
+  },
+  'sharepoint-concurrency': {
+    describe: `number of files uploaded to SharePoint at the same time (default: AEM_IMPORT_SHAREPOINT_CONCURRENCY, or ${DEFAULT_UPLOAD_CONCURRENCY})`,
+    type: 'number',
+    global: false,
+  },
+  'sharepoint-skip-unchanged': {
+    describe: 'do not upload the files which are already in SharePoint with the same content (graph uploader only)',
+    type: 'boolean',
+    global: false,
+  },
+  'sharepoint-manifest': {
+    describe: 'path to a JSON file to write the uploaded, skipped and failed files to, with their SharePoint URLs',
+    type: 'string',
+    global: false,
+  },
+};
 
 /**
- * Download a ZIP file from a given S3 presigned URL and extract it to a directory.
- * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
- * @param {string} downloadDirPath - The directory to extract the ZIP file to
- * @returns {Promise<void>}
+ * The upload options of the SharePoint options of a command, as accepted by
+ * uploadDirectoryToSharePoint. Options which are not given are left undefined, so that they
+ * default to the settings of the environment.
+ * @param {string} sharepointUploader - One of SHAREPOINT_UPLOADERS
+ * @param {number} sharepointConcurrency - Number of files uploaded at the same time
+ * @param {boolean} sharepointSkipUnchanged - Whether to skip the files which are up to date
+ * @param {string} sharepointManifest - Path of the manifest to write
+ * @returns {{uploader: string, concurrency: number, skipUnchanged: boolean, manifestPath: string}}
  */
-async function downloadAndExtractZip(s3PresignedUrl, downloadDirPath) {
-  try {
-    // Download the ZIP file using fetch
-    const response = await fetch(s3PresignedUrl);
-
-    if (!response.ok) {
-      throw new Error(`Failed to download ZIP file: ${response.statusText}`);
-    }
+export function getSharePointOptions({
+  sharepointUploader, sharepointConcurrency, sharepointSkipUnchanged, sharepointManifest,
+}) {
+  return {
+    uploader: sharepointUploader,
+    concurrency: sharepointConcurrency,
+    skipUnchanged: sharepointSkipUnchanged,
+    manifestPath: sharepointManifest,
+  };
+}
 
-    // Stream the ZIP file to the unzipper, writing its contents to the download directory
-    await Readable.fromWeb(response.body).pipe(unzipper.Extract({ path: downloadDirPath })).promise();
-    console.log(chalk.green('Download and extraction complete.'));
-  } catch (error) {
-    console.error('Error downloading or extracting the ZIP:', error);
-    throw error;
-  }
+/**
+ * The default settings of the SharePoint uploads, read from the environment.
+ * @param {object} env - The environment (default: process.env)
+ * @returns {{uploader: string, concurrency: number, skipUnchanged: boolean, manifestPath: string}}
+ */
+export function getSharePointSettings(env = process.env) {
+  const concurrency = Number.parseInt(env.AEM_IMPORT_SHAREPOINT_CONCURRENCY, 10);
+  return {
+    uploader: env.AEM_IMPORT_SHAREPOINT_UPLOADER || 'graph',
+    concurrency: concurrency > 0 ? concurrency : DEFAULT_UPLOAD_CONCURRENCY,
+    skipUnchanged: env.AEM_IMPORT_SHAREPOINT_SKIP_UNCHANGED === 'true',
+    manifestPath: env.AEM_IMPORT_SHAREPOINT_MANIFEST || undefined,
+  };
 }
 
-function parseSharePointUrl(sharepointUrl) {
+/**
+ * Split a SharePoint folder link into the URL of its site and the path of the folder in the site.
+ * @param {string} sharepointUrl - The SharePoint folder link
+ * @returns {{siteUrl: string, basePath: string}}
+ */
+export function parseSharePointUrl(sharepointUrl) {
   // Parse the URL using the URL object
   const urlObj = new URL(sharepointUrl);
 
@@ -75,82 +124,281 @@ function parseSharePointUrl(sharepointUrl) {
   };
 }
 
+// Characters cmd.exe gives a meaning to, even in a quoted argument
+const CMD_METACHARACTERS = /([()\][%!^"`<>&|;, *?])/g;
+
 /**
- * Download a .zip file from a given S3 presigned URL and upload its contents to a SharePoint site.
- * Includes a basic retry mechanism which will re-attempt to upload a file up to UPLOAD_RETRY_LIMIT times.
- * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
- * @param {string} sharePointUrl - The SharePoint URL to upload the extracted files to
- * @param {boolean} cleanup - Whether to cleanup the tmp download directory after the upload
- * @returns {Promise<void>}
+ * Quote an argument of a Windows command line, then escape it for cmd.exe. The arguments of a
+ * batch file such as m365.cmd are parsed by cmd.exe twice, once on the command line and once
+ * when the batch file passes them on, so its metacharacters are escaped twice.
+ * @param {string} arg - The argument
+ * @returns {string} The escaped argument
  */
-export async function uploadZipFromS3ToSharePoint(s3PresignedUrl, sharePointUrl, cleanup = true) {
-  const successfulUploads = [];
-  const failedUploads = [];
-
-  async function uploadFileToSharePoint(filePath, relativeFolder, retries = 0) {
-    const fileName = path.basename(filePath);
-    const relativeFilePath = `${relativeFolder}/${fileName}`;
-
-    try {
-      const { siteUrl, basePath } = parseSharePointUrl(sharePointUrl);
-      // The following command depends on a globally installed m365 CLI
-      const command = `m365 spo file add --webUrl ${siteUrl} --folder "${basePath}/${relativeFolder}" --path "${filePath}" --contentType "Document"`;
-
-      // Execute the m365 CLI command to upload the file. It this command exits with a non-zero code, it will throw.
-      execSync(command, { stdio: 'inherit' });
-
-      console.log(`File uploaded: ${relativeFilePath}`);
-      successfulUploads.push(relativeFilePath);
-    } catch (error) {
-      console.warn(chalk.yellow(`Error uploading ${relativeFilePath} to SharePoint:`), error);
-      // Retry if we have not reached the attempt limit
-      if (retries < UPLOAD_RETRY_LIMIT) {
-        const retryAttempt = retries + 1;
-        console.log(chalk.yellow(`Retry ${retryAttempt} of ${UPLOAD_RETRY_LIMIT}...`));
-        await uploadFileToSharePoint(filePath, relativeFolder, retryAttempt);
+function escapeCmdArgument(arg) {
+  // backslashes are only special before a quote, including the closing one
+  const quoted = `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(CMD_METACHARACTERS, '^$1').replace(CMD_METACHARACTERS, '^$1');
+}
+
+/**
+ * Create an uploader which runs `m365 spo file add` for each file. The arguments are passed to
+ * the CLI as is, rather than in a shell command, so that file names need no escaping. On
+ * Windows, m365.cmd can only be run by cmd.exe, and each argument is escaped for it.
+ * @param {string} siteUrl - The URL of the SharePoint site
+ * @param {string} basePath - The path of the destination folder in the site
+ * @returns {{uploadFile: function(string, string): Promise<{webUrl: string}>}}
+ */
+export function createM365Uploader(siteUrl, basePath) {
+  const run = promisify(execFile);
+  return {
+    async uploadFile(filePath, relativeFolder = '') {
+      const folder = [basePath, ...relativeFolder.split(/[\\/]/)].filter(Boolean).join('/');
+      const args = ['spo', 'file', 'add', '--webUrl', siteUrl, '--folder', folder, '--path', filePath, '--contentType', 'Document'];
+      // If the command exits with a non-zero code, it will throw
+      if (process.platform === 'win32') {
+        const commandLine = ['m365', ...args.map(escapeCmdArgument)].join(' ');
+        await run(process.env.comspec || 'cmd.exe', ['/d', '/s', '/c', `"${commandLine}"`], { windowsVerbatimArguments: true });
       } else {
-        console.error(chalk.red(`Failed to upload file: ${relativeFilePath} after ${retries} retries`));
-        failedUploads.push(relativeFilePath);
-        // Future: if a single file upload fails, should we stop the entire process?
+        await run('m365', args);
       }
+      const fileUrlPath = [...folder.split('/'), path.basename(filePath)].filter(Boolean).map(encodeURIComponent).join('/');
+      return { webUrl: `${siteUrl}/${fileUrlPath}` };
+    },
+  };
+}
+
+/**
+ * List the files of a directory and its subdirectories.
+ * @param {string} dirPath - The directory
+ * @param {string} relativeFolder - The path of the directory relative to the listed root
+ * @returns {Array<{filePath: string, relativeFolder: string}>}
+ */
+function listFiles(dirPath, relativeFolder = '') {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+    const filePath = path.join(dirPath, entry.name);
+    return entry.isDirectory()
+      ? listFiles(filePath, path.posix.join(relativeFolder, entry.name))
+      : [{ filePath, relativeFolder }];
+  });
+}
+
+// The last pending write of each manifest, see writeManifest
+const manifestWrites = new Map();
+
+/**
+ * Add the files of an upload to a manifest. The files of an earlier upload to the same
+ * SharePoint URL are kept, unless they were uploaded again, so that a manifest tells the latest
+ * state of every file across re-runs (and across the jobs of a batch). The writes to the same
+ * manifest are queued, so that the concurrent jobs of a batch do not drop each other's files.
+ * @param {string} manifestPath - Path of the manifest
+ * @param {string} sharePointUrl - The SharePoint URL the files were uploaded to
+ * @param {Array<object>} files - The files of the upload
+ * @returns {Promise<object>} The written manifest
+ */
+function writeManifest(manifestPath, sharePointUrl, files) {
+  const key = path.resolve(manifestPath);
+  const previousWrite = manifestWrites.get(key) || Promise.resolve();
+  // a failed write is reported to its own caller, the next one still runs
+  const write = previousWrite.catch(() => {}).then(() => mergeManifest(manifestPath, sharePointUrl, files));
+  manifestWrites.set(key, write);
+  const forget = () => {
+    if (manifestWrites.get(key) === write) {
+      manifestWrites.delete(key);
+    }
+  };
+  write.then(forget, forget);
+  return write;
+}
+
+async function mergeManifest(manifestPath, sharePointUrl, files) {
+  let previousFiles = [];
+  try {
+    const previous = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (previous.sharePointUrl === sharePointUrl && Array.isArray(previous.files)) {
+      previousFiles = previous.files;
     }
+  } catch {
+    // no previous manifest, or not one we can add to
+  }
+  const filesByPath = new Map([...previousFiles, ...files].map((file) => [file.path, file]));
+  const manifest = summarizeUpload(sharePointUrl, [...filesByPath.values()]);
+  await writeToFile(manifestPath, `${JSON.stringify({ generatedAt: new Date().toISOString(), ...manifest }, null, 2)}\n`);
+  return manifest;
+}
+
+function summarizeUpload(sharePointUrl, files) {
+  const count = (status) => files.filter((file) => file.status === status).length;
+  return {
+    sharePointUrl,
+    uploaded: count('uploaded'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    files,
+  };
+}
+
+/**
+ * Upload the files of a local directory to a SharePoint folder, preserving the directory
+ * structure. Several files are uploaded at the same time, and each file is retried up to
+ * UPLOAD_RETRY_LIMIT times. The options which are not given, or undefined, default to the
+ * settings of the environment, see getSharePointSettings.
+ * @param {string} dirPath - The directory to upload
+ * @param {string} sharePointUrl - The SharePoint URL to upload the files to
+ * @param {string} uploader - How to upload the files, one of SHAREPOINT_UPLOADERS
+ * @param {number} concurrency - Number of files uploaded at the same time
+ * @param {boolean} skipUnchanged - Do not upload the files which are already in SharePoint with
+ * the same content (graph uploader only)
+ * @param {string} manifestPath - Optional path of a JSON manifest of the upload to write
+ * @returns {Promise<{sharePointUrl: string, uploaded: number, skipped: number, failed: number,
+ * files: Array<{path: string, status: string, url: string, error: string}>}>} The manifest of the upload
+ */
+export async function uploadDirectoryToSharePoint(dirPath, sharePointUrl, options = {}) {
+  const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const {
+    uploader, concurrency, skipUnchanged, manifestPath,
+  } = { ...getSharePointSettings(), ...definedOptions };
+  const { siteUrl, basePath } = parseSharePointUrl(sharePointUrl);
+  const sharePoint = uploader === 'm365'
+    ? createM365Uploader(siteUrl, basePath)
+    : createGraphUploader(siteUrl, basePath);
+  if (skipUnchanged && !sharePoint.findUnchangedFile) {
+    console.warn(chalk.yellow(`Unchanged files cannot be detected with the ${uploader} uploader, all files are uploaded.`));
   }
 
-  async function uploadDirectoryToSharePoint(dirPath, rootFolder = '') {
-    const files = fs.readdirSync(dirPath);
+  async function uploadFile({ filePath, relativeFolder }) {
+    const relativeFilePath = path.posix.join(relativeFolder, path.basename(filePath));
 
-    for (const file of files) {
-      const fullPath = path.join(dirPath, file);
-      const relativePath = path.join(rootFolder, file);
+    for (let retries = 0; ; retries += 1) {
+      try {
+        const unchanged = skipUnchanged && await sharePoint.findUnchangedFile?.(filePath, relativeFolder);
+        if (unchanged) {
+          console.log(chalk.gray(`File unchanged: ${relativeFilePath}`));
+          return { path: relativeFilePath, status: 'skipped', url: unchanged.webUrl };
+        }
+        const item = await sharePoint.uploadFile(filePath, relativeFolder);
+        console.log(`File uploaded: ${relativeFilePath}`);
+        return { path: relativeFilePath, status: 'uploaded', url: item?.webUrl };
+      } catch (error) {
+        // Without valid credentials, no other file can be uploaded either
+        if (error instanceof AuthenticationError) {
+          throw error;
+        }
+        console.warn(chalk.yellow(`Error uploading ${relativeFilePath} to SharePoint:`), error.message);
+        if (retries >= UPLOAD_RETRY_LIMIT) {
+          console.error(chalk.red(`Failed to upload file: ${relativeFilePath} after ${retries} retries`));
+          return { path: relativeFilePath, status: 'failed', error: error.message };
+        }
+        console.log(chalk.yellow(`Retry ${retries + 1} of ${UPLOAD_RETRY_LIMIT}...`));
+      }
+    }
+  }
 
-      if (fs.lstatSync(fullPath).isDirectory()) {
-        // Recursively upload files in subdirectories
-        await uploadDirectoryToSharePoint(fullPath, relativePath);
-      } else {
-        // Upload individual file
-        await uploadFileToSharePoint(fullPath, rootFolder);
+  const files = listFiles(dirPath);
+  const results = [];
+  let nextIndex = 0;
+  async function uploadNextFiles() {
+    while (nextIndex < files.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = await uploadFile(files[index]);
+      } catch (error) {
+        // the other workers do not start uploading another file
+        nextIndex = files.length;
+        throw error;
       }
     }
   }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, files.length)) }, uploadNextFiles));
+
+  const manifest = summarizeUpload(sharePointUrl, results);
+  console.log(chalk.green(`SharePoint upload operation complete. Successful uploads: ${manifest.uploaded}, `
+    + `skipped uploads: ${manifest.skipped}, failed uploads: ${manifest.failed}`));
+  if (manifestPath) {
+    await writeManifest(manifestPath, sharePointUrl, results);
+    console.log(chalk.green(`SharePoint upload manifest written to ${manifestPath}`));
+  }
+  return manifest;
+}
+
+/**
+ * Throw when some files of the given SharePoint uploads could not be uploaded, so that a
+ * partial upload fails a command whatever it uploaded.
+ * @param {Array<object|undefined>} manifests - The manifests of the uploads, undefined when nothing was uploaded
+ * @throws {UploadError} When some files could not be uploaded
+ */
+export function assertSharePointUploads(manifests) {
+  const uploads = manifests.filter(Boolean);
+  const failed = uploads.reduce((count, manifest) => count + manifest.failed, 0);
+  if (failed > 0) {
+    const total = uploads.reduce((count, manifest) => count + manifest.files.length, 0);
+    throw new UploadError(`${failed} of ${total} files could not be uploaded to SharePoint`);
+  }
+}
+
+// Temporary directory to store the extracted files, unique so that the archives of concurrent jobs do not mix
+function getExtractDir() {
+  return `extracted-files-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Upload the documents of a local import archive to a SharePoint folder: the files of its docx
+ * folder, or all its files when it has none. See uploadDirectoryToSharePoint for the options.
+ * @param {string} archivePath - The path of the import archive (.zip)
+ * @param {string} sharePointUrl - The SharePoint URL to upload the documents to
+ * @param {boolean} cleanup - Whether to delete the extracted files after the upload (default: true)
+ * @param {object} options - The options of uploadDirectoryToSharePoint
+ * @returns {Promise<object>} The manifest of the upload
+ */
+export async function uploadArchiveToSharePoint(archivePath, sharePointUrl, { cleanup = true, ...options } = {}) {
+  const extractDir = getExtractDir();
+  try {
+    console.log(chalk.green(`Extracting ${archivePath}...`));
+    await extractZip(archivePath, extractDir);
+
+    const { docxPath } = describeArchiveContents(extractDir);
+    console.log(chalk.green(`Uploading ${docxPath ? 'the documents of ' : ''}${archivePath} to SharePoint URL ${sharePointUrl}`));
+    return await uploadDirectoryToSharePoint(docxPath || extractDir, sharePointUrl, options);
+  } finally {
+    if (cleanup) {
+      fs.rmSync(extractDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Download a .zip file from a given S3 presigned URL and upload its contents to a SharePoint site,
+ * see uploadDirectoryToSharePoint.
+ * @param {string} s3PresignedUrl - The S3 presigned URL to download the ZIP file from
+ * @param {string} sharePointUrl - The SharePoint URL to upload the extracted files to
+ * @param {boolean} cleanup - Whether to cleanup the tmp download directory after the upload
+ * @param {object} options - The options of uploadDirectoryToSharePoint
+ * @returns {Promise<object>} The manifest of the upload
+ * @throws {AuthenticationError} When the SharePoint credentials are rejected
+ * @throws {UploadError} When the archive could not be downloaded or uploaded
+ */
+export async function uploadZipFromS3ToSharePoint(s3PresignedUrl, sharePointUrl, { cleanup = true, ...options } = {}) {
+  const downloadDir = getExtractDir();
 
   console.log(chalk.green(`Starting document upload to SharePoint URL ${sharePointUrl}`));
 
   try {
     // Step 1: Download and extract the ZIP file
     console.log(chalk.green('Downloading job archive...'));
-    await downloadAndExtractZip(s3PresignedUrl, downloadDirDefault);
+    await downloadAndExtractZip(s3PresignedUrl, downloadDir);
 
     // Step 2: Upload files to SharePoint, preserving the directory structure
     console.log(chalk.green('Uploading job artifacts to SharePoint...'));
-    await uploadDirectoryToSharePoint(path.join(downloadDirDefault, 'docx'));
-
+    return await uploadDirectoryToSharePoint(path.join(downloadDir, 'docx'), sharePointUrl, options);
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+    throw new UploadError(`Unable to upload the job archive to SharePoint: ${error.message}`, { cause: error });
+  } finally {
     // Step 3: cleanup the download directory
     if (cleanup) {
-      fs.rmSync(downloadDirDefault, { recursive: true });
+      fs.rmSync(downloadDir, { recursive: true, force: true });
     }
-
-    console.log(chalk.green(`SharePoint upload operation complete. Successful uploads: ${successfulUploads.length}, failed uploads: ${failedUploads.length}`));
-  } catch (error) {
-    console.error('Error during SharePoint upload:', error);
   }
 }
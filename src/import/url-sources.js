@@ -0,0 +1,340 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import chalk from 'chalk';
+import xml2js from 'xml2js';
+
+export const URL_SOURCE_FORMATS = {
+  TEXT: 'text',
+  SITEMAP: 'sitemap',
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Column names (case-insensitive) which are used to find the URL column of a CSV or JSON source
+const URL_COLUMN_NAMES = ['url', 'urls', 'address', 'loc', 'location', 'page', 'link'];
+
+/**
+ * Detect the format of a URL source from its file extension, falling back to its content.
+ * @param {string} filePath - Path to the URL source
+ * @param {string} content - Content of the URL source
+ * @returns {string} One of URL_SOURCE_FORMATS
+ */
+export function detectUrlSourceFormat(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.xml') {
+    return URL_SOURCE_FORMATS.SITEMAP;
+  }
+  if (ext === '.csv') {
+    return URL_SOURCE_FORMATS.CSV;
+  }
+  if (ext === '.json') {
+    return URL_SOURCE_FORMATS.JSON;
+  }
+
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('<?xml') || trimmed.startsWith('<urlset') || trimmed.startsWith('<sitemapindex')) {
+    return URL_SOURCE_FORMATS.SITEMAP;
+  }
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return URL_SOURCE_FORMATS.JSON;
+  }
+  return URL_SOURCE_FORMATS.TEXT;
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+}
+
+/**
+ * Parse newline-delimited text, one URL per line.
+ * @param {string} content - The text content
+ * @returns {Array<string>}
+ */
+function parseText(content) {
+  return content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Parse CSV content into rows of cells. Supports quoted cells containing separators,
+ * escaped quotes ("") and line breaks.
+ * @param {string} content - The CSV content
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop empty lines
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Find the index of the URL column in the first row of a CSV source.
+ * @param {Array<string>} firstRow - The first row of the CSV source
+ * @param {string|number} urlColumn - Optional column name or (0-based) index
+ * @returns {{index: number, hasHeader: boolean}}
+ */
+function findCsvUrlColumn(firstRow, urlColumn) {
+  const headers = firstRow.map((value) => value.trim().toLowerCase());
+
+  if (urlColumn !== undefined && urlColumn !== '') {
+    if (/^\d+$/.test(String(urlColumn))) {
+      const index = Number(urlColumn);
+      return { index, hasHeader: !isUrl(firstRow[index]) };
+    }
+    const index = headers.indexOf(String(urlColumn).trim().toLowerCase());
+    if (index === -1) {
+      throw new Error(`Column "${urlColumn}" not found in CSV header: ${firstRow.join(', ')}`);
+    }
+    return { index, hasHeader: true };
+  }
+
+  const namedIndex = headers.findIndex((header) => URL_COLUMN_NAMES.includes(header));
+  if (namedIndex !== -1) {
+    return { index: namedIndex, hasHeader: true };
+  }
+
+  const urlIndex = firstRow.findIndex(isUrl);
+  return urlIndex !== -1 ? { index: urlIndex, hasHeader: false } : { index: 0, hasHeader: true };
+}
+
+/**
+ * Extract URLs from a CSV source, such as the export of a crawler.
+ * @param {string} content - The CSV content
+ * @param {string|number} urlColumn - Optional column name or (0-based) index holding the URLs
+ * @returns {Array<string>}
+ */
+function parseCsvUrls(content, urlColumn) {
+  const rows = parseCsv(content);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const { index, hasHeader } = findCsvUrlColumn(rows[0], urlColumn);
+  return rows.slice(hasHeader ? 1 : 0)
+    .map((cells) => (cells[index] || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extract URLs from a JSON source: an array of URLs, an array of objects holding a URL
+ * property, or an object with such an array under a "urls" (or "data") property.
+ * @param {string} content - The JSON content
+ * @param {string} urlColumn - Optional name of the property holding the URL
+ * @returns {Array<string>}
+ */
+function parseJsonUrls(content, urlColumn) {
+  let json = JSON.parse(content);
+  if (!Array.isArray(json)) {
+    json = json.urls || json.data;
+  }
+  if (!Array.isArray(json)) {
+    throw new Error('Expected a JSON array of URLs, or an object with a "urls" array');
+  }
+
+  return json.map((entry) => {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (entry && typeof entry === 'object') {
+      if (urlColumn) {
+        return entry[urlColumn];
+      }
+      const key = Object.keys(entry).find((name) => URL_COLUMN_NAMES.includes(name.toLowerCase()));
+      return key ? entry[key] : undefined;
+    }
+    return undefined;
+  }).filter((url) => typeof url === 'string' && url.trim() !== '').map((url) => url.trim());
+}
+
+/**
+ * Resolve the location of a nested sitemap to a local file. Locations may be a relative path,
+ * a file: URL, or a remote URL of which a file with the same name exists next to the index.
+ * @param {string} loc - The location listed in the sitemap index
+ * @param {string} baseDir - Directory of the sitemap index
+ * @returns {string|undefined} The local path, or undefined if the sitemap is not available locally
+ */
+function resolveLocalSitemap(loc, baseDir) {
+  if (loc.startsWith('file:')) {
+    return fileURLToPath(loc);
+  }
+  if (isUrl(loc)) {
+    const fileName = path.basename(new URL(loc).pathname);
+    const candidate = path.join(baseDir, fileName);
+    return fileName && fs.existsSync(candidate) ? candidate : undefined;
+  }
+  return path.resolve(baseDir, loc);
+}
+
+/**
+ * Extract URLs from a sitemap, following nested sitemaps of a sitemap index which are
+ * available locally.
+ * @param {string} filePath - Path to the sitemap
+ * @param {string} content - The sitemap XML content
+ * @param {Set<string>} visited - Sitemaps which have already been read, to avoid cycles
+ * @returns {Promise<Array<string>>}
+ */
+async function parseSitemapUrls(filePath, content, visited = new Set()) {
+  visited.add(path.resolve(filePath));
+  const xml = await xml2js.parseStringPromise(content);
+
+  if (xml.urlset) {
+    return (xml.urlset.url || [])
+      .map((entry) => (entry.loc && entry.loc[0] ? String(entry.loc[0]).trim() : undefined))
+      .filter(Boolean);
+  }
+
+  if (xml.sitemapindex) {
+    const urls = [];
+    const baseDir = path.dirname(filePath);
+    for (const entry of xml.sitemapindex.sitemap || []) {
+      const loc = entry.loc && entry.loc[0] ? String(entry.loc[0]).trim() : '';
+      const sitemapPath = loc ? resolveLocalSitemap(loc, baseDir) : undefined;
+      if (!sitemapPath || !fs.existsSync(sitemapPath)) {
+        console.warn(chalk.yellow(`Skipping sitemap which is not available locally: ${loc}`));
+        continue;
+      }
+      if (visited.has(path.resolve(sitemapPath))) {
+        continue;
+      }
+      const nested = fs.readFileSync(sitemapPath, 'utf8');
+      urls.push(...await parseSitemapUrls(sitemapPath, nested, visited));
+    }
+    return urls;
+  }
+
+  throw new Error(`${filePath} is not a sitemap: expected a <urlset> or <sitemapindex> root element`);
+}
+
+/**
+ * Convert a filter pattern into a regular expression. Patterns written as /expression/flags
+ * are regular expressions, anything else is a glob where * matches any characters and ?
+ * matches a single character.
+ * @param {string} pattern - The filter pattern
+ * @returns {RegExp}
+ */
+export function toUrlMatcher(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Apply include and exclude filters to a list of URLs. A URL is kept when it matches at
+ * least one include pattern (if any are given) and none of the exclude patterns.
+ * @param {Array<string>} urls - The URLs to filter
+ * @param {Array<string>} include - Optional glob or /regex/ patterns of URLs to keep
+ * @param {Array<string>} exclude - Optional glob or /regex/ patterns of URLs to drop
+ * @returns {Array<string>}
+ */
+export function filterUrls(urls, { include = [], exclude = [] } = {}) {
+  const includeMatchers = include.map(toUrlMatcher);
+  const excludeMatchers = exclude.map(toUrlMatcher);
+  return urls.filter((url) => (includeMatchers.length === 0 || includeMatchers.some((matcher) => matcher.test(url)))
+    && !excludeMatchers.some((matcher) => matcher.test(url)));
+}
+
+/**
+ * Read the list of URLs to import from a local file. Newline-delimited text, sitemaps
+ * (including sitemap indexes), CSV and JSON files are supported.
+ * @param {string} filePath - Path to the URL source
+ * @param {string} format - Optional format of the source, detected when omitted
+ * @param {string|number} urlColumn - Optional CSV column (name or index) or JSON property holding the URLs
+ * @param {Array<string>} include - Optional glob or /regex/ patterns of URLs to keep
+ * @param {Array<string>} exclude - Optional glob or /regex/ patterns of URLs to drop
+ * @returns {Promise<Array<string>>}
+ */
+export async function readUrls(filePath, {
+  format, urlColumn, include, exclude,
+} = {}) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const sourceFormat = format || detectUrlSourceFormat(filePath, content);
+
+  let urls;
+  switch (sourceFormat) {
+    case URL_SOURCE_FORMATS.SITEMAP:
+      urls = await parseSitemapUrls(filePath, content);
+      break;
+    case URL_SOURCE_FORMATS.CSV:
+      urls = parseCsvUrls(content, urlColumn);
+      break;
+    case URL_SOURCE_FORMATS.JSON:
+      urls = parseJsonUrls(content, urlColumn);
+      break;
+    case URL_SOURCE_FORMATS.TEXT:
+      urls = parseText(content);
+      break;
+    default:
+      throw new Error(`Unsupported URL source format: ${sourceFormat}`);
+  }
+
+  const filteredUrls = filterUrls(urls, {
+    include: [].concat(include || []),
+    exclude: [].concat(exclude || []),
+  });
+  console.log(chalk.yellow(`Read ${urls.length} URLs from ${filePath} (${sourceFormat})`
+    + `${filteredUrls.length !== urls.length ? `, ${filteredUrls.length} left after filtering` : ''}.`));
+  return filteredUrls;
+}
@@ -0,0 +1,172 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import chalk from 'chalk';
+
+export const TRAILING_SLASH_POLICIES = {
+  KEEP: 'keep',
+  ADD: 'add',
+  REMOVE: 'remove',
+};
+
+// Maximum number of issues of each kind printed to the console
+const MAX_PRINTED_ISSUES = 10;
+
+function stripTrailingSlash(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') || '/' : pathname;
+}
+
+/**
+ * Normalize a URL: drop its fragment and default port, and apply the trailing slash policy.
+ * The host is lower-cased by the URL parser.
+ * @param {string} input - The URL to normalize
+ * @param {string} trailingSlash - One of TRAILING_SLASH_POLICIES
+ * @returns {URL} The normalized URL
+ * @throws {Error} When the URL cannot be parsed or does not use the http(s) protocol
+ */
+export function normalizeUrl(input, trailingSlash = TRAILING_SLASH_POLICIES.KEEP) {
+  const url = new URL(input.trim());
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol ${url.protocol}`);
+  }
+
+  url.hash = '';
+  if (trailingSlash === TRAILING_SLASH_POLICIES.REMOVE) {
+    url.pathname = stripTrailingSlash(url.pathname);
+  } else if (trailingSlash === TRAILING_SLASH_POLICIES.ADD) {
+    const lastSegment = url.pathname.split('/').pop();
+    // Paths pointing at a file (e.g. /page.html) are left untouched
+    if (!url.pathname.endsWith('/') && !lastSegment.includes('.')) {
+      url.pathname = `${url.pathname}/`;
+    }
+  }
+  return url;
+}
+
+/**
+ * Find the host most URLs belong to.
+ * @param {Array<URL>} urls - Parsed URLs
+ * @returns {string|undefined}
+ */
+function findMainHost(urls) {
+  const counts = new Map();
+  urls.forEach(({ host }) => counts.set(host, (counts.get(host) || 0) + 1));
+  let mainHost;
+  counts.forEach((count, host) => {
+    if (!mainHost || count > counts.get(mainHost)) {
+      mainHost = host;
+    }
+  });
+  return mainHost;
+}
+
+/**
+ * Validate, normalize and de-duplicate a list of URLs before they are submitted to an import
+ * job. Blank lines and comments (starting with #) are ignored. URLs which only differ by their
+ * fragment or trailing slash are duplicates, the first occurrence is kept.
+ *
+ * When allowedHosts is given, URLs of other hosts are invalid. Otherwise URLs which do not
+ * belong to the host most URLs belong to are flagged, but kept.
+ *
+ * Issues are reported with the entry of the URL: its position in the given list, from 1. It
+ * is not a line number of the URLs file, whose blank lines, comments and filtered out URLs are
+ * dropped when it is read, and sitemaps, CSV and JSON files have no line per URL anyway.
+ * @param {Array<string>} urls - The URLs to validate
+ * @param {string} trailingSlash - One of TRAILING_SLASH_POLICIES (default: keep)
+ * @param {Array<string>} allowedHosts - Optional list of hosts URLs may belong to
+ * @returns {{urls: Array<string>, report: object}} The URLs to import and the validation report
+ */
+export function validateUrls(urls, { trailingSlash = TRAILING_SLASH_POLICIES.KEEP, allowedHosts = [] } = {}) {
+  const report = {
+    total: 0,
+    valid: 0,
+    invalid: [],
+    duplicates: [],
+    normalized: [],
+    unexpectedHosts: [],
+  };
+  const allowed = new Set(allowedHosts.map((host) => host.toLowerCase()));
+  const seen = new Map();
+  const parsed = [];
+
+  (Array.isArray(urls) ? urls : []).forEach((input, index) => {
+    const entry = index + 1;
+    if (typeof input !== 'string') {
+      report.total += 1;
+      report.invalid.push({ entry, input: String(input), reason: 'Not a string' });
+      return;
+    }
+    const trimmed = input.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+    report.total += 1;
+
+    let url;
+    try {
+      url = normalizeUrl(trimmed, trailingSlash);
+    } catch (error) {
+      report.invalid.push({ entry, input: trimmed, reason: error.message });
+      return;
+    }
+
+    if (allowed.size > 0 && !allowed.has(url.host) && !allowed.has(url.hostname)) {
+      report.invalid.push({ entry, input: trimmed, reason: `Host ${url.host} is not allowed` });
+      return;
+    }
+
+    const key = `${url.origin}${stripTrailingSlash(url.pathname)}${url.search}`;
+    if (seen.has(key)) {
+      report.duplicates.push({ entry, input: trimmed, duplicateOf: seen.get(key) });
+      return;
+    }
+    seen.set(key, url.href);
+
+    if (url.href !== trimmed) {
+      report.normalized.push({ entry, input: trimmed, url: url.href });
+    }
+    parsed.push(url);
+  });
+
+  if (allowed.size === 0) {
+    const mainHost = findMainHost(parsed);
+    report.unexpectedHosts = parsed
+      .filter(({ host }) => host !== mainHost)
+      .map((url) => ({ url: url.href, host: url.host, expectedHost: mainHost }));
+  }
+
+  report.valid = parsed.length;
+  return { urls: parsed.map((url) => url.href), report };
+}
+
+function printIssues(title, issues, format) {
+  if (issues.length === 0) {
+    return;
+  }
+  console.log(chalk.yellow(`${title} (${issues.length}):`));
+  issues.slice(0, MAX_PRINTED_ISSUES).forEach((issue) => console.log(chalk.yellow(`  ${format(issue)}`)));
+  if (issues.length > MAX_PRINTED_ISSUES) {
+    console.log(chalk.yellow(`  ... and ${issues.length - MAX_PRINTED_ISSUES} more`));
+  }
+}
+
+/**
+ * Print a summary of a URL validation report to the console.
+ * @param {object} report - The report returned by validateUrls
+ */
+export function printUrlReport(report) {
+  console.log(chalk.yellow(`URL validation: ${report.valid} of ${report.total} URLs will be imported `
+    + `(${report.invalid.length} invalid, ${report.duplicates.length} duplicates, ${report.normalized.length} normalized).`));
+  printIssues('Invalid URLs', report.invalid, ({ entry, input, reason }) => `entry ${entry}: ${input} (${reason})`);
+  printIssues('Duplicate URLs', report.duplicates, ({ entry, input, duplicateOf }) => `entry ${entry}: ${input} (duplicate of ${duplicateOf})`);
+  printIssues('URLs from unexpected hosts', report.unexpectedHosts, ({ url, expectedHost }) => `${url} (expected ${expectedHost})`);
+}
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/*
+ * A minimal, local implementation of the WebImporter global the import service provides to
+ * import scripts. It covers the helpers commonly used by transformers (tables, blocks,
+ * metadata and path sanitizing); any other helper is a function which does nothing.
+ */
+
+function sanitizeFilename(name) {
+  if (!name) {
+    return '';
+  }
+  return decodeURIComponent(name)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function sanitizePath(pathToSanitize) {
+  if (!pathToSanitize) {
+    return pathToSanitize;
+  }
+  const extension = pathToSanitize.split('/').pop().includes('.') ? pathToSanitize.split('.').pop() : '';
+  const pathname = extension ? pathToSanitize.substring(0, pathToSanitize.lastIndexOf('.')) : pathToSanitize;
+  const sanitizedPath = pathname.split('/')
+    .filter((segment) => segment !== '')
+    .map((segment) => `/${sanitizeFilename(segment)}`)
+    .join('');
+  return extension ? `${sanitizedPath}.${extension}` : sanitizedPath;
+}
+
+function appendCellContent(cell, content) {
+  if (content === undefined || content === null) {
+    return;
+  }
+  if (Array.isArray(content)) {
+    content.forEach((item) => appendCellContent(cell, item));
+  } else if (typeof content === 'string') {
+    cell.insertAdjacentHTML('beforeend', content);
+  } else {
+    cell.append(content);
+  }
+}
+
+function createTable(rows, document) {
+  const table = document.createElement('table');
+  const columns = Math.max(...rows.map((row) => row.length));
+  rows.forEach((row, index) => {
+    const tr = document.createElement('tr');
+    row.forEach((content) => {
+      const cell = document.createElement(index === 0 ? 'th' : 'td');
+      appendCellContent(cell, content);
+      tr.append(cell);
+    });
+    if (index === 0 && row.length === 1 && columns > 1) {
+      tr.firstChild.setAttribute('colspan', columns);
+    }
+    table.append(tr);
+  });
+  return table;
+}
+
+function remove(element, selectors = []) {
+  selectors.forEach((selector) => {
+    element.querySelectorAll(selector).forEach((match) => match.remove());
+  });
+}
+
+function createBlock(document, { name, variants = [], cells = [] }) {
+  const header = variants.length > 0 ? `${name} (${variants.join(', ')})` : name;
+  const rows = Array.isArray(cells) ? cells : Object.entries(cells);
+  return createTable([[header], ...rows], document);
+}
+
+function getMetadata(document) {
+  const metadata = {};
+  if (document.title) {
+    metadata.Title = document.title.trim();
+  }
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    metadata.Description = description.getAttribute('content');
+  }
+  const image = document.querySelector('meta[property="og:image"]');
+  if (image) {
+    const img = document.createElement('img');
+    img.src = image.getAttribute('content');
+    metadata.Image = img;
+  }
+  return metadata;
+}
+
+function getMetadataBlock(document, metadata = getMetadata(document)) {
+  return createBlock(document, { name: 'Metadata', cells: metadata });
+}
+
+function noop() {}
+
+/**
+ * Wrap a namespace of helpers so that helpers which are not implemented do nothing.
+ * @param {object} helpers - The implemented helpers
+ * @returns {Proxy}
+ */
+function withFallback(helpers) {
+  return new Proxy(helpers, {
+    get: (target, property) => (property in target ? target[property] : noop),
+  });
+}
+
+/**
+ * Create the WebImporter global for running import scripts locally.
+ * @returns {Proxy}
+ */
+export function createWebImporter() {
+  const webImporter = {
+    DOMUtils: withFallback({ createTable, remove }),
+    Blocks: withFallback({
+      createBlock, getMetadata, getMetadataBlock,
+    }),
+    FileUtils: withFallback({ sanitizeFilename, sanitizePath }),
+    rules: withFallback({}),
+  };
+  return new Proxy(webImporter, {
+    get: (target, property) => (property in target ? target[property] : withFallback({})),
+  });
+}
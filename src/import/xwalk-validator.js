@@ -0,0 +1,279 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { ValidationError } from '../errors.js';
+
+// Field components supported by the Universal Editor in component-models.json
+export const FIELD_COMPONENTS = [
+  'aem-content', 'aem-content-fragment', 'aem-experience-fragment', 'aem-tag', 'boolean',
+  'checkbox-group', 'container', 'custom', 'date-time', 'multiselect', 'number', 'radio-group',
+  'reference', 'richtext', 'select', 'tab', 'text', 'text-area', 'text-input',
+];
+
+const VALUE_TYPES = ['string', 'string[]', 'number', 'boolean', 'date'];
+
+// Field components which offer a fixed list of options
+const OPTION_COMPONENTS = ['select', 'multiselect', 'radio-group', 'checkbox-group'];
+
+export class XwalkValidationError extends ValidationError {
+  constructor(problems) {
+    super(`Invalid xwalk component files:\n${problems
+      .map(({ file, path, message }) => `  - ${file} ${path}: ${message}`)
+      .join('\n')}`);
+    this.name = 'XwalkValidationError';
+    this.problems = problems;
+  }
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Collects the problems found in one file, with the JSON path they were found at.
+ */
+function createReporter(file, problems) {
+  return (path, message) => problems.push({ file, path, message });
+}
+
+/**
+ * Parse a JSON file, reporting a problem when its content is not valid JSON.
+ * @returns {*} The parsed content, or undefined when it could not be parsed
+ */
+function parseJson({ name, content }, problems) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    problems.push({ file: name, path: '$', message: `invalid JSON: ${error.message}` });
+    return undefined;
+  }
+}
+
+/**
+ * Report the ids which are missing or used more than once, and return the valid ids.
+ * @returns {Set<string>}
+ */
+function collectIds(entries, entriesPath, report) {
+  const ids = new Set();
+  entries.forEach((entry, index) => {
+    const entryPath = `${entriesPath}[${index}]`;
+    if (!isObject(entry)) {
+      report(entryPath, 'must be an object');
+    } else if (!isNonEmptyString(entry.id)) {
+      report(`${entryPath}.id`, 'must be a non-empty string');
+    } else if (ids.has(entry.id)) {
+      report(`${entryPath}.id`, `duplicate id "${entry.id}"`);
+    } else {
+      ids.add(entry.id);
+    }
+  });
+  return ids;
+}
+
+function validateFields(fields, fieldsPath, report) {
+  if (!Array.isArray(fields)) {
+    report(fieldsPath, 'must be an array');
+    return;
+  }
+
+  const names = new Set();
+  fields.forEach((field, index) => {
+    const fieldPath = `${fieldsPath}[${index}]`;
+    if (!isObject(field)) {
+      report(fieldPath, 'must be an object');
+      return;
+    }
+
+    if (!FIELD_COMPONENTS.includes(field.component)) {
+      report(`${fieldPath}.component`, `unknown field component "${field.component}", expected one of ${FIELD_COMPONENTS.join(', ')}`);
+    }
+    if (field.component !== 'tab') {
+      if (!isNonEmptyString(field.name)) {
+        report(`${fieldPath}.name`, 'must be a non-empty string');
+      } else if (names.has(field.name)) {
+        report(`${fieldPath}.name`, `duplicate field name "${field.name}"`);
+      } else {
+        names.add(field.name);
+      }
+    }
+    if (field.valueType !== undefined && !VALUE_TYPES.includes(field.valueType)) {
+      report(`${fieldPath}.valueType`, `unknown value type "${field.valueType}", expected one of ${VALUE_TYPES.join(', ')}`);
+    }
+    if (OPTION_COMPONENTS.includes(field.component)) {
+      if (!Array.isArray(field.options) || field.options.length === 0) {
+        report(`${fieldPath}.options`, `must be a non-empty array for a ${field.component} field`);
+      } else {
+        field.options.forEach((option, optionIndex) => {
+          if (!isObject(option) || option.value === undefined) {
+            report(`${fieldPath}.options[${optionIndex}]`, 'must be an object with a value');
+          }
+        });
+      }
+    }
+    if (field.component === 'container') {
+      validateFields(field.fields, `${fieldPath}.fields`, report);
+    }
+  });
+}
+
+/**
+ * Validate component-models.json, and return the ids of the models it defines.
+ * @returns {Set<string>}
+ */
+function validateModels(models, report) {
+  if (!Array.isArray(models)) {
+    report('$', 'must be an array of models');
+    return new Set();
+  }
+
+  const ids = collectIds(models, '$', report);
+  models.forEach((model, index) => {
+    if (isObject(model)) {
+      validateFields(model.fields, `$[${index}].fields`, report);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Validate component-filters.json, and return the ids of the filters it defines together with
+ * the component ids each filter references.
+ * @returns {{ids: Set<string>, references: Array<{path: string, id: string}>}}
+ */
+function validateFilters(filters, report) {
+  const references = [];
+  if (!Array.isArray(filters)) {
+    report('$', 'must be an array of filters');
+    return { ids: new Set(), references };
+  }
+
+  const ids = collectIds(filters, '$', report);
+  filters.forEach((filter, index) => {
+    if (!isObject(filter)) {
+      return;
+    }
+    const componentsPath = `$[${index}].components`;
+    if (!Array.isArray(filter.components)) {
+      report(componentsPath, 'must be an array of component ids');
+      return;
+    }
+    filter.components.forEach((id, componentIndex) => {
+      if (isNonEmptyString(id)) {
+        references.push({ path: `${componentsPath}[${componentIndex}]`, id });
+      } else {
+        report(`${componentsPath}[${componentIndex}]`, 'must be a non-empty string');
+      }
+    });
+  });
+  return { ids, references };
+}
+
+/**
+ * Validate component-definition.json, and return the ids of the components it defines
+ * together with the models and filters their templates reference.
+ * @returns {{ids: Set<string>, modelReferences: Array, filterReferences: Array}}
+ */
+function validateDefinitions(definitions, report) {
+  const ids = new Set();
+  const modelReferences = [];
+  const filterReferences = [];
+
+  if (!isObject(definitions) || !Array.isArray(definitions.groups)) {
+    report('$.groups', 'must be an array of component groups');
+    return { ids, modelReferences, filterReferences };
+  }
+
+  definitions.groups.forEach((group, groupIndex) => {
+    const groupPath = `$.groups[${groupIndex}]`;
+    if (!isObject(group)) {
+      report(groupPath, 'must be an object');
+      return;
+    }
+    if (!Array.isArray(group.components)) {
+      report(`${groupPath}.components`, 'must be an array of components');
+      return;
+    }
+
+    collectIds(group.components, `${groupPath}.components`, report).forEach((id) => {
+      if (ids.has(id)) {
+        const index = group.components.findIndex((component) => component.id === id);
+        report(`${groupPath}.components[${index}].id`, `duplicate id "${id}"`);
+      }
+      ids.add(id);
+    });
+
+    group.components.forEach((component, componentIndex) => {
+      if (!isObject(component)) {
+        return;
+      }
+      const pluginsPath = `${groupPath}.components[${componentIndex}].plugins`;
+      const page = component.plugins?.xwalk?.page;
+      if (!isObject(page)) {
+        report(`${pluginsPath}.xwalk.page`, 'must be an object');
+        return;
+      }
+      if (!isNonEmptyString(page.resourceType)) {
+        report(`${pluginsPath}.xwalk.page.resourceType`, 'must be a non-empty string');
+      }
+
+      const template = page.template || {};
+      const templatePath = `${pluginsPath}.xwalk.page.template`;
+      if (template.model !== undefined) {
+        modelReferences.push({ path: `${templatePath}.model`, id: template.model });
+      }
+      if (template.filter !== undefined) {
+        filterReferences.push({ path: `${templatePath}.filter`, id: template.filter });
+      }
+    });
+  });
+
+  return { ids, modelReferences, filterReferences };
+}
+
+/**
+ * Validate the xwalk component models, filters and definitions, and cross-check the ids they
+ * reference: filters must list defined components, and component templates must reference
+ * defined models and filters.
+ * @param {{name: string, content: string}} models - The component-models.json file
+ * @param {{name: string, content: string}} filters - The component-filters.json file
+ * @param {{name: string, content: string}} definitions - The component-definition.json file
+ * @returns {Array<{file: string, path: string, message: string}>} The problems found, if any
+ */
+export function validateXwalkFiles({ models, filters, definitions }) {
+  const problems = [];
+  const parsedModels = parseJson(models, problems);
+  const parsedFilters = parseJson(filters, problems);
+  const parsedDefinitions = parseJson(definitions, problems);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const reportModels = createReporter(models.name, problems);
+  const reportFilters = createReporter(filters.name, problems);
+  const reportDefinitions = createReporter(definitions.name, problems);
+
+  const modelIds = validateModels(parsedModels, reportModels);
+  const { ids: filterIds, references: componentReferences } = validateFilters(parsedFilters, reportFilters);
+  const {
+    ids: componentIds, modelReferences, filterReferences,
+  } = validateDefinitions(parsedDefinitions, reportDefinitions);
+
+  componentReferences
+    .filter(({ id }) => !componentIds.has(id))
+    .forEach(({ path, id }) => reportFilters(path, `unknown component "${id}", it is not defined in ${definitions.name}`));
+  modelReferences
+    .filter(({ id }) => !modelIds.has(id))
+    .forEach(({ path, id }) => reportDefinitions(path, `unknown model "${id}", it is not defined in ${models.name}`));
+  filterReferences
+    .filter(({ id }) => !filterIds.has(id))
+    .forEach(({ path, id }) => reportDefinitions(path, `unknown filter "${id}", it is not defined in ${filters.name}`));
+
+  return problems;
+}
@@ -10,4 +10,88 @@
  * governing permissions and limitations under the License.
  */
 
-// nothing to export
+/**
+ * The programmatic API of the helper. The functions below return structured results and throw
+ * the errors of ./errors.js, so that they can be used from build scripts without exiting the
+ * process. Progress is still logged to the console, like in the CLI.
+ */
+import {
+  runImportJobAndPoll,
+  retryFailedUrls as retryFailedUrlsOfJob,
+  getJobSnapshot as getImportJobSnapshot,
+  watchImportJob as watchImport,
+  stopImportJob as stopImport,
+  uploadJobResult as uploadImportJobResult,
+} from './import/import-helper.js';
+import { assertEnvironment } from './utils/env-utils.js';
+
+export { EVENTS, helperEvents } from './events.js';
+export {
+  ImportHelperError,
+  ConfigurationError,
+  ValidationError,
+  AuthenticationError,
+  BundleError,
+  ImportJobError,
+  UploadError,
+} from './errors.js';
+export { RequestError } from './utils/http-utils.js';
+export { bundleImportScript, prepareImportScript } from './import/bundler.js';
+export { validateImportScript } from './import/script-validator.js';
+export { previewImportScript } from './import/preview.js';
+export { uploadToAem } from './aem/cmd-handler.js';
+export { uploadToDa } from './da/cmd-handler.js';
+export { getJournalPath, readJournal } from './import/job-journal.js';
+export { loadEnvFile } from './utils/env-utils.js';
+export { uploadArchiveToSharePoint, uploadDirectoryToSharePoint } from './import/sharepoint-uploader.js';
+
+// The import service functions need an API key, check it and the service URLs before any request is made
+const withApiKey = (fn) => async (params) => {
+  assertEnvironment(process.env, params);
+  return fn(params);
+};
+
+/**
+ * Run an import job for a list of URLs and wait for it to finish, see runImportJobAndPoll for
+ * the parameters. The URLs are split into several jobs when batchSize is set.
+ * @returns {Promise<Array<{jobId: string, urls: Array<string>, jobStatus: object, downloadUrl: string}>>}
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ * @throws {ValidationError} When the URLs or the import files are invalid
+ * @throws {ImportJobError} When a job did not complete successfully
+ */
+export const runImport = withApiKey(runImportJobAndPoll);
+
+/**
+ * Re-run the URLs a finished job failed to import, see retryFailedUrls in import-helper.js.
+ * @returns {Promise<{urls: Array<string>, jobs: Array<object>}>}
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ */
+export const retryFailedUrls = withApiKey(retryFailedUrlsOfJob);
+
+/**
+ * Fetch the status and progress of an existing job.
+ * @returns {Promise<{jobStatus: object, jobProgress: object, downloadUrl: string|undefined}>}
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ */
+export const getJobSnapshot = withApiKey(getImportJobSnapshot);
+
+/**
+ * Wait for an existing job to finish.
+ * @returns {Promise<{jobStatus: object, downloadUrl: string}>}
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ * @throws {ImportJobError} When the job did not complete successfully
+ */
+export const watchImportJob = withApiKey(watchImport);
+
+/**
+ * Stop a running job.
+ * @returns {Promise<object>} The job status after the stop request
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ */
+export const stopImportJob = withApiKey(stopImport);
+
+/**
+ * Download the result of a finished job and/or upload it to SharePoint.
+ * @throws {ConfigurationError} When the AEM_IMPORT_API_KEY environment variable is not set
+ */
+export const uploadJobResult = withApiKey(uploadImportJobResult);
@@ -0,0 +1,131 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findUpSync } from 'find-up';
+
+// Names of the project config file, looked up from the working directory upwards
+export const CONFIG_FILE_NAMES = ['.aem-import-helper.json', '.aem-import-helperrc', '.aem-import-helperrc.json'];
+
+// Top-level commands which can have their own section in the config file or in a profile
+export const CONFIG_COMMANDS = ['import', 'upload', 'bundle', 'aem', 'da'];
+
+// Options holding a path, which are resolved relative to the config file
+const PATH_OPTIONS = [
+  'urls', 'importjs', 'models', 'filters', 'definitions', 'options-file', 'download', 'url-report',
+  'zip', 'asset-mapping', 'output', 'local-assets', 'asset-list', 'da-folder', 'events',
+  'sharepoint-manifest', 'archive', 'dir',
+];
+
+// Options holding either a value or a path to a file containing the value
+const VALUE_OR_PATH_OPTIONS = ['token'];
+
+/**
+ * Find the project config file, starting from the given directory and walking up.
+ * @param {string} cwd - The directory to start from
+ * @returns {string|undefined} Path to the config file, if any
+ */
+export function findConfigFile(cwd = process.cwd()) {
+  return findUpSync(CONFIG_FILE_NAMES, { cwd });
+}
+
+/**
+ * Read and parse a config file.
+ * @param {string} configPath - Path to the config file
+ * @returns {object}
+ */
+export function loadConfigFile(configPath) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Split a config layer into its shared options and the options of the given command.
+ * @param {object} layer - The top-level config, or a profile
+ * @param {string} command - The command being run
+ * @returns {object}
+ */
+function flattenLayer(layer = {}, command) {
+  const shared = Object.fromEntries(Object.entries(layer)
+    .filter(([key]) => key !== 'profiles' && !CONFIG_COMMANDS.includes(key)));
+  return { ...shared, ...(layer[command] || {}) };
+}
+
+function resolvePaths(values, baseDir) {
+  const resolved = { ...values };
+  PATH_OPTIONS.forEach((key) => {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+  });
+  VALUE_OR_PATH_OPTIONS.forEach((key) => {
+    if (typeof resolved[key] === 'string') {
+      const candidate = path.resolve(baseDir, resolved[key]);
+      if (fs.existsSync(candidate)) {
+        resolved[key] = candidate;
+      }
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Resolve the option values the config defines for a command. Values are merged in the
+ * following order, later ones overriding earlier ones: top-level options, the top-level
+ * section of the command, the options of the profile and the profile's section of the command.
+ * Relative paths are resolved against the directory of the config file.
+ * @param {object} config - The parsed config file
+ * @param {string} command - The command being run (e.g. import, aem)
+ * @param {string} profile - Optional name of the profile to use
+ * @param {string} baseDir - Directory of the config file
+ * @returns {object} Option values, keyed by option name
+ */
+export function resolveConfig(config, { command, profile, baseDir = process.cwd() }) {
+  let values = flattenLayer(config, command);
+
+  if (profile) {
+    const profiles = config.profiles || {};
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles);
+      throw new Error(`Profile "${profile}" not found in config file. `
+        + `Available profiles: ${available.length > 0 ? available.join(', ') : 'none'}`);
+    }
+    values = { ...values, ...flattenLayer(profiles[profile], command) };
+  }
+
+  return resolvePaths(values, baseDir);
+}
+
+/**
+ * Load the option values for a command from the project config file.
+ * @param {string} command - The command being run
+ * @param {string} profile - Optional name of the profile to use
+ * @param {string} configPath - Optional path to the config file, looked up from the working directory by default
+ * @returns {{values: object, configPath: string|undefined}}
+ */
+export function loadCommandConfig({ command, profile, configPath }) {
+  const resolvedPath = configPath ? path.resolve(configPath) : findConfigFile();
+  if (!resolvedPath) {
+    if (profile) {
+      throw new Error(`Profile "${profile}" requested, but no config file (${CONFIG_FILE_NAMES[0]}) was found`);
+    }
+    return { values: {}, configPath: undefined };
+  }
+
+  const config = loadConfigFile(resolvedPath);
+  const values = resolveConfig(config, { command, profile, baseDir: path.dirname(resolvedPath) });
+  return { values, configPath: resolvedPath };
+}
@@ -14,6 +14,7 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import sharp from 'sharp';
+import { EVENTS, emitEvent } from '../events.js';
 
 const CONTENT_DAM_PREFIX = '/content/dam';
 
@@ -244,7 +245,7 @@ export async function downloadAssets(assetMapping, downloadFolder, maxRetries =
     console.log(chalk.cyan(`Processing batch ${batchNumber}/${totalBatches} (${batch.length} asset(s))...`));
     
     // Download assets in current batch concurrently
-    const batchPromises = batch.map(async ([assetUrl, downloadPath], batchIndex) => {
+    const downloadAsset = async ([assetUrl, downloadPath], batchIndex) => {
       const assetIndex = i + batchIndex + 1;
 
       // Check cache before downloading
@@ -302,6 +303,19 @@ export async function downloadAssets(assetMapping, downloadFolder, maxRetries =
       const { blob, contentType } = await downloadAssetWithRetry(assetUrl, maxRetries, retryDelay, headers, assetIndex, totalAssets);
       const result = await saveBlobToFile(blob, downloadPath, downloadFolder, contentType, options);
       return { downloadPath, cached: result?.cached || false };
+    };
+    const batchPromises = batch.map(async ([assetUrl, downloadPath], batchIndex) => {
+      emitEvent(EVENTS.ASSET_DOWNLOAD_START, { url: assetUrl, path: downloadPath });
+      try {
+        const result = await downloadAsset([assetUrl, downloadPath], batchIndex);
+        emitEvent(EVENTS.ASSET_DOWNLOAD_END, {
+          url: assetUrl, path: downloadPath, cached: result.cached, local: Boolean(result.local),
+        });
+        return result;
+      } catch (error) {
+        emitEvent(EVENTS.ASSET_DOWNLOAD_FAIL, { url: assetUrl, path: downloadPath, error: error.message });
+        throw error;
+      }
     });
     
     // Wait for current batch to complete
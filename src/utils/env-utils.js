@@ -10,12 +10,113 @@
  * governing permissions and limitations under the License.
  */
 
-import chalk from 'chalk';
+import fs from 'fs';
+import util from 'util';
+import { ConfigurationError } from '../errors.js';
 
-export function checkEnvironment(env) {
-  // Ensure required environment variable is set
+// The file environment variables are loaded from, in the working directory
+export const ENV_FILE_NAME = '.env';
+
+/**
+ * Load the variables of a .env file into the environment. Variables which are already set,
+ * e.g. exported in the shell, take precedence over the values of the file.
+ * @param {string} envPath - Path of the file (default: .env in the working directory)
+ * @param {boolean} required - Whether a missing file is an error, e.g. when passed with --env-file
+ * @param {object} env - The environment to update (default: process.env)
+ * @returns {Array<string>} The names of the variables set from the file
+ * @throws {ConfigurationError} When a required file does not exist or cannot be read
+ */
+export function loadEnvFile(envPath = ENV_FILE_NAME, { required = false, env = process.env } = {}) {
+  if (!fs.existsSync(envPath)) {
+    if (required) {
+      throw new ConfigurationError(`Environment file not found: ${envPath}`);
+    }
+    return [];
+  }
+
+  let values;
+  try {
+    values = util.parseEnv(fs.readFileSync(envPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`Unable to read environment file ${envPath}: ${error.message}`, { cause: error });
+  }
+  const loaded = Object.keys(values).filter((name) => env[name] === undefined);
+  loaded.forEach((name) => {
+    env[name] = values[name];
+  });
+  return loaded;
+}
+
+/**
+ * Find what is missing or invalid in the environment to use the import service. The service
+ * URLs given as options are checked instead of the environment variables they take precedence over.
+ * @param {object} env - The environment, e.g. process.env
+ * @param {string} apiUrl - Optional base URL of the import jobs API, see SERVICE_URL_OPTIONS
+ * @param {string} labsUrl - Optional URL of the job management page, see SERVICE_URL_OPTIONS
+ * @returns {Array<string>} A description of each problem, empty when the environment is ready
+ */
+export function findEnvironmentProblems(env, { apiUrl, labsUrl } = {}) {
+  const problems = [];
   if (typeof env.AEM_IMPORT_API_KEY !== 'string') {
-    console.error(chalk.red('Error: Ensure the AEM_IMPORT_API_KEY environment variable is set.'));
-    process.exit(1);
+    problems.push('Ensure the AEM_IMPORT_API_KEY environment variable is set (export it, or add it to a .env file).');
+  }
+  [
+    ['api-url', apiUrl, 'AEM_IMPORT_API_URL'],
+    ['labs-url', labsUrl, 'AEM_IMPORT_LABS_URL'],
+  ].forEach(([option, value, name]) => {
+    const [label, url] = value ? [option, value] : [name, env[name]];
+    if (url && !isHttpUrl(url)) {
+      problems.push(`${label} must be an http(s) URL, got: ${url}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Ensure the environment variables required to use the import service are set.
+ * @param {object} env - The environment, e.g. process.env
+ * @param {object} serviceUrls - Optional apiUrl and labsUrl, see findEnvironmentProblems
+ * @throws {ConfigurationError} When a required variable is missing
+ */
+export function assertEnvironment(env, serviceUrls) {
+  const problems = findEnvironmentProblems(env, serviceUrls);
+  if (problems.length > 0) {
+    throw new ConfigurationError(problems.join('\n'));
   }
 }
+
+/**
+ * Whether a value is an absolute http(s) URL.
+ * @param {string} value - The value to check
+ * @returns {boolean}
+ */
+export function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// The base URLs of the import jobs API, used unless another URL is given
+export const IMPORT_API_URLS = {
+  production: 'https://spacecat.experiencecloud.live/api/v1/tools/import/jobs',
+  stage: 'https://spacecat.experiencecloud.live/api/ci/tools/import/jobs',
+};
+
+// CLI options of the commands which talk to the import service, passed on as apiUrl and labsUrl.
+// They take precedence over the environment variables for the command only.
+export const SERVICE_URL_OPTIONS = {
+  'api-url': {
+    describe: 'base URL of the import jobs API, e.g. a local mock of the API (default: AEM_IMPORT_API_URL, '
+      + 'or the production or stage endpoint)',
+    type: 'string',
+    global: false,
+  },
+  'labs-url': {
+    describe: 'URL of the job management page linked to for each job (default: AEM_IMPORT_LABS_URL, '
+      + 'or https://labs.aem.live/tools/import/index.html)',
+    type: 'string',
+    global: false,
+  },
+};
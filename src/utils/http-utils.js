@@ -10,9 +10,146 @@
  * governing permissions and limitations under the License.
  */
 
-// Function to make HTTP requests
-export async function makeRequest(url, method, data) {
-  const parsedUrl = new URL(url);
+import { ImportHelperError } from '../errors.js';
+
+// Methods which can be sent again without side effects when their outcome is unknown
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Statuses telling that the server did not process the request, which can be retried for any method
+const RETRY_ANY_METHOD_STATUSES = new Set([429, 503]);
+
+/**
+ * The retry and timeout settings of makeRequest. The number of retries and the timeout (in seconds)
+ * can be changed with the AEM_IMPORT_REQUEST_RETRIES and AEM_IMPORT_REQUEST_TIMEOUT environment variables.
+ * @param {object} env - The environment (default: process.env)
+ * @returns {{retries: number, retryDelay: number, maxRetryDelay: number, timeout: number}}
+ */
+export function getDefaultRequestOptions(env = process.env) {
+  const retries = Number.parseInt(env.AEM_IMPORT_REQUEST_RETRIES, 10);
+  const timeout = Number(env.AEM_IMPORT_REQUEST_TIMEOUT);
+  return {
+    retries: Number.isNaN(retries) ? 3 : Math.max(0, retries),
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    timeout: timeout > 0 ? timeout * 1000 : 60000,
+  };
+}
+
+/**
+ * Error thrown by makeRequest when the server responds with a non-OK status, or when no
+ * response is received (network error or timeout).
+ */
+export class RequestError extends ImportHelperError {
+  /**
+   * @param {string} message - The error message
+   * @param {number} status - The HTTP status code of the response, if any
+   * @param {number|undefined} retryAfter - Delay requested by the Retry-After header, in milliseconds
+   * @param {string} method - The HTTP method of the request
+   * @param {string} url - The URL of the request
+   * @param {string} xError - The x-error header of the response
+   * @param {string} invocationId - The x-invocation-id header of the response
+   * @param {string} body - The body of the response
+   * @param {number} attempts - How many times the request was sent
+   * @param {boolean} timedOut - Whether the request was aborted because it took too long
+   * @param {Error} cause - The underlying error, for network errors and timeouts
+   */
+  constructor(message, {
+    status, retryAfter, method, url, xError, invocationId, body, attempts = 1, timedOut = false, cause,
+  } = {}) {
+    super(message, { code: timedOut ? 'REQUEST_TIMEOUT' : 'REQUEST_ERROR', cause });
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.method = method;
+    this.url = url;
+    this.xError = xError;
+    this.invocationId = invocationId;
+    this.body = body;
+    this.attempts = attempts;
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * Parse the value of a Retry-After header, which is either a number of seconds or an HTTP date.
+ * @param {string|null} value - The header value
+ * @returns {number|undefined} The delay in milliseconds, or undefined if the header is missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+}
+
+/**
+ * Whether a failed request is worth sending again. Requests which got no response (network
+ * errors, timeouts) or a 5xx response may have been processed, so only idempotent requests are
+ * retried then. 429 and 503 responses tell the request was not processed.
+ * @param {RequestError} error - The error of the attempt
+ * @param {boolean} idempotent - Whether the request can be sent again safely
+ * @returns {boolean}
+ */
+export function isRetryable(error, idempotent) {
+  if (RETRY_ANY_METHOD_STATUSES.has(error.status)) {
+    return true;
+  }
+  return idempotent && (error.status === undefined || error.status >= 500);
+}
+
+/**
+ * The delay before the next attempt: the Retry-After delay when the server sent one, otherwise
+ * an exponential backoff with jitter, so that concurrent clients do not retry in lockstep. Either
+ * way the delay is limited to maxRetryDelay, so that a server asking to come back tomorrow does
+ * not keep the process waiting.
+ * @param {RequestError} error - The error of the attempt
+ * @param {number} attempt - The number of the failed attempt, starting at 1
+ * @param {number} retryDelay - The base delay, in milliseconds
+ * @param {number} maxRetryDelay - The maximum delay, in milliseconds
+ * @returns {number}
+ */
+export function getRetryDelay(error, attempt, { retryDelay, maxRetryDelay }) {
+  if (error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, maxRetryDelay);
+  }
+  const backoff = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Parse the JSON body of a successful response. An invalid body will not get better by sending
+ * the request again, so it is reported with the status of the response, which is not retried.
+ * @param {string} text - The body of the response
+ * @param {number} status - The HTTP status code of the response
+ * @param {string} method - The HTTP method of the request
+ * @param {string} url - The URL of the request
+ * @returns {object} The parsed body
+ * @throws {RequestError} When the body is not valid JSON
+ */
+export function parseJsonResponse(text, { status, method, url }) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new RequestError(`Request ${method} ${url} returned an invalid JSON body with status code ${status}: `
+      + `${error.message}`, {
+      status, method, url, body: text, cause: error,
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function sendRequest(parsedUrl, method, data, timeout) {
   const headers = new Headers({
     'Content-Type': data ? 'application/json' : '',
     'x-api-key': process.env.AEM_IMPORT_API_KEY,
@@ -23,18 +160,83 @@ export async function makeRequest(url, method, data) {
     headers.delete('Content-Type');
   }
 
-  const res = await fetch(parsedUrl, {
-    method,
-    headers,
-    body: data,
-  });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    let res;
+    let text;
+    try {
+      res = await fetch(parsedUrl, {
+        method,
+        headers,
+        body: data,
+        signal: controller.signal,
+      });
+      if (res.ok) {
+        text = await res.text();
+      }
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      const message = timedOut ? `timed out after ${timeout}ms` : `failed: ${error.message}`;
+      throw new RequestError(`Request ${method} ${parsedUrl.href} ${message}`, {
+        method, url: parsedUrl.href, timedOut, cause: error,
+      });
+    }
 
-  if (res.ok) {
-    return res.json();
+    if (res.ok) {
+      return parseJsonResponse(text, { status: res.status, method, url: parsedUrl.href });
+    }
+
+    const body = await res.text().catch(() => '');
+    const xError = res.headers.get('x-error');
+    const invocationId = res.headers.get('x-invocation-id');
+    throw new RequestError(`Request failed with status code ${res.status}. `
+      + `x-error header: ${xError}, x-invocation-id: ${invocationId}, Body: ${body}`, {
+      status: res.status,
+      retryAfter: parseRetryAfter(res.headers.get('retry-after')),
+      method,
+      url: parsedUrl.href,
+      xError,
+      invocationId,
+      body,
+    });
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  const body = await res.text();
-  throw new Error(`Request failed with status code ${res.status}. `
-    + `x-error header: ${res.headers.get('x-error')}, x-invocation-id: ${res.headers.get('x-invocation-id')}, `
-    + `Body: ${body}`);
+/**
+ * Send a request to the import service and return its JSON response. Requests which fail with
+ * a 429 or 503 status are retried, as well as idempotent requests which fail with another 5xx
+ * status, a network error or a timeout. Other failures are thrown right away.
+ * @param {string} url - The URL of the request
+ * @param {string} method - The HTTP method
+ * @param {string|FormData} data - Optional request body
+ * @param {object} options - Optional settings overriding getDefaultRequestOptions
+ * @param {number} options.retries - Maximum number of retries
+ * @param {number} options.retryDelay - Base delay of the exponential backoff, in milliseconds
+ * @param {number} options.maxRetryDelay - Maximum delay of the exponential backoff, in milliseconds
+ * @param {number} options.timeout - Time after which an attempt is aborted, in milliseconds
+ * @param {boolean} options.idempotent - Whether the request can be sent again safely
+ * (default: true for GET, HEAD, OPTIONS, PUT and DELETE)
+ * @returns {Promise<object>} The parsed JSON response
+ * @throws {RequestError} When the last attempt failed
+ */
+export async function makeRequest(url, method, data, options = {}) {
+  const parsedUrl = new URL(url);
+  const {
+    retries, retryDelay, maxRetryDelay, timeout, idempotent = IDEMPOTENT_METHODS.has(method),
+  } = { ...getDefaultRequestOptions(), ...options };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await sendRequest(parsedUrl, method, data, timeout);
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt > retries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+      await sleep(getRetryDelay(error, attempt, { retryDelay, maxRetryDelay }));
+    }
+  }
 }
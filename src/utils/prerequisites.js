@@ -0,0 +1,167 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { ValidationError } from '../errors.js';
+import { findEnvironmentProblems } from './env-utils.js';
+import { findGraphSettingsProblems } from '../import/sharepoint-graph.js';
+import { getSharePointSettings } from '../import/sharepoint-uploader.js';
+
+/**
+ * Find an executable on the PATH.
+ * @param {string} name - Name of the executable, e.g. m365
+ * @param {object} env - The environment (default: process.env)
+ * @returns {string|undefined} The path of the executable, if found
+ */
+export function findExecutable(name, env = process.env) {
+  const extensions = process.platform === 'win32'
+    ? (env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+  const directories = (env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      const candidate = path.join(directory, `${name}${extension}`);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // not in this directory
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether a token option holds the path of a file rather than the token itself. Tokens never
+ * contain path separators, so such values are expected to be files.
+ * @param {string} value - The value of the token option
+ * @returns {boolean}
+ */
+export function isTokenPath(value) {
+  return /[\\/]/.test(value);
+}
+
+/**
+ * Find what is missing to upload to SharePoint with the given uploader: Microsoft Graph
+ * credentials, or the m365 CLI.
+ * @param {object} env - The environment (default: process.env)
+ * @param {string} uploader - The uploader, the one of the environment by default
+ * @returns {Array<string>} A description of each problem
+ */
+function findSharePointProblems(env, uploader = getSharePointSettings(env).uploader) {
+  if (uploader === 'm365') {
+    return findExecutable('m365', env)
+      ? []
+      : ['The m365 CLI is required to upload to SharePoint with --sharepoint-uploader m365, install it with: npm install -g @pnp/cli-microsoft365'];
+  }
+  return findGraphSettingsProblems(env);
+}
+
+/**
+ * Find every prerequisite of a command which is not met, so that they can all be reported at
+ * once before any network request is made. Entries without a path or value are skipped, unless
+ * they have a requiredMessage.
+ * @param {boolean} importService - Whether the command uses the import service (API key, URLs)
+ * @param {{apiUrl: string, labsUrl: string}} serviceUrls - The service URLs given as options, if any
+ * @param {boolean} sharePoint - Whether the command uploads to SharePoint
+ * @param {string} sharePointUploader - The SharePoint uploader given as an option, if any
+ * @param {Array<{path: string, label: string, requiredMessage: string}>} files - Files which must exist
+ * @param {Array<{path: string, label: string, requiredMessage: string}>} directories - Directories which must exist
+ * @param {Array<{name: string, message: string}>} executables - Executables which must be on the PATH
+ * @param {Array<{value: string, label: string}>} tokens - Tokens given either as a value or as a file
+ * @param {object} env - The environment (default: process.env)
+ * @returns {Array<string>} A description of each missing prerequisite
+ */
+export function findMissingPrerequisites({
+  importService = false, serviceUrls, sharePoint = false, sharePointUploader, files = [], directories = [], executables = [],
+  tokens = [], env = process.env,
+}) {
+  const missing = [
+    ...(importService ? findEnvironmentProblems(env, serviceUrls) : []),
+    ...(sharePoint ? findSharePointProblems(env, sharePointUploader) : []),
+  ];
+
+  files.forEach(({ path: filePath, label, requiredMessage }) => {
+    if (!filePath) {
+      if (requiredMessage) {
+        missing.push(requiredMessage);
+      }
+    } else if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      missing.push(`${label} not found: ${filePath}`);
+    }
+  });
+
+  directories.forEach(({ path: directoryPath, label, requiredMessage }) => {
+    if (!directoryPath) {
+      if (requiredMessage) {
+        missing.push(requiredMessage);
+      }
+    } else if (!fs.existsSync(directoryPath) || !fs.statSync(directoryPath).isDirectory()) {
+      missing.push(`${label} not found or not a directory: ${directoryPath}`);
+    }
+  });
+
+  executables.forEach(({ name, message }) => {
+    if (!findExecutable(name, env)) {
+      missing.push(message);
+    }
+  });
+
+  tokens.forEach(({ value, label }) => {
+    if (value && isTokenPath(value) && !fs.existsSync(value)) {
+      missing.push(`${label} file not found: ${value}`);
+    }
+  });
+
+  return missing;
+}
+
+/**
+ * Describe the missing prerequisites of a command in a single message.
+ * @param {Array<string>} missing - The missing prerequisites, see findMissingPrerequisites
+ * @returns {string}
+ */
+export function formatMissingPrerequisites(missing) {
+  if (missing.length === 1) {
+    return missing[0];
+  }
+  return [`${missing.length} prerequisites are not met:`, ...missing.map((problem) => `  - ${problem}`)].join('\n');
+}
+
+/**
+ * Check the prerequisites of an API function, see findMissingPrerequisites.
+ * @param {object} prerequisites - The prerequisites of the function
+ * @throws {ValidationError} Listing all the missing prerequisites, if any
+ */
+export function assertPrerequisites(prerequisites) {
+  const missing = findMissingPrerequisites(prerequisites);
+  if (missing.length > 0) {
+    throw new ValidationError(formatMissingPrerequisites(missing));
+  }
+}
+
+/**
+ * Check the prerequisites of a command, see findMissingPrerequisites. Exits after listing all
+ * the missing prerequisites, if any.
+ * @param {object} prerequisites - The prerequisites of the command
+ */
+export function checkPrerequisites(prerequisites) {
+  const missing = findMissingPrerequisites(prerequisites);
+  if (missing.length > 0) {
+    console.error(chalk.red(`Error: ${formatMissingPrerequisites(missing)}`));
+    process.exit(1);
+  }
+}
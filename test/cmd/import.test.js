@@ -0,0 +1,34 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import { checkBatchOptions, checkPollingOptions } from '../../src/cmd/import.js';
+
+describe('import command tests', () => {
+  it('should accept positive integer batching options, or none', () => {
+    expect(checkBatchOptions({ maxConcurrentJobs: 1 })).to.be.true;
+    expect(checkBatchOptions({ batchSize: 500, maxConcurrentJobs: 4 })).to.be.true;
+  });
+
+  it('should reject batching options which are not positive integers', () => {
+    [0, -1, 2.5, NaN].forEach((value) => {
+      expect(checkBatchOptions({ batchSize: value, maxConcurrentJobs: 1 })).to.equal('--batch-size must be a positive integer');
+      expect(checkBatchOptions({ batchSize: 10, maxConcurrentJobs: value }))
+        .to.equal('--max-concurrent-jobs must be a positive integer');
+    });
+  });
+
+  it('should reject polling options which are not positive', () => {
+    expect(checkPollingOptions({ pollInterval: 0.5, timeout: 60 })).to.be.true;
+    expect(checkPollingOptions({ pollInterval: 0 })).to.equal('--poll-interval must be a positive number of seconds');
+    expect(checkPollingOptions({ pollInterval: 5, timeout: NaN })).to.equal('--timeout must be a positive number of seconds');
+  });
+});
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  EVENTS, emitEvent, helperEvents, recordEvents,
+} from '../src/events.js';
+
+describe('helper events tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-test-'));
+  });
+
+  afterEach(() => {
+    helperEvents.removeAllListeners();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should emit events with their type and timestamp', () => {
+    const events = [];
+    helperEvents.on(EVENTS.PACKAGE_INSTALLED, (event) => events.push(event));
+
+    const emitted = emitEvent(EVENTS.PACKAGE_INSTALLED, { target: 'https://author.example.com' });
+
+    expect(events).to.deep.equal([emitted]);
+    expect(emitted).to.include({ type: 'package:installed', target: 'https://author.example.com' });
+    expect(Number.isNaN(Date.parse(emitted.timestamp))).to.be.false;
+  });
+
+  it('should append the events to a file as newline-delimited JSON', () => {
+    const eventsPath = path.join(tmpDir, 'logs', 'events.ndjson');
+    fs.mkdirSync(path.dirname(eventsPath));
+    fs.writeFileSync(eventsPath, `${JSON.stringify({ type: 'job:started', jobId: 'previous' })}\n`);
+
+    const stop = recordEvents(eventsPath);
+    emitEvent(EVENTS.JOB_STARTED, { jobId: 'job-1' });
+    emitEvent(EVENTS.ASSET_DOWNLOAD_FAIL, { url: 'https://example.com/a.png', error: 'Not found' });
+    stop();
+    emitEvent(EVENTS.JOB_COMPLETED, { jobId: 'job-1' });
+
+    const lines = fs.readFileSync(eventsPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map(({ type }) => type)).to.deep.equal(['job:started', 'job:started', 'asset:download:fail']);
+    expect(lines[1].jobId).to.equal('job-1');
+    expect(lines[2].error).to.equal('Not found');
+  });
+
+  it('should create the directory of the events file', () => {
+    const eventsPath = path.join(tmpDir, 'nested', 'events.ndjson');
+    const stop = recordEvents(eventsPath);
+    emitEvent(EVENTS.DA_PAGE_PROCESSED, { filePath: 'index.html' });
+    stop();
+
+    expect(fs.readFileSync(eventsPath, 'utf8')).to.match(/^\{"type":"da:page:processed".*\}\n$/);
+  });
+});
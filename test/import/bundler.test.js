@@ -12,6 +12,9 @@
 import { expect } from 'chai';
 import esmock from 'esmock';
 import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 describe('prepareImportScript tests', () => {
   let prepareImportScript;
@@ -58,3 +61,223 @@ describe('prepareImportScript tests', () => {
     expect(buildSyncStub.calledOnce).to.be.true;
   });
 });
+
+describe('watchImportScript tests', () => {
+  let watchImportScript;
+  let contextStub;
+  let fakeContext;
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-test-'));
+    fakeContext = { watch: sinon.stub().resolves(), dispose: sinon.stub().resolves() };
+    contextStub = sinon.stub().resolves(fakeContext);
+
+    ({ watchImportScript } = await esmock('../../src/import/bundler.js', {
+      esbuild: {
+        context: contextStub,
+        formatMessages: sinon.stub().resolves(['formatted error']),
+      },
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the setup of the plugin passed to esbuild and return its onStart/onEnd callbacks.
+   */
+  const setupPlugin = () => {
+    const callbacks = {};
+    const [plugin] = contextStub.firstCall.args[0].plugins;
+    plugin.setup({
+      onStart: (callback) => { callbacks.onStart = callback; },
+      onEnd: (callback) => { callbacks.onEnd = callback; },
+    });
+    return callbacks;
+  };
+
+  it('should start watching with the import script build options', async () => {
+    const outputPath = path.join(tmpDir, 'import.bundle.js');
+    const context = await watchImportScript('path/to/import.js', outputPath);
+
+    expect(context).to.equal(fakeContext);
+    expect(fakeContext.watch.calledOnce).to.be.true;
+    const options = contextStub.firstCall.args[0];
+    expect(options.entryPoints).to.deep.equal(['path/to/import.js']);
+    expect(options.globalName).to.equal('CustomImportScript');
+    expect(options.format).to.equal('iife');
+  });
+
+  it('should write the bundle after each successful build', async () => {
+    const outputPath = path.join(tmpDir, 'import.bundle.js');
+    await watchImportScript('path/to/import.js', outputPath);
+    const { onStart, onEnd } = setupPlugin();
+
+    onStart();
+    await onEnd({ errors: [], outputFiles: [{ text: 'console.log("v1");' }] });
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('console.log("v1");');
+
+    onStart();
+    await onEnd({ errors: [], outputFiles: [{ text: 'console.log("v2");' }] });
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('console.log("v2");');
+  });
+
+  it('should pass each build to the callback and keep the previous bundle when it throws', async () => {
+    const outputPath = path.join(tmpDir, 'import.bundle.js');
+    const metafile = { inputs: {}, outputs: {} };
+    const onBuild = sinon.stub();
+    onBuild.onSecondCall().throws(new Error('The import script has no default export'));
+    sinon.stub(console, 'error');
+    await watchImportScript('path/to/import.js', outputPath, {}, onBuild);
+    const { onStart, onEnd } = setupPlugin();
+
+    onStart();
+    await onEnd({ errors: [], outputFiles: [{ text: 'console.log("v1");' }], metafile });
+    expect(onBuild.firstCall.args[0]).to.deep.equal({ code: 'console.log("v1");', metafile });
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('console.log("v1");');
+
+    onStart();
+    await onEnd({ errors: [], outputFiles: [{ text: 'console.log("v2");' }], metafile });
+    expect(onBuild.calledTwice).to.be.true;
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('console.log("v1");');
+    expect(console.error.firstCall.args[0]).to.include('The import script has no default export');
+  });
+
+  it('should keep the previous bundle when a build fails', async () => {
+    const outputPath = path.join(tmpDir, 'import.bundle.js');
+    fs.writeFileSync(outputPath, 'previous');
+    await watchImportScript('path/to/import.js', outputPath);
+    const { onStart, onEnd } = setupPlugin();
+
+    onStart();
+    await onEnd({ errors: [{ text: 'Unexpected ";"' }], outputFiles: [] });
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('previous');
+  });
+});
+
+describe('bundleImportScript tests', () => {
+  let bundleImportScript;
+  let tmpDir;
+  let importJsPath;
+
+  before(async () => {
+    ({ bundleImportScript } = await import('../../src/import/bundler.js'));
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'helper.js'), 'export const helper = (name) => `${name}-${ENV}`;');
+    importJsPath = path.join(tmpDir, 'import.js');
+    fs.writeFileSync(importJsPath, `import { helper } from './helper.js';
+export default { transform: () => [{ element: document.body, path: DEBUG ? helper('debug') : helper('page') }] };
+`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should replace defined constants and minify the bundle', () => {
+    const { code, map } = bundleImportScript(importJsPath, {
+      minify: true,
+      define: { ENV: '"stage"', DEBUG: 'false' },
+    });
+
+    expect(code).to.contain('var CustomImportScript=');
+    expect(code).to.contain('-stage');
+    expect(code).not.to.contain('debug');
+    expect(map).to.be.undefined;
+  });
+
+  it('should inline the source map', () => {
+    const { code, map } = bundleImportScript(importJsPath, {
+      sourcemap: 'inline',
+      define: { ENV: '"stage"', DEBUG: 'false' },
+    });
+
+    expect(code).to.contain('//# sourceMappingURL=data:application/json;base64,');
+    expect(map).to.be.undefined;
+  });
+
+  it('should return an external source map referenced from the bundle', () => {
+    const outputPath = path.join(tmpDir, 'import.bundle.js');
+    const { code, map } = bundleImportScript(importJsPath, {
+      sourcemap: 'external',
+      define: { ENV: '"stage"', DEBUG: 'false' },
+      outputPath,
+    });
+
+    expect(code).to.contain('//# sourceMappingURL=import.bundle.js.map');
+    expect(JSON.parse(map).sources.some((source) => source.endsWith('helper.js'))).to.be.true;
+  });
+
+  it('should return the metafile of the bundle', () => {
+    const { metafile } = bundleImportScript(importJsPath, {
+      define: { ENV: '"stage"', DEBUG: 'false' },
+      metafile: true,
+    });
+
+    expect(Object.keys(metafile.inputs)).to.have.lengthOf(2);
+  });
+});
+
+describe('parseDefines tests', () => {
+  let parseDefines;
+
+  before(async () => {
+    ({ parseDefines } = await import('../../src/import/bundler.js'));
+  });
+
+  it('should keep JSON values and quote plain strings', () => {
+    expect(parseDefines(['DEBUG=true', 'LIMIT=10', 'ENV=stage', 'URL=https://example.com/?a=b'])).to.deep.equal({
+      DEBUG: 'true',
+      LIMIT: '10',
+      ENV: '"stage"',
+      URL: '"https://example.com/?a=b"',
+    });
+  });
+
+  it('should return no definitions by default', () => {
+    expect(parseDefines()).to.deep.equal({});
+  });
+
+  it('should reject definitions without a key', () => {
+    expect(() => parseDefines(['DEBUG'])).to.throw('Invalid define "DEBUG", expected KEY=VALUE');
+    expect(() => parseDefines(['=true'])).to.throw('Invalid define "=true", expected KEY=VALUE');
+  });
+});
+
+describe('analyzeBundle tests', () => {
+  let analyzeBundle;
+
+  before(async () => {
+    ({ analyzeBundle } = await import('../../src/import/bundler.js'));
+  });
+
+  it('should list the largest modules of the bundle', () => {
+    const metafile = {
+      outputs: {
+        'import.bundle.js.map': { bytes: 5000, inputs: {} },
+        'import.bundle.js': {
+          bytes: 1000,
+          entryPoint: 'import.js',
+          inputs: {
+            'import.js': { bytesInOutput: 100 },
+            'node_modules/lib/index.js': { bytesInOutput: 600 },
+            'transformers/cards.js': { bytesInOutput: 200 },
+          },
+        },
+      },
+    };
+
+    const { totalBytes, modules } = analyzeBundle(metafile, 2);
+    expect(totalBytes).to.equal(1000);
+    expect(modules).to.deep.equal([
+      { path: 'node_modules/lib/index.js', bytes: 600, percent: 60 },
+      { path: 'transformers/cards.js', bytes: 200, percent: 20 },
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import archiver from 'archiver';
+
+/**
+ * Build an in-memory ZIP archive.
+ * @param {object} files - The content of each file, by path
+ * @returns {Promise<Buffer>}
+ */
+export const createZip = (files) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const archive = archiver('zip');
+  archive.on('data', (chunk) => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+  Object.entries(files).forEach(([name, content]) => archive.append(content, { name }));
+  archive.finalize();
+});
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+/**
+ * Build a minimal XLSX spreadsheet: the first column holds shared strings, the other columns
+ * inline strings, so both cell types are covered.
+ * @param {Array<Array<string>>} rows - The rows of the sheet
+ * @returns {Promise<Buffer>}
+ */
+export const createSpreadsheet = (rows) => {
+  const strings = rows.map((row) => row[0]);
+  const sharedStrings = `<?xml version="1.0" encoding="UTF-8"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${
+  strings.map((value) => `<si><t xml:space="preserve">${escapeXml(value)}</t></si>`).join('')}</sst>`;
+  const sheetRows = rows.map((row, rowIndex) => `<row r="${rowIndex + 1}">${row.map((value, columnIndex) => {
+    const reference = `${String.fromCharCode(65 + columnIndex)}${rowIndex + 1}`;
+    if (value === '') {
+      return '';
+    }
+    return columnIndex === 0
+      ? `<c r="${reference}" t="s"><v>${rowIndex}</v></c>`
+      : `<c r="${reference}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+  }).join('')}</row>`).join('');
+  const sheet = `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`;
+
+  return createZip({
+    'xl/sharedStrings.xml': sharedStrings,
+    'xl/worksheets/sheet1.xml': sheet,
+  });
+};
+
+export const importReportRows = [
+  ['URL', 'Status', 'Redirect', 'Path', 'Error'],
+  ['https://example.com/path/to/resource-1', 'Success', '', '/path/to/resource-1', ''],
+  ['https://example.com/path/to/resource-2', 'Failed', '', '', 'Timeout, page did not load'],
+  ['https://example.com/path/to/en_ca/resource-3', 'Redirect', 'https://example.com/en-ca/resource-3', '', ''],
+];
@@ -0,0 +1,3 @@
+export default {
+  transfrom: ({ document }) => [{ element: document.body, path: '/index' }],
+};
@@ -0,0 +1,4 @@
+export default {
+  transformDOM: ({ document }) => document.body,
+  generateDocumentPath: ({ url }) => new URL(url).pathname,
+};
@@ -11,17 +11,28 @@
  */
 import { expect, use } from 'chai';
 import sinon from 'sinon';
-import { runImportJobAndPoll } from '../../src/import/import-helper.js';
+import {
+  getJobSnapshot, retryFailedUrls, runImportJobAndPoll, splitIntoBatches, stopImportJob, watchImportJob,
+} from '../../src/import/import-helper.js';
 import chaiAsPromised from 'chai-as-promised';
+import esmock from 'esmock';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import {
   jobCompletedResponse, jobInProgressResponse, jobResultResponse, progressResponse,
 } from './fixtures/example-responses.js';
+import { createSpreadsheet, createZip, importReportRows } from './fixtures/import-report.js';
+import { addJournalEntry, readJournal } from '../../src/import/job-journal.js';
+import { ImportJobError, ValidationError } from '../../src/errors.js';
+import { EVENTS, helperEvents } from '../../src/events.js';
 
 use(chaiAsPromised);
 
 describe('Import helper tests', () => {
   let fetchStub;
   let isJobComplete = true;
+  let archiveBuffer;
 
   const exampleParamObject = {
     urls: [
@@ -38,6 +49,10 @@ describe('Import helper tests', () => {
     // Mock fetch(..)
     fetchStub = sinon.stub(globalThis, 'fetch')
     fetchStub.callsFake((url, options) => {
+      if (url === jobResultResponse.downloadUrl) {
+        // This is a request to download the import archive
+        return new Response(archiveBuffer);
+      }
       const { body } = options;
       const { pathname } = url;
 
@@ -54,8 +69,16 @@ describe('Import helper tests', () => {
         // This is a request to get the job result
         return new Response(JSON.stringify(jobResultResponse));
       }
+      // PATCH handlers
+      else if (options.method === 'PATCH' && pathname.startsWith('/api/v1/tools/import/jobs/')) {
+        // This is a request to stop the job
+        return new Response(JSON.stringify({ ...jobInProgressResponse, status: 'STOPPED' }));
+      }
       // GET handlers
-      else if (options.method === 'GET' && pathname.startsWith('/api/v1/tools/import/jobs/')) {
+      else if (options.method === 'GET' && pathname.endsWith('/progress')) {
+        // This is a request to get the job progress
+        return new Response(JSON.stringify(progressResponse));
+      } else if (options.method === 'GET' && pathname.startsWith('/api/v1/tools/import/jobs/')) {
         // This is a request to poll the job status
         if (!isJobComplete) {
           // Job will be complete on next status request
@@ -66,9 +89,6 @@ describe('Import helper tests', () => {
           // Return a COMPLETE status
           return new Response(JSON.stringify(jobCompletedResponse));
         }
-      } else if (options.method === 'GET' && pathname.endsWith('/progress')) {
-        // This is a request to get the job progress
-        return new Response(JSON.stringify(progressResponse));
       }
       // Unexpected request pattern
       else {
@@ -81,6 +101,7 @@ describe('Import helper tests', () => {
   afterEach(() => {
     // Restore the default sandbox here
     sinon.restore();
+    isJobComplete = true;
   });
 
   describe('runImportJobAndPoll tests', () => {
@@ -88,7 +109,7 @@ describe('Import helper tests', () => {
       const testParams = {
         urls: [],
       };
-      await expect(runImportJobAndPoll(testParams)).to.be.rejectedWith(Error, 'No valid URLs provided');
+      await expect(runImportJobAndPoll(testParams)).to.be.rejectedWith(ValidationError, 'No valid URLs provided');
 
       testParams.urls = null;
       await expect(runImportJobAndPoll(testParams)).to.be.rejectedWith(Error, 'No valid URLs provided');
@@ -100,8 +121,53 @@ describe('Import helper tests', () => {
       await expect(runImportJobAndPoll(testParams)).to.be.rejectedWith(Error, 'No valid URLs provided');
     });
 
+    it ('should abort in strict mode when URLs are invalid', async () => {
+      const testParams = {
+        ...exampleParamObject,
+        urls: [...exampleParamObject.urls, 'not a url'],
+        strict: true,
+      };
+      await expect(runImportJobAndPoll(testParams)).to.be.rejectedWith(Error, 'Found 1 invalid URLs');
+      expect(fetchStub.callCount).to.equal(0);
+    });
+
+    it ('should not create a job when the import script does not export a transformer', async () => {
+      const testParams = {
+        ...exampleParamObject,
+        importJsPath: 'test/import/fixtures/import-scripts/invalid-import.js',
+      };
+      await expect(runImportJobAndPoll(testParams))
+        .to.be.rejectedWith(Error, 'must define a transform or transformDOM function');
+      expect(fetchStub.callCount).to.equal(0);
+    });
+
+    it ('should submit a valid import script', async () => {
+      await runImportJobAndPoll({
+        ...exampleParamObject,
+        importJsPath: 'test/import/fixtures/import-scripts/valid-import.js',
+      });
+      expect(fetchStub.getCall(0).args[1].body.get('importScript').name).to.equal('valid-import.js');
+    });
+
+    it ('should submit de-duplicated URLs', async () => {
+      const testParams = {
+        ...exampleParamObject,
+        urls: [...exampleParamObject.urls, 'https://example.com/path/to/resource-1/', 'not a url'],
+      };
+      await runImportJobAndPoll(testParams);
+      expect(JSON.parse(fetchStub.getCall(0).args[1].body.get('urls'))).to.deep.equal(exampleParamObject.urls);
+    });
+
     it ('should create a new job which completes right away', async () => {
-      await runImportJobAndPoll(exampleParamObject);
+      const jobs = await runImportJobAndPoll(exampleParamObject);
+
+      expect(jobs).to.have.length(1);
+      expect(jobs[0]).to.deep.include({
+        jobId: jobCompletedResponse.id,
+        urls: exampleParamObject.urls,
+        jobStatus: jobCompletedResponse,
+        downloadUrl: jobResultResponse.downloadUrl,
+      });
 
       // Check the fetch requests which are made to the API from the tool
       expect(fetchStub.callCount).to.equal(3);
@@ -124,5 +190,445 @@ describe('Import helper tests', () => {
       expect(getResultCall.args[0].href).to.equal('https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/318cab4f-f793-4e72-be20-894b3713f102/result');
       expect(getResultCall.args[1].method).to.equal('POST');
     });
+
+    it ('should send the requests to the API URL of the environment', async () => {
+      process.env.AEM_IMPORT_API_URL = 'http://localhost:3000/api/v1/tools/import/jobs/';
+      process.env.AEM_IMPORT_LABS_URL = 'http://localhost:3001/import.html?env=local';
+      const logStub = sinon.stub(console, 'log');
+      try {
+        await runImportJobAndPoll(exampleParamObject);
+      } finally {
+        delete process.env.AEM_IMPORT_API_URL;
+        delete process.env.AEM_IMPORT_LABS_URL;
+        logStub.restore();
+      }
+
+      expect(fetchStub.getCall(0).args[0].href).to.equal('http://localhost:3000/api/v1/tools/import/jobs');
+      expect(fetchStub.getCall(1).args[0].href)
+        .to.equal(`http://localhost:3000/api/v1/tools/import/jobs/${jobInProgressResponse.id}`);
+      expect(logStub.calledWith(`http://localhost:3001/import.html?env=local&jobid=${jobInProgressResponse.id}`)).to.be.true;
+    });
+
+    it ('should send the requests to the API URL of the call, over the environment', async () => {
+      process.env.AEM_IMPORT_API_URL = 'http://localhost:3000/api/v1/tools/import/jobs';
+      const logStub = sinon.stub(console, 'log');
+      try {
+        await runImportJobAndPoll({
+          ...exampleParamObject,
+          apiUrl: 'http://localhost:4000/api/v1/tools/import/jobs/',
+          labsUrl: 'http://localhost:4001/import.html',
+        });
+      } finally {
+        delete process.env.AEM_IMPORT_API_URL;
+        logStub.restore();
+      }
+
+      expect(fetchStub.getCall(0).args[0].href).to.equal('http://localhost:4000/api/v1/tools/import/jobs');
+      expect(fetchStub.getCall(1).args[0].href)
+        .to.equal(`http://localhost:4000/api/v1/tools/import/jobs/${jobInProgressResponse.id}`);
+      expect(logStub.calledWith(`http://localhost:4001/import.html?jobid=${jobInProgressResponse.id}`)).to.be.true;
+      // the options of a call do not leak into the environment
+      expect(process.env.AEM_IMPORT_LABS_URL).to.be.undefined;
+    });
+
+    it ('should emit the lifecycle events of the job', async () => {
+      isJobComplete = false;
+      const events = [];
+      const listener = (event) => events.push(event);
+      [EVENTS.JOB_STARTED, EVENTS.JOB_PROGRESS, EVENTS.JOB_COMPLETED].forEach((type) => helperEvents.on(type, listener));
+      try {
+        await runImportJobAndPoll(exampleParamObject);
+      } finally {
+        helperEvents.removeAllListeners();
+      }
+
+      expect(events.map(({ type }) => type)).to.deep.equal(['job:started', 'job:progress', 'job:completed']);
+      expect(events[0]).to.include({ jobId: jobInProgressResponse.id, urlCount: 5, stage: false });
+      expect(events[1]).to.include({ jobId: jobInProgressResponse.id, pending: 5, completed: 0 });
+      expect(events[2]).to.include({
+        jobId: jobCompletedResponse.id, status: 'COMPLETE', successCount: 5, downloadUrl: jobResultResponse.downloadUrl,
+      });
+      expect(events[2].timestamp).to.be.a('string');
+    });
+  });
+
+  describe('import report tests', () => {
+    let tmpDir;
+
+    before(async () => {
+      archiveBuffer = await createZip({
+        'docx/path/to/resource-1.docx': 'docx',
+        'import-report.xlsx': await createSpreadsheet(importReportRows),
+      });
+    });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-report-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write the per-URL report and the failed URLs of the job', async () => {
+      const reportPath = path.join(tmpDir, 'report.csv');
+      await runImportJobAndPoll({ ...exampleParamObject, reportPath });
+
+      const lines = fs.readFileSync(reportPath, 'utf8').trim().split('\n');
+      expect(lines).to.have.lengthOf(6);
+      expect(lines[2]).to.equal('https://example.com/path/to/resource-2,failed,"Timeout, page did not load",,,'
+        + jobCompletedResponse.id);
+      // URLs missing from the import report get their status from the job, which completed without failures
+      expect(lines[4]).to.equal(`https://example.com/path/to/fr_ca/about-us,complete,,,,${jobCompletedResponse.id}`);
+      expect(fs.readFileSync(path.join(tmpDir, 'failed-urls.txt'), 'utf8'))
+        .to.equal('https://example.com/path/to/resource-2\n');
+    });
+
+    it('should write the report of an existing job', async () => {
+      const reportPath = path.join(tmpDir, 'report.json');
+      await getJobSnapshot({ jobId: jobCompletedResponse.id, reportPath });
+
+      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+      expect(report.jobs[0]).to.include({ id: jobCompletedResponse.id, status: 'COMPLETE' });
+      expect(report.urls.map(({ status }) => status)).to.deep.equal(['complete', 'failed', 'redirect']);
+    });
+  });
+
+  describe('job journal tests', () => {
+    let tmpDir;
+    let journalPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-journal-test-'));
+      journalPath = path.join(tmpDir, '.aem-import-helper', 'jobs.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should record the started job, then its final status and download URL', async () => {
+      const importJsPath = path.resolve('test/import/fixtures/import-scripts/valid-import.js');
+      await runImportJobAndPoll({
+        ...exampleParamObject,
+        urlsPath: 'urls.txt',
+        importJsPath,
+        options: { enableJavascript: false, headers: { Authorization: 'secret' } },
+        journalPath,
+      });
+
+      const jobs = readJournal(journalPath);
+      expect(jobs).to.have.length(1);
+      expect(jobs[0]).to.include({
+        id: jobCompletedResponse.id,
+        startedAt: jobInProgressResponse.startTime,
+        status: 'COMPLETE',
+        stage: false,
+        apiUrl: 'https://spacecat.experiencecloud.live/api/v1/tools/import/jobs',
+        urlsFile: path.resolve('urls.txt'),
+        urlCount: 5,
+        successCount: 5,
+        downloadUrl: jobResultResponse.downloadUrl,
+      });
+      expect(jobs[0].importJs.file).to.equal(importJsPath);
+      expect(jobs[0].importJs.hash).to.match(/^[0-9a-f]{12}$/);
+      // the custom headers may hold credentials
+      expect(jobs[0].options).to.deep.equal({ enableJavascript: false });
+    });
+
+    it('should record the final status of a failed job', async () => {
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ ...jobCompletedResponse, status: 'FAILED' })));
+
+      await expect(runImportJobAndPoll({ ...exampleParamObject, journalPath })).to.be.rejectedWith(Error);
+      expect(readJournal(journalPath)[0]).to.include({ status: 'FAILED' }).and.not.have.property('downloadUrl');
+    });
+
+    it('should record the status of a stopped job', async () => {
+      addJournalEntry(journalPath, { id: jobInProgressResponse.id, status: 'RUNNING' });
+      isJobComplete = false;
+      // status (RUNNING), stop, status (STOPPED)
+      fetchStub.onCall(2).resolves(new Response(JSON.stringify({ ...jobInProgressResponse, status: 'STOPPED' })));
+
+      await stopImportJob({ jobId: jobInProgressResponse.id, journalPath });
+      expect(readJournal(journalPath)[0]).to.include({ status: 'STOPPED' });
+    });
+
+    it('should send the requests about a recorded job to the API URL it was started with', async () => {
+      addJournalEntry(journalPath, {
+        id: jobInProgressResponse.id, status: 'COMPLETE', apiUrl: 'http://localhost:3000/api/v1/tools/import/jobs',
+      });
+      sinon.stub(console, 'log');
+
+      await getJobSnapshot({ jobId: jobInProgressResponse.id, journalPath });
+      expect(fetchStub.firstCall.args[0].href)
+        .to.equal(`http://localhost:3000/api/v1/tools/import/jobs/${jobInProgressResponse.id}`);
+
+      // unless another API URL is given
+      await getJobSnapshot({ jobId: jobInProgressResponse.id, journalPath, apiUrl: 'http://localhost:4000/api/v1/tools/import/jobs' });
+      expect(fetchStub.lastCall.args[0].href).to.match(/^http:\/\/localhost:4000\//);
+    });
+
+    it('should not record anything without a journal path', async () => {
+      await runImportJobAndPoll(exampleParamObject);
+      expect(fs.existsSync(journalPath)).to.be.false;
+    });
+  });
+
+  describe('retryFailedUrls tests', () => {
+    const jobId = jobCompletedResponse.id;
+    let tmpDir;
+    let journalPath;
+
+    before(async () => {
+      archiveBuffer = await createZip({
+        'import-report.xlsx': await createSpreadsheet(importReportRows),
+      });
+    });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-failed-test-'));
+      journalPath = path.join(tmpDir, 'jobs.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const getCreateJobCall = () => fetchStub.getCalls()
+      .find((call) => call.args[1]?.body instanceof FormData);
+
+    it('should start a job for the failed URLs, with the options and import script of the previous job', async () => {
+      const importJsPath = path.resolve('test/import/fixtures/import-scripts/valid-import.js');
+      addJournalEntry(journalPath, { id: jobId, status: 'COMPLETE', importJs: { file: importJsPath, hash: 'abc' } });
+
+      const { urls: retriedUrls, jobs } = await retryFailedUrls({ jobId, journalPath, pollInterval: 1 });
+
+      expect(retriedUrls).to.deep.equal(['https://example.com/path/to/resource-2']);
+      expect(jobs.map(({ jobId: id, urls }) => ({ id, urls }))).to.deep.equal([{ id: jobId, urls: retriedUrls }]);
+      const { body } = getCreateJobCall().args[1];
+      expect(JSON.parse(body.get('urls'))).to.deep.equal(retriedUrls);
+      expect(JSON.parse(body.get('options'))).to.deep.equal(jobCompletedResponse.options);
+      expect(body.get('importScript').name).to.equal('valid-import.js');
+      expect(readJournal(journalPath)[0].retryOf).to.equal(jobId);
+    });
+
+    it('should use the options and import script supplied again', async () => {
+      await retryFailedUrls({
+        jobId,
+        options: { enableJavascript: true },
+        importJsPath: 'test/import/fixtures/import-scripts/valid-import.js',
+        pollInterval: 1,
+      });
+
+      const { body } = getCreateJobCall().args[1];
+      expect(JSON.parse(body.get('options'))).to.deep.equal({ enableJavascript: true });
+      expect(body.get('importScript').name).to.equal('valid-import.js');
+    });
+
+    it('should not retry a job which is still running', async () => {
+      isJobComplete = false;
+      await expect(retryFailedUrls({ jobId, pollInterval: 1 })).to.be.rejectedWith(Error, 'is still running');
+      expect(getCreateJobCall()).to.be.undefined;
+    });
+
+    it('should require the import script when it is not recorded', async () => {
+      fetchStub.onCall(0).resolves(new Response(JSON.stringify({ ...jobCompletedResponse, hasCustomImportJs: true })));
+      await expect(retryFailedUrls({ jobId, journalPath, pollInterval: 1 }))
+        .to.be.rejectedWith(Error, 'supply it again with --importjs');
+      expect(getCreateJobCall()).to.be.undefined;
+    });
+
+    it('should fail when the archive has no import report', async () => {
+      const reportArchive = archiveBuffer;
+      archiveBuffer = await createZip({ 'docx/index.docx': 'docx' });
+      try {
+        await expect(retryFailedUrls({ jobId, pollInterval: 1 }))
+          .to.be.rejectedWith(Error, 'has no import report');
+      } finally {
+        archiveBuffer = reportArchive;
+      }
+    });
+  });
+
+  describe('getJobSnapshot tests', () => {
+    it('should return the status, progress and download URL of a finished job', async () => {
+      const jobId = jobCompletedResponse.id;
+      const snapshot = await getJobSnapshot({ jobId });
+
+      expect(snapshot.jobStatus.status).to.equal('COMPLETE');
+      expect(snapshot.jobProgress).to.deep.equal(progressResponse);
+      expect(snapshot.downloadUrl).to.equal(jobResultResponse.downloadUrl);
+
+      expect(fetchStub.callCount).to.equal(3);
+      expect(fetchStub.getCall(1).args[0].href).to.equal(`https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/${jobId}/progress`);
+    });
+
+    it('should not fetch the job result while the job is running', async () => {
+      isJobComplete = false;
+      const snapshot = await getJobSnapshot({ jobId: jobInProgressResponse.id });
+
+      expect(snapshot.jobStatus.status).to.equal('RUNNING');
+      expect(snapshot.downloadUrl).to.be.undefined;
+      expect(fetchStub.callCount).to.equal(2);
+    });
+  });
+
+  describe('watchImportJob tests', () => {
+    it('should poll an existing job until it completes', async () => {
+      isJobComplete = false;
+      const jobId = jobInProgressResponse.id;
+      await watchImportJob({ jobId, pollInterval: 1 });
+
+      // status (RUNNING), progress, status (COMPLETE), result
+      expect(fetchStub.callCount).to.equal(4);
+      expect(fetchStub.getCall(0).args[0].href).to.equal(`https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/${jobId}`);
+      expect(fetchStub.getCall(1).args[0].href).to.equal(`https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/${jobId}/progress`);
+      expect(fetchStub.getCall(3).args[0].href).to.equal(`https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/${jobId}/result`);
+      expect(fetchStub.getCall(3).args[1].method).to.equal('POST');
+    });
+
+    it('should upload the job archive with the SharePoint options and return the manifest', async () => {
+      const sharePointManifest = { uploaded: 1, skipped: 0, failed: 1, files: [] };
+      const uploadZipFromS3ToSharePoint = sinon.stub().resolves(sharePointManifest);
+      const { watchImportJob: watch } = await esmock('../../src/import/import-helper.js', {
+        '../../src/import/sharepoint-uploader.js': { uploadZipFromS3ToSharePoint },
+      });
+      const sharePointOptions = { uploader: 'm365', concurrency: 2 };
+
+      const result = await watch({
+        jobId: jobInProgressResponse.id, sharePointUploadUrl: 'https://sharepoint/folder', sharePointOptions, pollInterval: 1,
+      });
+
+      expect(uploadZipFromS3ToSharePoint.calledOnceWith(jobResultResponse.downloadUrl, 'https://sharepoint/folder', sharePointOptions))
+        .to.be.true;
+      expect(result.sharePointManifest).to.equal(sharePointManifest);
+    });
+  });
+
+  describe('stopImportJob tests', () => {
+    it('should request a running job to be stopped', async () => {
+      isJobComplete = false;
+      const jobId = jobInProgressResponse.id;
+      await stopImportJob({ jobId });
+
+      // status (RUNNING), stop, status
+      expect(fetchStub.callCount).to.equal(3);
+      const stopCall = fetchStub.getCall(1);
+      expect(stopCall.args[0].href).to.equal(`https://spacecat.experiencecloud.live/api/v1/tools/import/jobs/${jobId}`);
+      expect(stopCall.args[1].method).to.equal('PATCH');
+      expect(JSON.parse(stopCall.args[1].body)).to.deep.equal({ status: 'STOPPED' });
+    });
+
+    it('should not try to stop a job which is no longer running', async () => {
+      const jobStatus = await stopImportJob({ jobId: jobCompletedResponse.id });
+
+      expect(jobStatus.status).to.equal('COMPLETE');
+      expect(fetchStub.callCount).to.equal(1);
+      expect(fetchStub.getCall(0).args[1].method).to.equal('GET');
+    });
+  });
+
+  describe('job polling resilience tests', () => {
+    it('should retry polling after a transient error', async () => {
+      fetchStub.onCall(1).resolves(new Response('Bad Gateway', { status: 502 }));
+
+      await runImportJobAndPoll(exampleParamObject);
+
+      // create, status (502), status (COMPLETE), result
+      expect(fetchStub.callCount).to.equal(4);
+      expect(fetchStub.getCall(3).args[0].href).to.match(/\/result$/);
+    });
+
+    it('should retry polling after a network error', async () => {
+      fetchStub.onCall(1).rejects(new TypeError('fetch failed'));
+
+      await runImportJobAndPoll(exampleParamObject);
+      expect(fetchStub.callCount).to.equal(4);
+    });
+
+    it('should retry starting a job which is rate limited', async () => {
+      fetchStub.onCall(0).resolves(new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '0' } }));
+
+      const jobs = await runImportJobAndPoll(exampleParamObject);
+
+      // create (429), create, status, result
+      expect(fetchStub.callCount).to.equal(4);
+      expect(fetchStub.getCall(1).args[1].body instanceof FormData).to.be.true;
+      expect(jobs[0].jobId).to.equal(jobCompletedResponse.id);
+    });
+
+    it('should stop polling on a fatal error', async () => {
+      fetchStub.onCall(1).resolves(new Response('Not Found', { status: 404 }));
+
+      await expect(runImportJobAndPoll(exampleParamObject)).to.be.rejectedWith(Error, 'Request failed with status code 404');
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should give up after too many consecutive transient errors', async () => {
+      fetchStub.callsFake(() => new Response('Service Unavailable', { status: 503 }));
+
+      await expect(watchImportJob({ jobId: jobInProgressResponse.id, pollInterval: 1 }))
+        .to.be.rejectedWith(Error, 'Unable to poll the status of job');
+      // initial attempt + 5 retries
+      expect(fetchStub.callCount).to.equal(6);
+    });
+
+    it('should reject when the job ends in a failed state', async () => {
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ ...jobCompletedResponse, status: 'FAILED' })));
+
+      await expect(runImportJobAndPoll(exampleParamObject)).to.be.rejectedWith(ImportJobError, 'ended with status FAILED');
+      // The result of a failed job is not fetched
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should reject when the job does not finish before the timeout', async () => {
+      await expect(watchImportJob({ jobId: jobInProgressResponse.id, pollInterval: 50, timeout: 10 }))
+        .to.be.rejectedWith(Error, 'Timed out waiting for job');
+      expect(fetchStub.callCount).to.equal(0);
+    });
+  });
+
+  describe('batched import tests', () => {
+    const getCreateJobCalls = () => fetchStub.getCalls()
+      .filter((call) => call.args[1].method === 'POST' && call.args[1].body instanceof FormData);
+
+    it('should split URLs into batches', () => {
+      expect(splitIntoBatches(['a', 'b', 'c', 'd', 'e'], 2)).to.deep.equal([['a', 'b'], ['c', 'd'], ['e']]);
+      expect(splitIntoBatches(['a', 'b'], 5)).to.deep.equal([['a', 'b']]);
+    });
+
+    it('should submit one job per batch of URLs', async () => {
+      await runImportJobAndPoll({ ...exampleParamObject, batchSize: 2 });
+
+      const createJobCalls = getCreateJobCalls();
+      expect(createJobCalls).to.have.length(3);
+      expect(createJobCalls.map((call) => JSON.parse(call.args[1].body.get('urls')).length)).to.deep.equal([2, 2, 1]);
+      // Each job is created, polled and its result fetched
+      expect(fetchStub.callCount).to.equal(9);
+    });
+
+    it('should run several jobs at the same time', async () => {
+      await runImportJobAndPoll({ ...exampleParamObject, batchSize: 1, maxConcurrentJobs: 3 });
+
+      expect(getCreateJobCalls()).to.have.length(5);
+      // The first three jobs are created before any of them is polled
+      expect(fetchStub.getCalls().slice(0, 3).every((call) => call.args[1].body instanceof FormData)).to.be.true;
+    });
+
+    it('should not batch a list of URLs smaller than the batch size', async () => {
+      await runImportJobAndPoll({ ...exampleParamObject, batchSize: 10 });
+      expect(getCreateJobCalls()).to.have.length(1);
+    });
+
+    it('should finish the remaining jobs and reject when one of the jobs fails', async () => {
+      fetchStub.onCall(0).resolves(new Response('Internal Server Error', { status: 500 }));
+
+      const error = await runImportJobAndPoll({ ...exampleParamObject, batchSize: 2 }).catch((e) => e);
+      expect(error).to.be.instanceOf(ImportJobError);
+      expect(error.message).to.equal('1 of 3 import jobs did not complete successfully');
+      expect(error.jobs.map(({ urls, error: jobError }) => [urls.length, Boolean(jobError)]))
+        .to.deep.equal([[2, true], [2, false], [1, false]]);
+      expect(getCreateJobCalls()).to.have.length(3);
+    });
   });
 });
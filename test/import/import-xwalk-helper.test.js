@@ -14,6 +14,9 @@
 
 import { expect, use } from 'chai';
 import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { runImportJobAndPoll } from '../../src/import/import-helper.js';
 import chaiAsPromised from 'chai-as-promised';
 import {
@@ -130,6 +133,22 @@ describe('Xwalk import tests', () => {
   });
 
 
+  it('should not create a job when the component files are inconsistent', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xwalk-test-'));
+    const filters = JSON.parse(fs.readFileSync(xwalkProject.filtersPath, 'utf8'));
+    filters[1].components.push('colums');
+    const filtersPath = path.join(tmpDir, 'component-filters.json');
+    fs.writeFileSync(filtersPath, JSON.stringify(filters));
+
+    try {
+      await expect(runImportJobAndPoll({ ...xwalkProject, filtersPath })).to.be.rejectedWith(
+        `${filtersPath} $[1].components[3]: unknown component "colums"`);
+      expect(fetchStub.callCount).to.equal(0);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
   it('expect to run the xwalk import job and poll for status', async () => {
     await runImportJobAndPoll(xwalkProject);
     expect(fetchStub.callCount).to.equal(3);
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import archiver from 'archiver';
+import chaiAsPromised from 'chai-as-promised';
+import { describeArchiveContents, downloadJobArchive, readArchiveEntry } from '../../src/import/job-archive.js';
+
+use(chaiAsPromised);
+
+describe('job-archive tests', () => {
+  const jobId = '318cab4f-f793-4e72-be20-894b3713f102';
+  const downloadUrl = 'https://example.s3.region.amazonaws.com/imports/import-result.zip';
+  let tmpDir;
+  let zipBuffer;
+
+  /**
+   * Build an in-memory import archive with the same layout as the one produced by the import service.
+   * @returns {Promise<Buffer>}
+   */
+  const createImportArchive = () => new Promise((resolve, reject) => {
+    const chunks = [];
+    const archive = archiver('zip');
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    archive.append('docx', { name: 'docx/index.docx' });
+    archive.append('docx', { name: 'docx/about/us.docx' });
+    archive.append('package', { name: 'xwalk-site.zip' });
+    archive.append('{}', { name: 'asset-mapping.json' });
+    archive.finalize();
+  });
+
+  before(async () => {
+    zipBuffer = await createImportArchive();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-archive-test-'));
+    sinon.stub(globalThis, 'fetch').callsFake(async () => new Response(zipBuffer));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should download and extract the archive into a folder named after the job', async () => {
+    const { archivePath, extractPath } = await downloadJobArchive({ downloadUrl, jobId, downloadDir: tmpDir });
+
+    expect(archivePath).to.be.undefined;
+    expect(extractPath).to.equal(path.join(tmpDir, jobId));
+    expect(fs.existsSync(path.join(extractPath, 'docx', 'about', 'us.docx'))).to.be.true;
+
+    const contents = describeArchiveContents(extractPath);
+    expect(contents.docxPath).to.equal(path.join(extractPath, 'docx'));
+    expect(contents.packagePaths).to.deep.equal([path.join(extractPath, 'xwalk-site.zip')]);
+    expect(contents.assetMappingPath).to.equal(path.join(extractPath, 'asset-mapping.json'));
+  });
+
+  it('should keep the archive as a zip file when extraction is disabled', async () => {
+    const { archivePath, extractPath } = await downloadJobArchive({
+      downloadUrl, jobId, downloadDir: tmpDir, extract: false,
+    });
+
+    expect(extractPath).to.be.undefined;
+    expect(archivePath).to.equal(path.join(tmpDir, `${jobId}.zip`));
+    expect(fs.readFileSync(archivePath).equals(zipBuffer)).to.be.true;
+  });
+
+  it('should fail when the archive cannot be downloaded', async () => {
+    globalThis.fetch.callsFake(async () => new Response('Forbidden', { status: 403, statusText: 'Forbidden' }));
+
+    await expect(downloadJobArchive({ downloadUrl, jobId, downloadDir: tmpDir }))
+      .to.be.rejectedWith(Error, 'Failed to download ZIP file: Forbidden');
+  });
+
+  it('should report missing artifacts of an archive', () => {
+    const contents = describeArchiveContents(tmpDir);
+    expect(contents.docxPath).to.be.undefined;
+    expect(contents.packagePaths).to.be.empty;
+    expect(contents.assetMappingPath).to.be.undefined;
+  });
+
+  it('should read a single file from the archive', async () => {
+    const content = await readArchiveEntry(downloadUrl, /(^|\/)asset-mapping\.json$/);
+    expect(content.toString('utf8')).to.equal('{}');
+  });
+
+  it('should return nothing when the archive does not contain the file', async () => {
+    expect(await readArchiveEntry(downloadUrl, /import-report\.xlsx$/)).to.be.undefined;
+  });
+});
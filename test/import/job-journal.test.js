@@ -0,0 +1,112 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  addJournalEntry, filterJournalEntries, findJournalEntry, getJobEndpoint, getJournalPath, hashContent, readJournal,
+  updateJournalEntry,
+} from '../../src/import/job-journal.js';
+
+describe('job journal tests', () => {
+  const jobs = [
+    {
+      id: 'a1b2c3', startedAt: '2026-01-10T10:00:00.000Z', status: 'COMPLETE', stage: false,
+      urlsFile: '/work/acme/urls.txt', importJs: { file: '/work/acme/import.js', hash: '0123456789ab' },
+    },
+    {
+      id: 'a1f4e5', startedAt: '2026-02-01T10:00:00.000Z', status: 'FAILED', stage: true,
+      urlsFile: '/work/acme/blog-urls.txt',
+    },
+    {
+      id: 'b7d8e9', startedAt: '2026-03-15T10:00:00.000Z', status: 'RUNNING', stage: false, apiUrl: 'http://localhost:3000/jobs',
+      urlsFile: '/work/globex/urls.txt', importJs: { file: '/work/globex/import.js', hash: 'ba9876543210' },
+    },
+  ];
+  let tmpDir;
+  let journalPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-journal-test-'));
+    journalPath = getJournalPath(tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep the journal in the .aem-import-helper directory', () => {
+    expect(journalPath).to.equal(path.join(tmpDir, '.aem-import-helper', 'jobs.json'));
+  });
+
+  it('should read an empty journal when it does not exist yet', () => {
+    expect(readJournal(journalPath)).to.deep.equal([]);
+  });
+
+  it('should fail to read an invalid journal', () => {
+    fs.mkdirSync(path.dirname(journalPath));
+    fs.writeFileSync(journalPath, '{ not json');
+    expect(() => readJournal(journalPath)).to.throw('Unable to read the job journal');
+  });
+
+  it('should record and update jobs', () => {
+    addJournalEntry(journalPath, { id: 'job-1', status: 'RUNNING', urlCount: 5 });
+    addJournalEntry(journalPath, { id: 'job-2', status: 'RUNNING', urlCount: 2 });
+    const updated = updateJournalEntry(journalPath, 'job-1', { status: 'COMPLETE', downloadUrl: 'https://example.com/job-1.zip' });
+
+    expect(updated).to.include({ id: 'job-1', status: 'COMPLETE', urlCount: 5 });
+    expect(readJournal(journalPath).map(({ id, status }) => `${id} ${status}`))
+      .to.deep.equal(['job-1 COMPLETE', 'job-2 RUNNING']);
+    expect(readJournal(journalPath)[0].updatedAt).to.be.a('string');
+  });
+
+  it('should leave jobs which are not recorded alone', () => {
+    addJournalEntry(journalPath, { id: 'job-1', status: 'RUNNING' });
+    expect(updateJournalEntry(journalPath, 'job-2', { status: 'COMPLETE' })).to.be.undefined;
+    expect(readJournal(journalPath)).to.have.length(1);
+  });
+
+  it('should find a job by its id or the beginning of its id', () => {
+    expect(findJournalEntry(jobs, 'b7d8e9').id).to.equal('b7d8e9');
+    expect(findJournalEntry(jobs, 'b7').id).to.equal('b7d8e9');
+    expect(findJournalEntry(jobs, 'c0')).to.be.undefined;
+    expect(() => findJournalEntry(jobs, 'a1')).to.throw('"a1" matches 2 jobs');
+  });
+
+  it('should filter the jobs, newest first', () => {
+    const ids = (filters) => filterJournalEntries(jobs, filters).map(({ id }) => id);
+    expect(ids()).to.deep.equal(['b7d8e9', 'a1f4e5', 'a1b2c3']);
+    expect(ids({ status: 'failed' })).to.deep.equal(['a1f4e5']);
+    expect(ids({ urls: 'acme' })).to.deep.equal(['a1f4e5', 'a1b2c3']);
+    expect(ids({ importJs: '0123' })).to.deep.equal(['a1b2c3']);
+    expect(ids({ endpoint: 'stage' })).to.deep.equal(['a1f4e5']);
+    expect(ids({ endpoint: 'production' })).to.deep.equal(['a1b2c3']);
+    expect(ids({ endpoint: 'custom' })).to.deep.equal(['b7d8e9']);
+    expect(ids({ since: new Date('2026-02-01') })).to.deep.equal(['b7d8e9', 'a1f4e5']);
+    expect(ids({ limit: 1 })).to.deep.equal(['b7d8e9']);
+  });
+
+  it('should tell the endpoint a job was run against', () => {
+    expect(getJobEndpoint(jobs[0])).to.equal('production');
+    expect(getJobEndpoint(jobs[1])).to.equal('stage');
+    expect(getJobEndpoint(jobs[2])).to.equal('http://localhost:3000/jobs');
+    expect(getJobEndpoint({ stage: false, apiUrl: 'https://spacecat.experiencecloud.live/api/ci/tools/import/jobs' }))
+      .to.equal('stage');
+  });
+
+  it('should hash a content', () => {
+    expect(hashContent('console.log(1);')).to.match(/^[0-9a-f]{12}$/);
+    expect(hashContent('console.log(1);')).to.equal(hashContent('console.log(1);'));
+    expect(hashContent('console.log(1);')).not.to.equal(hashContent('console.log(2);'));
+  });
+});
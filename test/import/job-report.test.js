@@ -0,0 +1,113 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildJobReport, getFailedUrls, parseImportReportRows, readSpreadsheetRows, writeJobReport,
+} from '../../src/import/job-report.js';
+import { jobCompletedResponse } from './fixtures/example-responses.js';
+import { createSpreadsheet, importReportRows } from './fixtures/import-report.js';
+
+describe('job report tests', () => {
+  const urlResults = [
+    { url: 'https://example.com/path/to/resource-1', status: 'complete', path: '/path/to/resource-1' },
+    { url: 'https://example.com/path/to/resource-2', status: 'failed', reason: 'Timeout, page did not load' },
+    { url: 'https://example.com/path/to/en_ca/resource-3', status: 'redirect', redirectUrl: 'https://example.com/en-ca/resource-3' },
+  ];
+
+  it('should read the rows of a spreadsheet', async () => {
+    const rows = await readSpreadsheetRows(await createSpreadsheet(importReportRows));
+    // empty cells at the end of a row are not stored in the sheet
+    expect(rows.map((row) => row.join('|'))).to.deep.equal(
+      importReportRows.map((row) => row.join('|').replace(/\|+$/, '')));
+  });
+
+  it('should turn the rows of an import report into per-URL results', () => {
+    expect(parseImportReportRows(importReportRows)).to.deep.equal(urlResults);
+  });
+
+  it('should list the URLs which were not imported', () => {
+    const rows = [...urlResults, { url: 'https://example.com/unknown', status: 'unknown' }];
+    expect(getFailedUrls(rows)).to.deep.equal(['https://example.com/path/to/resource-2', 'https://example.com/unknown']);
+  });
+
+  it('should ignore spreadsheets without a URL column', () => {
+    expect(parseImportReportRows([['Page', 'Status'], ['/index', 'Success']])).to.deep.equal([]);
+    expect(parseImportReportRows([])).to.deep.equal([]);
+  });
+
+  it('should use the per-URL results of the job, and the job status for other URLs', () => {
+    const report = buildJobReport({
+      jobStatus: { ...jobCompletedResponse, successCount: 3, failedCount: 1, redirectCount: 1 },
+      urls: ['https://example.com/path/to/resource-1', 'https://example.com/path/to/fr_ca/about-us'],
+      urlResults,
+    });
+
+    expect(report.job).to.include({ id: jobCompletedResponse.id, status: 'COMPLETE', failedCount: 1 });
+    expect(report.urls.map(({ url, status }) => `${status} ${url}`)).to.deep.equal([
+      'complete https://example.com/path/to/resource-1',
+      'failed https://example.com/path/to/resource-2',
+      'redirect https://example.com/path/to/en_ca/resource-3',
+      'unknown https://example.com/path/to/fr_ca/about-us',
+    ]);
+    expect(report.urls.every(({ jobId }) => jobId === jobCompletedResponse.id)).to.be.true;
+  });
+
+  it('should derive the status of the URLs from the job status', () => {
+    const urls = ['https://example.com/a'];
+    expect(buildJobReport({ jobStatus: jobCompletedResponse, urls }).urls[0].status).to.equal('complete');
+    expect(buildJobReport({ jobStatus: { id: 'job', status: 'STOPPED' }, urls }).urls[0]).to.deep.equal({
+      url: 'https://example.com/a', status: 'failed', reason: 'Job ended with status STOPPED', jobId: 'job',
+    });
+  });
+
+  describe('writeJobReport', () => {
+    let tmpDir;
+    const jobReports = [{ job: { id: 'job-1', status: 'COMPLETE' }, urls: urlResults.map((result) => ({ ...result, jobId: 'job-1' })) }];
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-report-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write a JSON report and the failed URLs', async () => {
+      const reportPath = path.join(tmpDir, 'reports', 'import.json');
+      const { failedUrlsPath, failedUrls } = await writeJobReport(reportPath, jobReports);
+
+      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+      expect(report.jobs).to.deep.equal([{ id: 'job-1', status: 'COMPLETE' }]);
+      expect(report.urls).to.have.lengthOf(3);
+
+      expect(failedUrlsPath).to.equal(path.join(tmpDir, 'reports', 'failed-urls.txt'));
+      expect(failedUrls).to.deep.equal(['https://example.com/path/to/resource-2']);
+      expect(fs.readFileSync(failedUrlsPath, 'utf8')).to.equal('https://example.com/path/to/resource-2\n');
+    });
+
+    it('should write a CSV report', async () => {
+      const reportPath = path.join(tmpDir, 'import.csv');
+      await writeJobReport(reportPath, jobReports);
+
+      expect(fs.readFileSync(reportPath, 'utf8').split('\n')).to.deep.equal([
+        'url,status,reason,redirectUrl,path,jobId',
+        'https://example.com/path/to/resource-1,complete,,,/path/to/resource-1,job-1',
+        'https://example.com/path/to/resource-2,failed,"Timeout, page did not load",,,job-1',
+        'https://example.com/path/to/en_ca/resource-3,redirect,,https://example.com/en-ca/resource-3,,job-1',
+        '',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getPreviewUrl, previewImportScript } from '../../src/import/preview.js';
+
+use(chaiAsPromised);
+
+const TRANSFORM_DOM_SCRIPT = `export default {
+  transformDOM: ({ document }) => {
+    const main = document.body;
+    WebImporter.DOMUtils.remove(main, ['header', 'footer']);
+    const hero = WebImporter.Blocks.createBlock(document, {
+      name: 'Hero',
+      cells: [[main.querySelector('img'), main.querySelector('h1')]],
+    });
+    main.prepend(hero);
+    main.append(WebImporter.Blocks.getMetadataBlock(document, WebImporter.Blocks.getMetadata(document)));
+    WebImporter.rules.transformBackgroundImages(main, document);
+    return main;
+  },
+  generateDocumentPath: ({ url }) => WebImporter.FileUtils.sanitizePath(new URL(url).pathname.replace(/\\/$/, '/index')),
+};
+`;
+
+const TRANSFORM_SCRIPT = `export default {
+  transform: ({ document, params }) => [
+    { element: document.body, path: '/en/page', report: { originalURL: params.originalURL } },
+    { path: '/en/brochure.pdf', from: 'https://www.example.com/brochure.pdf' },
+  ],
+};
+`;
+
+describe('import preview tests', () => {
+  let tmpDir;
+  let outputDir;
+
+  const writeFile = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-test-'));
+    outputDir = path.join(tmpDir, 'preview');
+    writeFile('pages/About_Us.html', `<html><head><title>About us</title><meta name="description" content="Who we are"></head>
+<body><header>Navigation</header><h1>About</h1><img src="/images/team.jpg"><p>Text</p><footer>Footer</footer></body></html>`);
+    writeFile('pages/index.html', '<html><body><p>Home</p></body></html>');
+    writeFile('pages/styles.css', 'body {}');
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should derive the preview URL from the path of the file in its input directory', () => {
+    expect(getPreviewUrl('about.html')).to.equal('http://localhost/about');
+    expect(getPreviewUrl('index.html', 'https://www.example.com/en/')).to.equal('https://www.example.com/en/');
+    expect(getPreviewUrl(path.join('fr', 'news', 'today.htm'))).to.equal('http://localhost/fr/news/today');
+    expect(getPreviewUrl(path.join('fr', 'index.html'), 'https://www.example.com/en/')).to.equal('https://www.example.com/en/fr/');
+  });
+
+  it('should preview the files of the same name in different folders as different pages', async () => {
+    const importJsPath = writeFile('import.js', TRANSFORM_DOM_SCRIPT);
+    writeFile('pages/en/index.html', '<html><body><h1>English</h1></body></html>');
+    writeFile('pages/fr/index.html', '<html><body><h1>Français</h1></body></html>');
+
+    const { results } = await previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'pages')],
+      outputDir,
+    });
+
+    expect(results.map((result) => result.url)).to.deep.equal([
+      'http://localhost/About_Us',
+      'http://localhost/en/',
+      'http://localhost/fr/',
+      'http://localhost/',
+    ]);
+    expect(fs.readFileSync(path.join(outputDir, 'en', 'index.html'), 'utf8')).to.contain('English');
+    expect(fs.readFileSync(path.join(outputDir, 'fr', 'index.html'), 'utf8')).to.contain('Français');
+  });
+
+  it('should not write the document of a file over the document of another one', async () => {
+    const importJsPath = writeFile('import.js', TRANSFORM_SCRIPT);
+
+    const { results } = await previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'pages')],
+      outputDir,
+    });
+
+    expect(results[0].documents[0].file).to.equal(path.join(outputDir, 'en', 'page.html'));
+    expect(results[1]).to.deep.equal({
+      source: path.join(tmpDir, 'pages', 'index.html'),
+      error: `The document /en/page was already produced by ${path.join(tmpDir, 'pages', 'About_Us.html')}`,
+    });
+    expect(fs.readFileSync(path.join(outputDir, 'en', 'page.html'), 'utf8')).to.contain('About');
+  });
+
+  it('should write the documents transformed by transformDOM', async () => {
+    const importJsPath = writeFile('import.js', TRANSFORM_DOM_SCRIPT);
+
+    const { reportPath, results } = await previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'pages')],
+      outputDir,
+      baseUrl: 'https://www.example.com/company/',
+    });
+
+    expect(results.map((result) => result.url)).to.deep.equal([
+      'https://www.example.com/company/About_Us',
+      'https://www.example.com/company/',
+    ]);
+    const [about] = results[0].documents;
+    expect(about.path).to.equal('/company/about-us');
+    expect(about.assets).to.deep.equal(['https://www.example.com/images/team.jpg']);
+
+    const html = fs.readFileSync(path.join(outputDir, 'company', 'about-us.html'), 'utf8');
+    expect(html).to.contain('<th colspan="2">Hero</th>');
+    expect(html).to.contain('<td>Description</td><td>Who we are</td>');
+    expect(html).not.to.contain('Navigation');
+    expect(fs.existsSync(path.join(outputDir, 'company', 'index.html'))).to.be.true;
+
+    expect(JSON.parse(fs.readFileSync(reportPath, 'utf8'))).to.deep.equal(results);
+  });
+
+  it('should write the documents returned by transform', async () => {
+    const importJsPath = writeFile('import.js', TRANSFORM_SCRIPT);
+
+    const { results } = await previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'pages', 'index.html')],
+      outputDir,
+    });
+
+    expect(results[0].documents).to.deep.equal([
+      {
+        path: '/en/page',
+        file: path.join(outputDir, 'en', 'page.html'),
+        assets: [],
+        report: { originalURL: 'http://localhost/' },
+      },
+      { path: '/en/brochure.pdf', from: 'https://www.example.com/brochure.pdf' },
+    ]);
+    expect(fs.readFileSync(path.join(outputDir, 'en', 'page.html'), 'utf8')).to.contain('<main><p>Home</p></main>');
+  });
+
+  it('should report HTML files which fail to transform', async () => {
+    const importJsPath = writeFile('import.js', `export default {
+  transformDOM: ({ document }) => document.querySelector('main').remove(),
+};
+`);
+
+    const { results } = await previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'pages', 'index.html')],
+      outputDir,
+    });
+
+    expect(results).to.have.lengthOf(1);
+    expect(results[0].error).to.contain('Cannot read properties of null');
+  });
+
+  it('should fail when an HTML file does not exist', async () => {
+    const importJsPath = writeFile('import.js', TRANSFORM_SCRIPT);
+
+    await expect(previewImportScript({
+      importJsPath,
+      htmlPaths: [path.join(tmpDir, 'missing.html')],
+      outputDir,
+    })).to.be.rejectedWith(Error, 'missing.html does not exist');
+  });
+});
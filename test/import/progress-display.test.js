@@ -0,0 +1,124 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  computeProgress, createProgressDisplay, formatDuration, formatProgressLine, getJobStartTime,
+} from '../../src/import/progress-display.js';
+
+function createStream(isTTY) {
+  const output = [];
+  return {
+    isTTY,
+    columns: isTTY ? 200 : undefined,
+    output,
+    write: (chunk) => {
+      output.push(chunk);
+      return true;
+    },
+  };
+}
+
+describe('progress display tests', () => {
+  const counts = {
+    completed: 20, failed: 3, redirect: 2, pending: 75,
+  };
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: 100000 });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should format durations', () => {
+    expect(formatDuration(0)).to.equal('0s');
+    expect(formatDuration(12400)).to.equal('12s');
+    expect(formatDuration(185000)).to.equal('3m 05s');
+    expect(formatDuration(3720000)).to.equal('1h 02m');
+    expect(formatDuration(-1000)).to.equal('0s');
+  });
+
+  it('should compute the progress and the estimated remaining time', () => {
+    const progress = computeProgress({
+      counts, total: 100, startTime: 0, now: 50000,
+    });
+    expect(progress).to.deep.equal({
+      completed: 20, failed: 3, redirect: 2, processed: 25, total: 100, elapsed: 50000, eta: 150000,
+    });
+  });
+
+  it('should derive the total from the counts when it is not known', () => {
+    const progress = computeProgress({ counts, startTime: 0, now: 50000 });
+    expect(progress.total).to.equal(100);
+  });
+
+  it('should not estimate the remaining time before any URL was processed', () => {
+    const progress = computeProgress({
+      counts: { pending: 10 }, total: 10, startTime: 0, now: 5000,
+    });
+    expect(progress.processed).to.equal(0);
+    expect(progress.eta).to.be.undefined;
+  });
+
+  it('should format a progress line', () => {
+    const progress = computeProgress({
+      counts, total: 100, startTime: 0, now: 50000,
+    });
+    expect(formatProgressLine(progress))
+      .to.equal('25/100 URLs (25%) | 3 failed, 2 redirected | elapsed 50s | ETA 2m 30s');
+    expect(formatProgressLine(progress, { label: '1/2 jobs finished', bar: true }))
+      .to.equal('1/2 jobs finished | [#####---------------] 25/100 URLs (25%) | 3 failed, 2 redirected | elapsed 50s | ETA 2m 30s');
+  });
+
+  it('should rewrite a single line in a terminal', () => {
+    const stream = createStream(true);
+    const display = createProgressDisplay({ stream, startTime: 50000 });
+
+    display.update({ counts, total: 100 });
+    clock.tick(5000);
+    display.update({ counts: { ...counts, completed: 45 }, total: 100 });
+    display.stop();
+
+    const lines = stream.output.filter((chunk) => chunk.includes('URLs'));
+    expect(lines).to.have.length(2);
+    expect(lines[0]).to.include('25/100 URLs').and.include('elapsed 50s');
+    expect(lines[1]).to.include('50/100 URLs').and.include('elapsed 55s');
+    // the line is cleared before being rewritten
+    expect(stream.output.filter((chunk) => chunk === '\x1b[2K')).to.have.length(2);
+    expect(stream.output.at(-1)).to.equal('\n');
+  });
+
+  it('should print plain lines at most once per interval when not in a terminal', () => {
+    const stream = createStream(false);
+    const display = createProgressDisplay({ stream, logInterval: 30000, startTime: 50000 });
+
+    display.update({ counts, total: 100 });
+    clock.tick(10000);
+    display.update({ counts, total: 100 });
+    clock.tick(20000);
+    display.update({ counts: { ...counts, completed: 45 }, total: 100 });
+    display.stop();
+
+    expect(stream.output).to.have.length(2);
+    expect(stream.output[0]).to.include('Progress:').and.include('25/100 URLs').and.match(/\n$/);
+    expect(stream.output[1]).to.include('50/100 URLs');
+    expect(stream.output.join('')).not.to.include('[#');
+  });
+
+  it('should use the start time of the job', () => {
+    expect(getJobStartTime({ startTime: '1970-01-01T00:00:10.000Z' })).to.equal(10000);
+    expect(getJobStartTime({})).to.equal(100000);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  assertValidImportScript, ImportScriptError, validateImportScript,
+} from '../../src/import/script-validator.js';
+
+const bundle = (defaultExport) => `var CustomImportScript = (() => ({ default: ${defaultExport} }))();`;
+
+describe('script validator tests', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('validateImportScript', () => {
+    it('should accept a transform function', () => {
+      const result = validateImportScript(bundle('{ transform: ({ document }) => [{ element: document.body, path: "/" }] }'));
+      expect(result).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it('should accept transformDOM and generateDocumentPath functions', () => {
+      const result = validateImportScript(bundle('{ transformDOM: ({ document }) => document.body, generateDocumentPath: ({ url }) => url }'));
+      expect(result).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it('should evaluate scripts using the DOM and WebImporter while loading', () => {
+      const code = `const { DOMUtils } = WebImporter;
+        const template = document.createElement('template');
+        ${bundle('{ transformDOM: ({ document }) => DOMUtils.remove(document.body, [template]) }')}`;
+      const result = validateImportScript(code);
+      expect(result.errors).to.deep.equal([]);
+    });
+
+    it('should report scripts which fail to load', () => {
+      const result = validateImportScript('throw new Error("boom");');
+      expect(result.errors).to.deep.equal(['The import script failed to load: boom']);
+    });
+
+    it('should report scripts which are not bundled as CustomImportScript', () => {
+      const result = validateImportScript('var ImportScript = { default: { transform: () => [] } };');
+      expect(result.errors).to.deep.equal(['The import script does not define CustomImportScript']);
+    });
+
+    it('should report a missing or invalid default export', () => {
+      expect(validateImportScript('var CustomImportScript = {};').errors[0])
+        .to.contain('The import script has no default export');
+      expect(validateImportScript(bundle('() => []')).errors)
+        .to.deep.equal(['The default export of the import script must be an object, got function']);
+    });
+
+    it('should report a default export without transformer functions', () => {
+      const result = validateImportScript(bundle('{ transfrom: () => [] }'));
+      expect(result.errors).to.deep.equal(['The default export of the import script must define a transform or transformDOM function']);
+    });
+
+    it('should report transformer entries which are not functions', () => {
+      const result = validateImportScript(bundle('{ transformDOM: ({ document }) => document.body, generateDocumentPath: "/index" }'));
+      expect(result.errors).to.deep.equal(['generateDocumentPath must be a function, got string']);
+    });
+
+    it('should warn about unexpected signatures and ignored functions', () => {
+      const result = validateImportScript(bundle('{ transform: (document, url) => [], transformDOM: () => null }'));
+      expect(result.errors).to.deep.equal([]);
+      expect(result.warnings).to.deep.equal([
+        'transform declares 2 parameters, but is called with a single object ({ document, url, html, params })',
+        'transformDOM is ignored because transform is defined',
+      ]);
+    });
+
+    it('should warn when transformDOM is used without generateDocumentPath', () => {
+      const result = validateImportScript(bundle('{ transformDOM: ({ document }) => document.body }'));
+      expect(result.warnings).to.deep.equal(['generateDocumentPath is not defined, the document path will be derived from the URL']);
+    });
+  });
+
+  describe('assertValidImportScript', () => {
+    it('should throw an ImportScriptError listing the errors', () => {
+      expect(() => assertValidImportScript(bundle('{ transform: "nope" }'), 'import.js'))
+        .to.throw(ImportScriptError, 'Invalid import script import.js:\n  - transform must be a function, got string');
+    });
+
+    it('should print warnings of a valid script', () => {
+      const warnStub = sinon.stub(console, 'warn');
+      assertValidImportScript(bundle('{ transformDOM: ({ document }) => document.body }'), 'import.js');
+      expect(warnStub.calledOnce).to.be.true;
+      expect(warnStub.firstCall.args[0]).to.contain('import.js: generateDocumentPath is not defined');
+    });
+  });
+});
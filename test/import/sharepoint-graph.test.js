@@ -0,0 +1,340 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import {
+  createGraphUploader,
+  createTokenProvider,
+  getGraphSettings,
+  quickXorHash,
+  SIMPLE_UPLOAD_LIMIT,
+  UPLOAD_CHUNK_SIZE,
+} from '../../src/import/sharepoint-graph.js';
+import { AuthenticationError } from '../../src/errors.js';
+
+use(chaiAsPromised);
+
+/**
+ * A local stand-in of the Microsoft Graph and login endpoints, keeping the created folders and
+ * uploaded files in memory.
+ */
+function createStandIn() {
+  const requests = [];
+  const folders = new Map([['root', '']]);
+  const files = new Map();
+  const sessions = new Map();
+  let pendingDeviceCodePolls = 1;
+  let siteLookupFailures = 0;
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const routes = [
+    ['POST', /^\/tenant\/oauth2\/v2.0\/devicecode$/, (req, res) => json(res, 200, {
+      device_code: 'device-code', user_code: 'ABCD', verification_uri: 'https://login.example.com/device', interval: 0, expires_in: 60,
+    })],
+    ['POST', /^\/tenant\/oauth2\/v2.0\/token$/, (req, res, body) => {
+      const params = new URLSearchParams(body.toString());
+      if (params.get('grant_type') === 'client_credentials') {
+        return params.get('client_secret') === 'secret'
+          ? json(res, 200, { access_token: 'app-token', expires_in: 3600 })
+          : json(res, 401, { error: 'invalid_client', error_description: 'Invalid client secret' });
+      }
+      if (pendingDeviceCodePolls > 0) {
+        pendingDeviceCodePolls -= 1;
+        return json(res, 400, { error: 'authorization_pending' });
+      }
+      return json(res, 200, { access_token: 'user-token', refresh_token: 'refresh', expires_in: 3600 });
+    }],
+    ['GET', /^\/v1.0\/sites\/example.sharepoint.com:\/sites\/example$/, (req, res) => {
+      if (siteLookupFailures > 0) {
+        siteLookupFailures -= 1;
+        return json(res, 400, { error: { code: 'invalidRequest' } });
+      }
+      return json(res, 200, { id: 'site-1' });
+    }],
+    ['GET', /^\/v1.0\/sites\/site-1\/drives$/, (req, res) => json(res, 200, {
+      value: [
+        { id: 'drive-site-pages', name: 'Site Pages', webUrl: 'https://example.sharepoint.com/sites/example/SitePages' },
+        { id: 'drive-1', name: 'Documents', webUrl: 'https://example.sharepoint.com/sites/example/Shared%20Documents' },
+      ],
+    })],
+    ['POST', /^\/v1.0\/drives\/drive-1\/items\/([^/]+)\/children$/, (req, res, body, [, parentId]) => {
+      const { name } = JSON.parse(body);
+      const folderPath = [folders.get(parentId), name].filter(Boolean).join('/');
+      if ([...folders.values()].includes(folderPath)) {
+        return json(res, 409, { error: { code: 'nameAlreadyExists' } });
+      }
+      const id = `folder-${folders.size}`;
+      folders.set(id, folderPath);
+      return json(res, 201, { id, name });
+    }],
+    ['GET', /^\/v1.0\/drives\/drive-1\/items\/([^/:]+):\/([^/]+)$/, (req, res, body, [, parentId, name]) => {
+      const folderPath = [folders.get(parentId), decodeURIComponent(name)].filter(Boolean).join('/');
+      const [id] = [...folders.entries()].find(([, value]) => value === folderPath) || [];
+      return id ? json(res, 200, { id }) : json(res, 404, {});
+    }],
+    ['GET', /^\/v1.0\/drives\/drive-1\/root:\/(.+)$/, (req, res, body, [, itemPath]) => {
+      const filePath = itemPath.split('/').map(decodeURIComponent).join('/');
+      const content = files.get(filePath);
+      return content ? json(res, 200, {
+        id: 'file',
+        size: content.length,
+        lastModifiedDateTime: new Date().toISOString(),
+        webUrl: `https://example.sharepoint.com/sites/example/Shared%20Documents/${itemPath}`,
+      }) : json(res, 404, { error: { code: 'itemNotFound' } });
+    }],
+    ['PUT', /^\/v1.0\/drives\/drive-1\/items\/([^/:]+):\/([^/]+):\/content$/, (req, res, body, [, folderId, name]) => {
+      const filePath = [folders.get(folderId), decodeURIComponent(name)].filter(Boolean).join('/');
+      files.set(filePath, body);
+      json(res, 201, { id: `file-${files.size}`, name: decodeURIComponent(name) });
+    }],
+    ['POST', /^\/v1.0\/drives\/drive-1\/items\/([^/:]+):\/([^/]+):\/createUploadSession$/, (req, res, body, [, folderId, name]) => {
+      const id = `session-${sessions.size + 1}`;
+      const filePath = [folders.get(folderId), decodeURIComponent(name)].filter(Boolean).join('/');
+      sessions.set(id, { filePath, chunks: [] });
+      json(res, 200, { uploadUrl: `http://localhost:${req.socket.localPort}/upload/${id}` });
+    }],
+    ['PUT', /^\/upload\/([^/]+)$/, (req, res, body, [, id]) => {
+      const session = sessions.get(id);
+      session.chunks.push(body);
+      const [, end, size] = req.headers['content-range'].match(/^bytes \d+-(\d+)\/(\d+)$/);
+      if (Number(end) + 1 < Number(size)) {
+        return json(res, 202, { nextExpectedRanges: [`${Number(end) + 1}-`] });
+      }
+      files.set(session.filePath, Buffer.concat(session.chunks));
+      return json(res, 201, { id: `file-${files.size}`, name: path.basename(session.filePath) });
+    }],
+  ];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.headers.authorization === 'Bearer expired-token') {
+        requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+        json(res, 401, { error: { code: 'InvalidAuthenticationToken', message: 'Lifetime validation failed, the token is expired.' } });
+        return;
+      }
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      requests.push({
+        method: req.method, path: url.pathname, headers: req.headers,
+      });
+      if (!route) {
+        json(res, 404, { error: { code: 'itemNotFound' } });
+        return;
+      }
+      route[2](req, res, Buffer.concat(chunks), url.pathname.match(route[1]));
+    });
+  });
+
+  return {
+    requests,
+    folders,
+    files,
+    failSiteLookups: (count) => {
+      siteLookupFailures = count;
+    },
+    listen: () => new Promise((resolve) => {
+      server.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+    }),
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+    }),
+  };
+}
+
+describe('SharePoint Graph uploader tests', () => {
+  const siteUrl = 'https://example.sharepoint.com/sites/example';
+  let standIn;
+  let settings;
+  let tmpDir;
+
+  beforeEach(async () => {
+    standIn = createStandIn();
+    const baseUrl = await standIn.listen();
+    settings = getGraphSettings({
+      AEM_IMPORT_GRAPH_URL: `${baseUrl}/v1.0/`,
+      AEM_IMPORT_LOGIN_URL: baseUrl,
+      AEM_IMPORT_SHAREPOINT_TENANT_ID: 'tenant',
+      AEM_IMPORT_SHAREPOINT_CLIENT_ID: 'client',
+      AEM_IMPORT_SHAREPOINT_CLIENT_SECRET: 'secret',
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-graph-test-'));
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await standIn.close();
+  });
+
+  it('should read the settings from the environment', () => {
+    expect(getGraphSettings({})).to.deep.include({
+      graphUrl: 'https://graph.microsoft.com/v1.0',
+      loginUrl: 'https://login.microsoftonline.com',
+    });
+    expect(settings.graphUrl).to.match(/^http:\/\/localhost:\d+\/v1.0$/);
+  });
+
+  it('should create the missing folders and upload small files in one request', async () => {
+    const filePath = path.join(tmpDir, 'it\'s "quoted".docx');
+    fs.writeFileSync(filePath, 'document');
+    const { uploadFile } = createGraphUploader(siteUrl, '/Shared Documents/destination', settings);
+
+    await uploadFile(filePath, path.join('en', 'news'));
+    await uploadFile(filePath, 'en');
+
+    expect([...standIn.folders.values()]).to.deep.equal(['', 'destination', 'destination/en', 'destination/en/news']);
+    expect([...standIn.files.keys()]).to.deep.equal([
+      'destination/en/news/it\'s "quoted".docx',
+      'destination/en/it\'s "quoted".docx',
+    ]);
+    expect(standIn.files.get('destination/en/it\'s "quoted".docx').toString()).to.equal('document');
+
+    // the access token and the drive are only requested once
+    expect(standIn.requests.filter(({ path: requestPath }) => requestPath.endsWith('/token'))).to.have.lengthOf(1);
+    expect(standIn.requests.filter(({ path: requestPath }) => requestPath.endsWith('/drives'))).to.have.lengthOf(1);
+    expect(standIn.requests.filter(({ method }) => method === 'PUT')
+      .every(({ headers }) => headers.authorization === 'Bearer app-token')).to.be.true;
+  });
+
+  it('should reuse folders which already exist', async () => {
+    const filePath = path.join(tmpDir, 'index.docx');
+    fs.writeFileSync(filePath, 'document');
+    await createGraphUploader(siteUrl, '/Shared Documents/destination', settings).uploadFile(filePath, 'en');
+
+    await createGraphUploader(siteUrl, '/Shared Documents/destination', settings).uploadFile(filePath, 'en');
+
+    expect(standIn.folders.size).to.equal(3);
+    // the second upload looks up both folders after a conflict
+    expect(standIn.requests.filter(({ method, path: requestPath }) => method === 'GET'
+      && requestPath.startsWith('/v1.0/drives/'))).to.have.lengthOf(2);
+  });
+
+  it('should upload large files in chunks with an upload session', async () => {
+    const size = UPLOAD_CHUNK_SIZE + SIMPLE_UPLOAD_LIMIT;
+    const content = Buffer.alloc(size, 'a');
+    content.write('end', size - 3);
+    const filePath = path.join(tmpDir, 'large.docx');
+    fs.writeFileSync(filePath, content);
+
+    await createGraphUploader(siteUrl, '/Shared Documents', settings).uploadFile(filePath);
+
+    const chunkRequests = standIn.requests.filter(({ path: requestPath }) => requestPath.startsWith('/upload/'));
+    expect(chunkRequests.map(({ headers }) => headers['content-range'])).to.deep.equal([
+      `bytes 0-${UPLOAD_CHUNK_SIZE - 1}/${size}`,
+      `bytes ${UPLOAD_CHUNK_SIZE}-${size - 1}/${size}`,
+    ]);
+    // the upload URL is pre-authenticated
+    expect(chunkRequests.every(({ headers }) => !headers.authorization)).to.be.true;
+    expect(standIn.files.get('large.docx').equals(content)).to.be.true;
+  });
+
+  it('should report a missing document library', async () => {
+    const filePath = path.join(tmpDir, 'index.docx');
+    fs.writeFileSync(filePath, 'document');
+
+    await expect(createGraphUploader(siteUrl, '/Missing Library', settings).uploadFile(filePath))
+      .to.be.rejectedWith('Document library "Missing Library" not found');
+  });
+
+  it('should look up the document library again after a failed lookup', async () => {
+    const filePath = path.join(tmpDir, 'index.docx');
+    fs.writeFileSync(filePath, 'document');
+    const { uploadFile } = createGraphUploader(siteUrl, '/Shared Documents', settings);
+    standIn.failSiteLookups(1);
+
+    await expect(uploadFile(filePath)).to.be.rejectedWith('status code 400');
+    await uploadFile(filePath);
+
+    expect([...standIn.files.keys()]).to.deep.equal(['index.docx']);
+  });
+
+  it('should find the files which are already up to date', async () => {
+    const filePath = path.join(tmpDir, 'index.docx');
+    fs.writeFileSync(filePath, 'document');
+    const uploader = createGraphUploader(siteUrl, '/Shared Documents/destination', settings);
+
+    expect(await uploader.findUnchangedFile(filePath, 'en')).to.be.undefined;
+    await uploader.uploadFile(filePath, 'en');
+    // the stand-in reports no hash, the remote file is newer than the local one
+    expect(await uploader.findUnchangedFile(filePath, 'en')).to.include({
+      webUrl: 'https://example.sharepoint.com/sites/example/Shared%20Documents/destination/en/index.docx',
+    });
+
+    fs.writeFileSync(filePath, 'changed document');
+    expect(await uploader.findUnchangedFile(filePath, 'en')).to.be.undefined;
+  });
+
+  it('should compute the quickXorHash of files', async () => {
+    const hashOf = async (content) => {
+      const filePath = path.join(tmpDir, 'file');
+      fs.writeFileSync(filePath, content);
+      return quickXorHash(filePath);
+    };
+
+    expect(await hashOf('')).to.equal('AAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+    expect(await hashOf('hello world')).to.equal('aCgDG9jwBhDc4Q1yawMZAAAAAAA=');
+    // the 15th byte is shifted past the end of the hash, its last bits wrap around
+    expect(await hashOf(Buffer.concat([Buffer.alloc(14), Buffer.from([0xff])]))).to.equal('AwAAAAAAAAAAAAAADwAAAAAAAPw=');
+    expect(await hashOf(Buffer.from(Array.from({ length: 768 }, (value, i) => i % 256))))
+      .to.equal('rxAOGe1RimTF/e+k/m0O5nnSZT8=');
+  });
+
+  it('should sign in with a device code when there is no client secret', async () => {
+    const getAccessToken = createTokenProvider({ ...settings, clientSecret: undefined });
+
+    expect(await getAccessToken()).to.equal('user-token');
+    expect(await getAccessToken()).to.equal('user-token');
+    expect(console.log.firstCall.args[0]).to.include('ABCD');
+    expect(standIn.requests.filter(({ path: requestPath }) => requestPath.endsWith('/token'))).to.have.lengthOf(2);
+  });
+
+  it('should throw an authentication error when the credentials are rejected', async () => {
+    const getAccessToken = createTokenProvider({ ...settings, clientSecret: 'wrong' });
+
+    await expect(getAccessToken()).to.be.rejectedWith(AuthenticationError, 'Invalid client secret');
+  });
+
+  it('should request a single token for concurrent requests', async () => {
+    const getAccessToken = createTokenProvider(settings);
+
+    expect(await Promise.all([getAccessToken(), getAccessToken(), getAccessToken()]))
+      .to.deep.equal(['app-token', 'app-token', 'app-token']);
+    expect(standIn.requests.filter(({ path: requestPath }) => requestPath.endsWith('/token'))).to.have.lengthOf(1);
+  });
+
+  it('should throw an authentication error when Graph rejects the access token', async () => {
+    const uploader = createGraphUploader(siteUrl, '/Shared Documents/destination', { ...settings, accessToken: 'expired-token' });
+    const filePath = path.join(tmpDir, 'index.docx');
+    fs.writeFileSync(filePath, 'docx');
+
+    await expect(uploader.uploadFile(filePath)).to.be.rejectedWith(AuthenticationError, 'SharePoint rejected the access token');
+  });
+
+  it('should use the access token of the environment as is', async () => {
+    const getAccessToken = createTokenProvider({ ...settings, accessToken: 'env-token' });
+
+    expect(await getAccessToken()).to.equal('env-token');
+    expect(standIn.requests).to.be.empty;
+  });
+});
@@ -9,7 +9,326 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { expect } from 'chai';
+import archiver from 'archiver';
+import esmock from 'esmock';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import {
+  assertSharePointUploads,
+  getSharePointOptions,
+  getSharePointSettings,
+  parseSharePointUrl,
+} from '../../src/import/sharepoint-uploader.js';
+import { AuthenticationError, UploadError } from '../../src/errors.js';
 
 describe('Sharepoint uploader tests', () => {
+  const sharePointUrl = 'https://example.sharepoint.com/:f:/r/sites/example/Shared%20Documents/destination';
 
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should split a SharePoint folder link into the site and the folder path', () => {
+    expect(parseSharePointUrl(sharePointUrl)).to.deep.equal({
+      siteUrl: 'https://example.sharepoint.com/sites/example',
+      basePath: '/Shared Documents/destination',
+    });
+    expect(() => parseSharePointUrl('https://example.sharepoint.com/Shared%20Documents'))
+      .to.throw('Missing "/sites/"');
+  });
+
+  it('should read the default upload settings from the environment', () => {
+    expect(getSharePointSettings({})).to.deep.equal({
+      uploader: 'graph', concurrency: 4, skipUnchanged: false, manifestPath: undefined,
+    });
+    expect(getSharePointSettings({
+      AEM_IMPORT_SHAREPOINT_UPLOADER: 'm365',
+      AEM_IMPORT_SHAREPOINT_CONCURRENCY: '8',
+      AEM_IMPORT_SHAREPOINT_SKIP_UNCHANGED: 'true',
+      AEM_IMPORT_SHAREPOINT_MANIFEST: 'manifest.json',
+    })).to.deep.equal({
+      uploader: 'm365', concurrency: 8, skipUnchanged: true, manifestPath: 'manifest.json',
+    });
+  });
+
+  it('should read the upload options of a command without changing the environment', () => {
+    const env = { ...process.env };
+
+    expect(getSharePointOptions({
+      sharepointUploader: 'm365', sharepointConcurrency: 8, sharepointSkipUnchanged: true, sharepointManifest: 'manifest.json',
+    })).to.deep.equal({
+      uploader: 'm365', concurrency: 8, skipUnchanged: true, manifestPath: 'manifest.json',
+    });
+    expect(getSharePointOptions({})).to.deep.equal({
+      uploader: undefined, concurrency: undefined, skipUnchanged: undefined, manifestPath: undefined,
+    });
+    expect(process.env).to.deep.equal(env);
+  });
+
+  it('should pass the arguments to the m365 CLI without a shell', async function () {
+    if (process.platform === 'win32') {
+      this.skip();
+    }
+    const execFile = sinon.stub().yields(null, '', '');
+    const { createM365Uploader } = await esmock('../../src/import/sharepoint-uploader.js', {
+      'node:child_process': { execFile },
+    });
+
+    const file = await createM365Uploader('https://example.sharepoint.com/sites/example', '/Shared Documents/destination')
+      .uploadFile('/tmp/docx/en/it\'s "quoted".docx', 'en');
+
+    expect(execFile.firstCall.args[0]).to.equal('m365');
+    expect(execFile.firstCall.args[1]).to.deep.equal([
+      'spo', 'file', 'add',
+      '--webUrl', 'https://example.sharepoint.com/sites/example',
+      '--folder', '/Shared Documents/destination/en',
+      '--path', '/tmp/docx/en/it\'s "quoted".docx',
+      '--contentType', 'Document',
+    ]);
+    expect(file.webUrl).to.equal('https://example.sharepoint.com/sites/example/Shared%20Documents/destination/en/'
+      + 'it\'s%20%22quoted%22.docx');
+  });
+
+  it('should escape the arguments of the m365 CLI for cmd.exe on Windows', async () => {
+    sinon.stub(process, 'platform').value('win32');
+    const execFile = sinon.stub().yields(null, '', '');
+    const { createM365Uploader } = await esmock('../../src/import/sharepoint-uploader.js', {
+      'node:child_process': { execFile },
+    });
+
+    await createM365Uploader('https://example.sharepoint.com/sites/example', '/Shared Documents/100% "done" & more')
+      .uploadFile('C:\\docx\\%PATH% "a"^b.docx');
+
+    const [command, args, options] = execFile.firstCall.args;
+    expect(command).to.match(/cmd\.exe$/i);
+    expect(args.slice(0, 3)).to.deep.equal(['/d', '/s', '/c']);
+    expect(options).to.include({ windowsVerbatimArguments: true });
+    expect(args[3]).to.equal('"m365 ^^^"spo^^^" ^^^"file^^^" ^^^"add^^^" ^^^"--webUrl^^^" '
+      + '^^^"https://example.sharepoint.com/sites/example^^^" ^^^"--folder^^^" '
+      + '^^^"/Shared^^^ Documents/100^^^%^^^ \\^^^"done\\^^^"^^^ ^^^&^^^ more^^^" ^^^"--path^^^" '
+      + '^^^"C:\\docx\\^^^%PATH^^^%^^^ \\^^^"a\\^^^"^^^^b.docx^^^" ^^^"--contentType^^^" ^^^"Document^^^""');
+  });
+
+  it('should fail when some files of the uploads could not be uploaded', () => {
+    const manifest = (failed, total) => ({ failed, files: new Array(total) });
+
+    expect(() => assertSharePointUploads([undefined, manifest(0, 3)])).not.to.throw();
+    expect(() => assertSharePointUploads([manifest(1, 3), undefined, manifest(2, 4)]))
+      .to.throw(UploadError, '3 of 7 files could not be uploaded to SharePoint');
+  });
+
+  describe('uploadDirectoryToSharePoint', () => {
+    let tmpDir;
+    let graphUploader;
+    let uploadDirectoryToSharePoint;
+    let uploadArchiveToSharePoint;
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-uploader-test-'));
+      fs.mkdirSync(path.join(tmpDir, 'docx', 'en', 'news'), { recursive: true });
+      ['index.docx', 'en/about.docx', 'en/news/one.docx', 'en/news/two.docx'].forEach((file) => {
+        fs.writeFileSync(path.join(tmpDir, 'docx', file), file);
+      });
+
+      graphUploader = {
+        uploadFile: sinon.stub().callsFake(async (filePath, relativeFolder) => ({
+          webUrl: `https://sharepoint/${path.posix.join(relativeFolder, path.basename(filePath))}`,
+        })),
+        findUnchangedFile: sinon.stub().resolves(undefined),
+      };
+      ({ uploadDirectoryToSharePoint, uploadArchiveToSharePoint } = await esmock('../../src/import/sharepoint-uploader.js', {
+        '../../src/import/sharepoint-graph.js': { createGraphUploader: () => graphUploader },
+      }));
+      sinon.stub(console, 'log');
+      sinon.stub(console, 'warn');
+      sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should upload the files in parallel, up to the concurrency', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      graphUploader.uploadFile.callsFake(async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+        return { webUrl: 'https://sharepoint/file' };
+      });
+
+      const manifest = await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, {
+        uploader: 'graph', concurrency: 3,
+      });
+
+      expect(manifest).to.include({ uploaded: 4, skipped: 0, failed: 0 });
+      expect(maxRunning).to.equal(3);
+      expect(graphUploader.findUnchangedFile.called).to.be.false;
+    });
+
+    it('should use the default settings for the options which are not given', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      graphUploader.uploadFile.callsFake(async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+        return { webUrl: 'https://sharepoint/file' };
+      });
+
+      const manifest = await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, getSharePointOptions({
+        sharepointUploader: 'graph',
+      }));
+
+      expect(manifest).to.include({ uploaded: 4, failed: 0 });
+      expect(maxRunning).to.equal(4);
+    });
+
+    it('should skip unchanged files, retry failed ones and write a manifest', async () => {
+      const manifestPath = path.join(tmpDir, 'manifest.json');
+      graphUploader.findUnchangedFile
+        .withArgs(path.join(tmpDir, 'docx', 'en', 'about.docx'), 'en')
+        .resolves({ webUrl: 'https://sharepoint/en/about.docx' });
+      graphUploader.uploadFile
+        .withArgs(path.join(tmpDir, 'docx', 'en', 'news', 'two.docx'), 'en/news')
+        .rejects(new Error('Request failed with status code 423'));
+
+      const manifest = await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, {
+        uploader: 'graph', concurrency: 2, skipUnchanged: true, manifestPath,
+      });
+
+      expect(manifest).to.include({ uploaded: 2, skipped: 1, failed: 1 });
+      // the first attempt and 2 retries
+      expect(graphUploader.uploadFile.withArgs(path.join(tmpDir, 'docx', 'en', 'news', 'two.docx'), 'en/news').callCount)
+        .to.equal(3);
+      const written = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      expect(written).to.include({
+        sharePointUrl, uploaded: 2, skipped: 1, failed: 1,
+      });
+      expect(written.files).to.deep.include.members([
+        { path: 'en/about.docx', status: 'skipped', url: 'https://sharepoint/en/about.docx' },
+        { path: 'en/news/one.docx', status: 'uploaded', url: 'https://sharepoint/en/news/one.docx' },
+        { path: 'en/news/two.docx', status: 'failed', error: 'Request failed with status code 423' },
+        { path: 'index.docx', status: 'uploaded', url: 'https://sharepoint/index.docx' },
+      ]);
+
+      // a re-run updates the files of the manifest
+      graphUploader.uploadFile.resetBehavior();
+      graphUploader.uploadFile.resolves({ webUrl: 'https://sharepoint/en/news/two.docx' });
+      fs.rmSync(path.join(tmpDir, 'docx', 'index.docx'));
+      fs.rmSync(path.join(tmpDir, 'docx', 'en'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, 'docx', 'en', 'news'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, 'docx', 'en', 'news', 'two.docx'), 'two');
+
+      await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, { uploader: 'graph', manifestPath });
+
+      const rewritten = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      expect(rewritten).to.include({ uploaded: 3, skipped: 1, failed: 0 });
+      expect(rewritten.files).to.have.lengthOf(4);
+    });
+
+    it('should keep the files of the concurrent uploads to the same manifest', async () => {
+      const manifestPath = path.join(tmpDir, 'manifest.json');
+      fs.mkdirSync(path.join(tmpDir, 'other'));
+      fs.writeFileSync(path.join(tmpDir, 'other', 'other.docx'), 'other');
+
+      await Promise.all([
+        uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, { uploader: 'graph', manifestPath }),
+        uploadDirectoryToSharePoint(path.join(tmpDir, 'other'), sharePointUrl, { uploader: 'graph', manifestPath }),
+      ]);
+
+      const written = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      expect(written).to.include({ uploaded: 5, failed: 0 });
+      expect(written.files.map((file) => file.path)).to.have.members([
+        'index.docx', 'en/about.docx', 'en/news/one.docx', 'en/news/two.docx', 'other.docx',
+      ]);
+    });
+
+    it('should upload the documents of a local import archive', async () => {
+      const archivePath = path.join(tmpDir, 'import-result.zip');
+      await new Promise((resolve, reject) => {
+        const archive = archiver('zip');
+        const output = fs.createWriteStream(archivePath);
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.pipe(output);
+        archive.append('docx', { name: 'docx/index.docx' });
+        archive.append('docx', { name: 'docx/about/us.docx' });
+        archive.append('report', { name: 'import-report.xlsx' });
+        archive.finalize();
+      });
+      const extractDirs = () => fs.readdirSync('.').filter((name) => name.startsWith('extracted-files-'));
+      const existingExtractDirs = extractDirs();
+
+      const manifest = await uploadArchiveToSharePoint(archivePath, sharePointUrl, { uploader: 'graph' });
+
+      expect(manifest.files.map((file) => file.path)).to.have.members(['index.docx', 'about/us.docx']);
+      expect(graphUploader.uploadFile.getCalls().map((call) => call.args[1])).to.have.members(['', 'about']);
+      // the extracted files are deleted
+      expect(extractDirs()).to.deep.equal(existingExtractDirs);
+    });
+
+    it('should stop at the first authentication error', async () => {
+      graphUploader.uploadFile.rejects(new AuthenticationError('SharePoint authentication failed'));
+
+      let error;
+      try {
+        await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, { uploader: 'graph', concurrency: 1 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(AuthenticationError);
+      expect(graphUploader.uploadFile.callCount).to.equal(1);
+    });
+
+    it('should not start uploading other files after an authentication error', async () => {
+      graphUploader.uploadFile.callsFake(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        throw new AuthenticationError('SharePoint rejected the access token');
+      });
+
+      const error = await uploadDirectoryToSharePoint(path.join(tmpDir, 'docx'), sharePointUrl, { uploader: 'graph', concurrency: 2 })
+        .catch((e) => e);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(error).to.be.instanceOf(AuthenticationError);
+      // the 2 files uploaded at the same time, out of 4
+      expect(graphUploader.uploadFile.callCount).to.equal(2);
+    });
+
+    it('should report the failures of a job archive upload and clean up', async () => {
+      const downloadAndExtractZip = sinon.stub().callsFake(async (url, downloadDir) => {
+        fs.mkdirSync(path.join(downloadDir, 'docx'), { recursive: true });
+        fs.writeFileSync(path.join(downloadDir, 'docx', 'index.docx'), 'docx');
+        if (url.includes('expired')) {
+          throw new Error('Request failed with status code 403');
+        }
+      });
+      const { uploadZipFromS3ToSharePoint } = await esmock('../../src/import/sharepoint-uploader.js', {
+        '../../src/import/sharepoint-graph.js': { createGraphUploader: () => graphUploader },
+        '../../src/import/job-archive.js': { downloadAndExtractZip },
+      });
+      const extractDirs = () => fs.readdirSync('.').filter((name) => name.startsWith('extracted-files-'));
+      const existingExtractDirs = extractDirs();
+
+      const downloadError = await uploadZipFromS3ToSharePoint('https://s3/expired.zip', sharePointUrl, { uploader: 'graph' })
+        .catch((e) => e);
+      expect(downloadError).to.be.instanceOf(UploadError);
+      expect(downloadError.message).to.include('status code 403');
+
+      graphUploader.uploadFile.rejects(new AuthenticationError('SharePoint authentication failed'));
+      const authenticationError = await uploadZipFromS3ToSharePoint('https://s3/archive.zip', sharePointUrl, { uploader: 'graph' })
+        .catch((e) => e);
+      expect(authenticationError).to.be.instanceOf(AuthenticationError);
+
+      expect(extractDirs()).to.deep.equal(existingExtractDirs);
+    });
+  });
 });
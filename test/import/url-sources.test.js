@@ -0,0 +1,135 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chaiAsPromised from 'chai-as-promised';
+import {
+  detectUrlSourceFormat, filterUrls, parseCsv, readUrls, toUrlMatcher,
+} from '../../src/import/url-sources.js';
+
+use(chaiAsPromised);
+
+describe('url-sources tests', () => {
+  let tmpDir;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-sources-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('detectUrlSourceFormat', () => {
+    it('should detect the format from the file extension', () => {
+      expect(detectUrlSourceFormat('urls.xml', '')).to.equal('sitemap');
+      expect(detectUrlSourceFormat('urls.csv', '')).to.equal('csv');
+      expect(detectUrlSourceFormat('urls.json', '')).to.equal('json');
+    });
+
+    it('should detect the format from the content', () => {
+      expect(detectUrlSourceFormat('urls', '<?xml version="1.0"?><urlset/>')).to.equal('sitemap');
+      expect(detectUrlSourceFormat('urls', '["https://example.com/"]')).to.equal('json');
+      expect(detectUrlSourceFormat('urls.txt', 'https://example.com/')).to.equal('text');
+    });
+  });
+
+  describe('readUrls', () => {
+    it('should read newline-delimited text', async () => {
+      const filePath = writeFile('urls.txt', 'https://example.com/a\r\nhttps://example.com/b\n\n');
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    it('should read a sitemap', async () => {
+      const filePath = writeFile('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://example.com/a</loc></url>
+          <url><loc> https://example.com/b </loc><lastmod>2024-01-01</lastmod></url>
+        </urlset>`);
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    it('should follow local sitemaps of a sitemap index', async () => {
+      writeFile('sitemap-en.xml', '<urlset><url><loc>https://example.com/en/a</loc></url></urlset>');
+      writeFile('sitemap-fr.xml', '<urlset><url><loc>https://example.com/fr/a</loc></url></urlset>');
+      const filePath = writeFile('sitemap-index.xml', `<sitemapindex>
+          <sitemap><loc>https://example.com/sitemap-en.xml</loc></sitemap>
+          <sitemap><loc>./sitemap-fr.xml</loc></sitemap>
+          <sitemap><loc>https://example.com/sitemap-missing.xml</loc></sitemap>
+          <sitemap><loc>sitemap-index.xml</loc></sitemap>
+        </sitemapindex>`);
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/en/a', 'https://example.com/fr/a']);
+    });
+
+    it('should read a CSV file with a URL column header', async () => {
+      const filePath = writeFile('crawl.csv', 'Status,Address,Title\n200,https://example.com/a,"A, B"\n200,https://example.com/b,B\n');
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    it('should read a CSV file using the selected column', async () => {
+      const filePath = writeFile('crawl.csv', 'source,target\nhttps://old.com/a,https://example.com/a\n');
+      expect(await readUrls(filePath, { urlColumn: 'target' })).to.deep.equal(['https://example.com/a']);
+      expect(await readUrls(filePath, { urlColumn: '0' })).to.deep.equal(['https://old.com/a']);
+      await expect(readUrls(filePath, { urlColumn: 'missing' })).to.be.rejectedWith(Error, 'Column "missing" not found');
+    });
+
+    it('should read a CSV file without a header', async () => {
+      const filePath = writeFile('urls.csv', '1,https://example.com/a\n2,https://example.com/b');
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    it('should read JSON arrays of URLs or objects', async () => {
+      let filePath = writeFile('urls.json', '["https://example.com/a", "https://example.com/b"]');
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a', 'https://example.com/b']);
+
+      filePath = writeFile('pages.json', '{"urls": [{"URL": "https://example.com/a"}, {"path": "https://example.com/b"}]}');
+      expect(await readUrls(filePath)).to.deep.equal(['https://example.com/a']);
+      expect(await readUrls(filePath, { urlColumn: 'path' })).to.deep.equal(['https://example.com/b']);
+    });
+
+    it('should apply include and exclude filters', async () => {
+      const filePath = writeFile('urls.txt', [
+        'https://example.com/en/a',
+        'https://example.com/en/b.pdf',
+        'https://example.com/fr/a',
+      ].join('\n'));
+      const urls = await readUrls(filePath, { include: ['https://example.com/en/*'], exclude: ['/\\.pdf$/'] });
+      expect(urls).to.deep.equal(['https://example.com/en/a']);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted cells, escaped quotes and line breaks', () => {
+      expect(parseCsv('a,"b ""c""","d\ne"\r\n\r\nf,g')).to.deep.equal([['a', 'b "c"', 'd\ne'], ['f', 'g']]);
+    });
+  });
+
+  describe('filterUrls', () => {
+    it('should treat patterns as globs unless written as a regex', () => {
+      expect(toUrlMatcher('https://example.com/?').test('https://example.com/a')).to.be.true;
+      expect(toUrlMatcher('https://example.com/?').test('https://example.com/ab')).to.be.false;
+      expect(toUrlMatcher('/EN/i').test('https://example.com/en/a')).to.be.true;
+    });
+
+    it('should keep all URLs without filters', () => {
+      expect(filterUrls(['a', 'b'])).to.deep.equal(['a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import { normalizeUrl, validateUrls } from '../../src/import/url-validator.js';
+
+describe('url-validator tests', () => {
+  describe('normalizeUrl', () => {
+    it('should drop fragments and default ports and lower-case the host', () => {
+      expect(normalizeUrl('https://EXAMPLE.com:443/a#top').href).to.equal('https://example.com/a');
+      expect(normalizeUrl('http://example.com:80/a').href).to.equal('http://example.com/a');
+      expect(normalizeUrl('http://example.com:8080/a').href).to.equal('http://example.com:8080/a');
+    });
+
+    it('should apply the trailing slash policy', () => {
+      expect(normalizeUrl('https://example.com/a/', 'keep').href).to.equal('https://example.com/a/');
+      expect(normalizeUrl('https://example.com/a/', 'remove').href).to.equal('https://example.com/a');
+      expect(normalizeUrl('https://example.com/a', 'add').href).to.equal('https://example.com/a/');
+      expect(normalizeUrl('https://example.com/a.html', 'add').href).to.equal('https://example.com/a.html');
+      expect(normalizeUrl('https://example.com/', 'remove').href).to.equal('https://example.com/');
+    });
+
+    it('should reject URLs which are not http(s)', () => {
+      expect(() => normalizeUrl('ftp://example.com/a')).to.throw('Unsupported protocol ftp:');
+      expect(() => normalizeUrl('example.com/a')).to.throw();
+    });
+  });
+
+  describe('validateUrls', () => {
+    it('should remove invalid URLs, comments and duplicates', () => {
+      const { urls, report } = validateUrls([
+        '# comment',
+        'https://example.com/a',
+        'https://example.com/a/',
+        'https://example.com/a#section',
+        'not a url',
+        '',
+        'https://example.com/b?x=1',
+      ]);
+
+      expect(urls).to.deep.equal(['https://example.com/a', 'https://example.com/b?x=1']);
+      expect(report.total).to.equal(5);
+      expect(report.valid).to.equal(2);
+      expect(report.invalid).to.have.length(1);
+      expect(report.invalid[0]).to.include({ entry: 5, input: 'not a url' });
+      expect(report.duplicates.map(({ entry }) => entry)).to.deep.equal([3, 4]);
+      expect(report.duplicates[0].duplicateOf).to.equal('https://example.com/a');
+    });
+
+    it('should report normalized URLs', () => {
+      const { urls, report } = validateUrls(['https://example.com/a#x'], { trailingSlash: 'add' });
+      expect(urls).to.deep.equal(['https://example.com/a/']);
+      expect(report.normalized).to.deep.equal([{ entry: 1, input: 'https://example.com/a#x', url: 'https://example.com/a/' }]);
+    });
+
+    it('should flag URLs from unexpected hosts', () => {
+      const { urls, report } = validateUrls([
+        'https://example.com/a',
+        'https://example.com/b',
+        'https://cdn.example.net/c',
+      ]);
+      expect(urls).to.have.length(3);
+      expect(report.unexpectedHosts).to.deep.equal([
+        { url: 'https://cdn.example.net/c', host: 'cdn.example.net', expectedHost: 'example.com' },
+      ]);
+    });
+
+    it('should treat URLs of hosts which are not allowed as invalid', () => {
+      const { urls, report } = validateUrls([
+        'https://example.com/a',
+        'https://other.com/b',
+      ], { allowedHosts: ['Example.com'] });
+      expect(urls).to.deep.equal(['https://example.com/a']);
+      expect(report.invalid[0].reason).to.equal('Host other.com is not allowed');
+      expect(report.unexpectedHosts).to.be.empty;
+    });
+
+    it('should handle input which is not an array of strings', () => {
+      expect(validateUrls(null).urls).to.be.empty;
+      expect(validateUrls([42]).report.invalid[0].reason).to.equal('Not a string');
+    });
+  });
+});
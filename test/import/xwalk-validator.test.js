@@ -0,0 +1,149 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import { validateXwalkFiles, XwalkValidationError } from '../../src/import/xwalk-validator.js';
+
+const FIXTURES = 'test/import/fixtures/xwalk';
+
+const readFixture = (name) => JSON.parse(fs.readFileSync(`${FIXTURES}/${name}`, 'utf8'));
+
+describe('xwalk validator tests', () => {
+  let models;
+  let filters;
+  let definitions;
+
+  const validate = () => validateXwalkFiles({
+    models: { name: 'component-models.json', content: JSON.stringify(models) },
+    filters: { name: 'component-filters.json', content: JSON.stringify(filters) },
+    definitions: { name: 'component-definition.json', content: JSON.stringify(definitions) },
+  });
+
+  beforeEach(() => {
+    models = readFixture('component-models.json');
+    filters = readFixture('component-filters.json');
+    definitions = readFixture('component-definition.json');
+  });
+
+  it('should accept valid component files', () => {
+    expect(validate()).to.deep.equal([]);
+  });
+
+  it('should report files which are not valid JSON', () => {
+    const problems = validateXwalkFiles({
+      models: { name: 'component-models.json', content: '' },
+      filters: { name: 'component-filters.json', content: '[' },
+      definitions: { name: 'component-definition.json', content: JSON.stringify(definitions) },
+    });
+    expect(problems.map(({ file, path }) => `${file} ${path}`)).to.deep.equal([
+      'component-models.json $',
+      'component-filters.json $',
+    ]);
+    expect(problems[0].message).to.contain('invalid JSON');
+  });
+
+  it('should report files with an unexpected structure', () => {
+    models = {};
+    filters = {};
+    definitions = [];
+    expect(validate()).to.deep.equal([
+      { file: 'component-models.json', path: '$', message: 'must be an array of models' },
+      { file: 'component-filters.json', path: '$', message: 'must be an array of filters' },
+      { file: 'component-definition.json', path: '$.groups', message: 'must be an array of component groups' },
+    ]);
+  });
+
+  it('should report missing and duplicate ids', () => {
+    models.push({ id: 'hero', fields: [] });
+    delete filters[1].id;
+    definitions.groups[1].components.push({ ...definitions.groups[0].components[0] });
+
+    expect(validate()).to.deep.include.members([
+      { file: 'component-models.json', path: '$[4].id', message: 'duplicate id "hero"' },
+      { file: 'component-filters.json', path: '$[1].id', message: 'must be a non-empty string' },
+      { file: 'component-definition.json', path: '$.groups[1].components[3].id', message: 'duplicate id "text"' },
+    ]);
+  });
+
+  it('should report invalid fields', () => {
+    models[1].fields[0].component = 'image';
+    models[1].fields[1].name = 'image';
+    models[1].fields[2].valueType = 'html';
+    delete models[2].fields[0].options;
+    models.push({
+      id: 'teaser',
+      fields: [{
+        component: 'container', name: 'items', fields: [{ component: 'text', valueType: 'string' }],
+      }],
+    });
+
+    expect(validate()).to.deep.equal([
+      {
+        file: 'component-models.json',
+        path: '$[1].fields[0].component',
+        message: `unknown field component "image", expected one of ${[
+          'aem-content', 'aem-content-fragment', 'aem-experience-fragment', 'aem-tag', 'boolean',
+          'checkbox-group', 'container', 'custom', 'date-time', 'multiselect', 'number', 'radio-group',
+          'reference', 'richtext', 'select', 'tab', 'text', 'text-area', 'text-input',
+        ].join(', ')}`,
+      },
+      { file: 'component-models.json', path: '$[1].fields[1].name', message: 'duplicate field name "image"' },
+      {
+        file: 'component-models.json',
+        path: '$[1].fields[2].valueType',
+        message: 'unknown value type "html", expected one of string, string[], number, boolean, date',
+      },
+      { file: 'component-models.json', path: '$[2].fields[0].options', message: 'must be a non-empty array for a select field' },
+      { file: 'component-models.json', path: '$[4].fields[0].fields[0].name', message: 'must be a non-empty string' },
+    ]);
+  });
+
+  it('should report references to unknown components, models and filters', () => {
+    filters[1].components.push('colums');
+    definitions.groups[1].components[0].plugins.xwalk.page.template.model = 'heros';
+    definitions.groups[1].components[1].plugins.xwalk.page.template.filter = 'card';
+    delete definitions.groups[1].components[2].plugins.xwalk.page.resourceType;
+
+    expect(validate()).to.deep.equal([
+      {
+        file: 'component-definition.json',
+        path: '$.groups[1].components[2].plugins.xwalk.page.resourceType',
+        message: 'must be a non-empty string',
+      },
+      {
+        file: 'component-filters.json',
+        path: '$[1].components[3]',
+        message: 'unknown component "colums", it is not defined in component-definition.json',
+      },
+      {
+        file: 'component-definition.json',
+        path: '$.groups[1].components[0].plugins.xwalk.page.template.model',
+        message: 'unknown model "heros", it is not defined in component-models.json',
+      },
+      {
+        file: 'component-definition.json',
+        path: '$.groups[1].components[1].plugins.xwalk.page.template.filter',
+        message: 'unknown filter "card", it is not defined in component-filters.json',
+      },
+    ]);
+  });
+
+  it('should list all problems in the error message', () => {
+    const error = new XwalkValidationError([
+      { file: 'component-models.json', path: '$[0].id', message: 'must be a non-empty string' },
+      { file: 'component-filters.json', path: '$[1].components[0]', message: 'unknown component "x"' },
+    ]);
+    expect(error.message).to.equal('Invalid xwalk component files:\n'
+      + '  - component-models.json $[0].id: must be a non-empty string\n'
+      + '  - component-filters.json $[1].components[0]: unknown component "x"');
+  });
+});
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import * as api from '../src/index.js';
+
+use(chaiAsPromised);
+
+describe('programmatic API tests', () => {
+  let apiKey;
+
+  beforeEach(() => {
+    apiKey = process.env.AEM_IMPORT_API_KEY;
+  });
+
+  afterEach(() => {
+    if (apiKey === undefined) {
+      delete process.env.AEM_IMPORT_API_KEY;
+    } else {
+      process.env.AEM_IMPORT_API_KEY = apiKey;
+    }
+  });
+
+  it('should export the API', () => {
+    [
+      'runImport', 'retryFailedUrls', 'getJobSnapshot', 'watchImportJob', 'stopImportJob',
+      'uploadJobResult', 'bundleImportScript', 'prepareImportScript', 'validateImportScript',
+      'previewImportScript', 'uploadToAem', 'uploadToDa', 'getJournalPath', 'readJournal', 'RequestError',
+    ].forEach((name) => expect(api[name], name).to.be.a('function'));
+    expect(api.helperEvents.on).to.be.a('function');
+  });
+
+  it('should expose typed errors with a stable code', () => {
+    const error = new api.ValidationError('Invalid', { cause: new Error('root cause') });
+    expect(error).to.be.instanceOf(api.ImportHelperError).and.instanceOf(Error);
+    expect(error.code).to.equal('VALIDATION_ERROR');
+    expect(error.cause.message).to.equal('root cause');
+
+    const jobError = new api.ImportJobError('Failed', { jobs: [{ jobId: 'job-1' }] });
+    expect(jobError.code).to.equal('IMPORT_JOB_ERROR');
+    expect(jobError.jobs).to.deep.equal([{ jobId: 'job-1' }]);
+  });
+
+  it('should reject with a ConfigurationError when the API key is not set', async () => {
+    delete process.env.AEM_IMPORT_API_KEY;
+    await expect(api.runImport({ urls: ['https://example.com/'] }))
+      .to.be.rejectedWith(api.ConfigurationError, 'AEM_IMPORT_API_KEY');
+  });
+
+  it('should run the import when the API key is set', async () => {
+    process.env.AEM_IMPORT_API_KEY = 'test-key';
+    const jobs = [{ jobId: 'job-1' }];
+    const runImportJobAndPoll = sinon.stub().resolves(jobs);
+    const { runImport } = await esmock('../src/index.js', {
+      '../src/import/import-helper.js': { runImportJobAndPoll },
+    });
+
+    const params = { urls: ['https://example.com/'], stage: true };
+    expect(await runImport(params)).to.equal(jobs);
+    expect(runImportJobAndPoll.calledOnceWith(params)).to.be.true;
+  });
+
+  it('should reject with a ValidationError when the AEM upload files do not exist', async () => {
+    await expect(api.uploadToAem({
+      zip: '/does/not/exist.zip', token: 'token', target: 'https://author.example.com',
+    })).to.be.rejectedWith(api.ValidationError, 'Content package not found');
+  });
+
+  it('should reject with a ValidationError when the DA upload files do not exist', async () => {
+    await expect(api.uploadToDa({
+      org: 'org', site: 'site', assetList: '/does/not/asset-list.json', daFolder: '/does/not/exist',
+    })).to.be.rejectedWith(api.ValidationError, 'asset-list.json file not found');
+  });
+});
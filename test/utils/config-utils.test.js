@@ -0,0 +1,101 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findConfigFile, loadCommandConfig, resolveConfig } from '../../src/utils/config-utils.js';
+
+describe('config-utils tests', () => {
+  const config = {
+    stage: true,
+    importjs: 'tools/importer/import.js',
+    import: { urls: 'urls.txt', options: { type: 'doc' } },
+    aem: { target: 'https://author-dev.example.com', 'images-to-png': false },
+    profiles: {
+      prod: {
+        stage: false,
+        aem: { target: 'https://author-prod.example.com', token: 'not-a-file' },
+      },
+    },
+  };
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-utils-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolveConfig', () => {
+    it('should merge the shared options with the options of the command', () => {
+      const values = resolveConfig(config, { command: 'import', baseDir: '/project' });
+      expect(values).to.deep.equal({
+        stage: true,
+        importjs: '/project/tools/importer/import.js',
+        urls: '/project/urls.txt',
+        options: { type: 'doc' },
+      });
+    });
+
+    it('should let the profile override the top-level options', () => {
+      const values = resolveConfig(config, { command: 'aem', profile: 'prod', baseDir: '/project' });
+      expect(values.stage).to.be.false;
+      expect(values.target).to.equal('https://author-prod.example.com');
+      expect(values['images-to-png']).to.be.false;
+      // token values which are not a file are left untouched
+      expect(values.token).to.equal('not-a-file');
+      expect(values).not.to.have.property('urls');
+    });
+
+    it('should resolve token files relative to the config file', () => {
+      fs.writeFileSync(path.join(tmpDir, 'token.txt'), 'secret');
+      const values = resolveConfig({ token: 'token.txt' }, { command: 'aem', baseDir: tmpDir });
+      expect(values.token).to.equal(path.join(tmpDir, 'token.txt'));
+    });
+
+    it('should fail for an unknown profile', () => {
+      expect(() => resolveConfig(config, { command: 'aem', profile: 'stage' }))
+        .to.throw('Profile "stage" not found in config file. Available profiles: prod');
+    });
+  });
+
+  describe('loadCommandConfig', () => {
+    it('should find the config file in a parent directory', () => {
+      const configPath = path.join(tmpDir, '.aem-import-helper.json');
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      const subDir = path.join(tmpDir, 'tools', 'importer');
+      fs.mkdirSync(subDir, { recursive: true });
+
+      expect(findConfigFile(subDir)).to.equal(configPath);
+    });
+
+    it('should load an explicit config file', () => {
+      const configPath = path.join(tmpDir, 'custom.json');
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      const result = loadCommandConfig({ command: 'import', profile: 'prod', configPath });
+      expect(result.configPath).to.equal(configPath);
+      expect(result.values.urls).to.equal(path.join(tmpDir, 'urls.txt'));
+      expect(result.values.stage).to.be.false;
+    });
+
+    it('should report invalid config files', () => {
+      const configPath = path.join(tmpDir, 'broken.json');
+      fs.writeFileSync(configPath, '{ not json');
+      expect(() => loadCommandConfig({ command: 'import', configPath })).to.throw(`Unable to read config file ${configPath}`);
+    });
+  });
+});
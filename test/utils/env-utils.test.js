@@ -0,0 +1,76 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { assertEnvironment, loadEnvFile } from '../../src/utils/env-utils.js';
+import { ConfigurationError } from '../../src/errors.js';
+
+describe('env utils tests', () => {
+  it('should require the API key', () => {
+    expect(() => assertEnvironment({})).to.throw(ConfigurationError, 'AEM_IMPORT_API_KEY');
+    expect(() => assertEnvironment({ AEM_IMPORT_API_KEY: 'key' })).not.to.throw();
+  });
+
+  it('should reject service URLs which are not http(s) URLs', () => {
+    expect(() => assertEnvironment({ AEM_IMPORT_API_KEY: 'key', AEM_IMPORT_API_URL: 'localhost:3000' }))
+      .to.throw(ConfigurationError, 'AEM_IMPORT_API_URL must be an http(s) URL');
+    expect(() => assertEnvironment({ AEM_IMPORT_API_KEY: 'key', AEM_IMPORT_LABS_URL: 'not a url' }))
+      .to.throw(ConfigurationError, 'AEM_IMPORT_LABS_URL must be an http(s) URL');
+    expect(() => assertEnvironment({
+      AEM_IMPORT_API_KEY: 'key',
+      AEM_IMPORT_API_URL: 'http://localhost:3000/api/v1/tools/import/jobs',
+      AEM_IMPORT_LABS_URL: 'https://labs.example.com/import.html',
+    })).not.to.throw();
+  });
+
+  it('should check the service URL options instead of the environment', () => {
+    const env = { AEM_IMPORT_API_KEY: 'key', AEM_IMPORT_API_URL: 'not a url' };
+    expect(() => assertEnvironment(env, { apiUrl: 'http://localhost:3000' })).not.to.throw();
+    expect(() => assertEnvironment({ AEM_IMPORT_API_KEY: 'key' }, { labsUrl: 'labs.example.com' }))
+      .to.throw(ConfigurationError, 'labs-url must be an http(s) URL, got: labs.example.com');
+  });
+
+  describe('loadEnvFile', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-utils-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load the variables of the file without overriding the environment', () => {
+      const envPath = path.join(tmpDir, '.env');
+      fs.writeFileSync(envPath, '# import service\nAEM_IMPORT_API_KEY=from-file\nAEM_IMPORT_LABS_URL="https://labs.example.com"\n');
+      const env = { AEM_IMPORT_API_KEY: 'from-shell' };
+
+      const loaded = loadEnvFile(envPath, { env });
+
+      expect(loaded).to.deep.equal(['AEM_IMPORT_LABS_URL']);
+      expect(env).to.deep.equal({
+        AEM_IMPORT_API_KEY: 'from-shell',
+        AEM_IMPORT_LABS_URL: 'https://labs.example.com',
+      });
+    });
+
+    it('should only fail on a missing file when it is required', () => {
+      const envPath = path.join(tmpDir, 'missing.env');
+      expect(loadEnvFile(envPath, { env: {} })).to.deep.equal([]);
+      expect(() => loadEnvFile(envPath, { required: true, env: {} }))
+        .to.throw(ConfigurationError, `Environment file not found: ${envPath}`);
+    });
+  });
+});
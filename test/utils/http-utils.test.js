@@ -0,0 +1,187 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import chaiAsPromised from 'chai-as-promised';
+import {
+  getDefaultRequestOptions, getRetryDelay, makeRequest, parseRetryAfter, RequestError,
+} from '../../src/utils/http-utils.js';
+import { ImportHelperError } from '../../src/errors.js';
+
+use(chaiAsPromised);
+
+describe('http-utils tests', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse a delay in seconds', () => {
+      expect(parseRetryAfter('120')).to.equal(120000);
+    });
+
+    it('should parse an HTTP date', () => {
+      const date = new Date(Date.now() + 30000).toUTCString();
+      const delay = parseRetryAfter(date);
+      expect(delay).to.be.greaterThan(25000);
+      expect(delay).to.be.at.most(30000);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(null)).to.be.undefined;
+      expect(parseRetryAfter('soon')).to.be.undefined;
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('should return the parsed JSON body', async () => {
+      sinon.stub(globalThis, 'fetch').resolves(new Response(JSON.stringify({ id: 'abc' })));
+      const result = await makeRequest('https://example.com/api', 'GET');
+      expect(result).to.deep.equal({ id: 'abc' });
+    });
+
+    it('should throw a RequestError with the status and Retry-After delay', async () => {
+      sinon.stub(globalThis, 'fetch').resolves(new Response('Too Many Requests', {
+        status: 429,
+        headers: { 'retry-after': '3', 'x-error': 'rate limited', 'x-invocation-id': 'abc-123' },
+      }));
+
+      const error = await makeRequest('https://example.com/api', 'GET', undefined, { retries: 0 }).catch((e) => e);
+      expect(error).to.be.instanceOf(RequestError).and.instanceOf(ImportHelperError);
+      expect(error.status).to.equal(429);
+      expect(error.retryAfter).to.equal(3000);
+      expect(error.message).to.include('Request failed with status code 429');
+      expect(error).to.include({
+        code: 'REQUEST_ERROR',
+        method: 'GET',
+        url: 'https://example.com/api',
+        xError: 'rate limited',
+        invocationId: 'abc-123',
+        body: 'Too Many Requests',
+        attempts: 1,
+      });
+    });
+
+    it('should retry 5xx responses of idempotent requests', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch');
+      fetchStub.onCall(0).resolves(new Response('Bad Gateway', { status: 502 }));
+      fetchStub.onCall(1).rejects(new TypeError('fetch failed'));
+      fetchStub.onCall(2).resolves(new Response(JSON.stringify({ id: 'abc' })));
+
+      const result = await makeRequest('https://example.com/api', 'GET', undefined, { retryDelay: 1 });
+      expect(result).to.deep.equal({ id: 'abc' });
+      expect(fetchStub.callCount).to.equal(3);
+    });
+
+    it('should only retry 429 and 503 responses of other requests', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch');
+      fetchStub.onCall(0).resolves(new Response('Service Unavailable', { status: 503 }));
+      fetchStub.onCall(1).resolves(new Response('Internal Server Error', { status: 500 }));
+
+      const error = await makeRequest('https://example.com/api', 'POST', '{}', { retryDelay: 1 }).catch((e) => e);
+      expect(error.status).to.equal(500);
+      expect(error.attempts).to.equal(2);
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should retry other requests marked as idempotent', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch');
+      fetchStub.onCall(0).resolves(new Response('Internal Server Error', { status: 500 }));
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ ok: true })));
+
+      await makeRequest('https://example.com/api', 'POST', undefined, { retryDelay: 1, idempotent: true });
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should not retry client errors', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch').resolves(new Response('Not Found', { status: 404 }));
+
+      await expect(makeRequest('https://example.com/api', 'GET', undefined, { retryDelay: 1 }))
+        .to.be.rejectedWith(RequestError, 'status code 404');
+      expect(fetchStub.callCount).to.equal(1);
+    });
+
+    it('should report an invalid JSON body with its status, without retrying', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch').resolves(new Response('<html>', { status: 200 }));
+
+      const error = await makeRequest('https://example.com/api', 'GET', undefined, { retryDelay: 1 }).catch((e) => e);
+      expect(error).to.be.instanceOf(RequestError);
+      expect(error).to.include({ status: 200, body: '<html>', attempts: 1 });
+      expect(error.message).to.include('returned an invalid JSON body with status code 200');
+      expect(fetchStub.callCount).to.equal(1);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      const fetchStub = sinon.stub(globalThis, 'fetch')
+        .callsFake(() => Promise.resolve(new Response('Service Unavailable', { status: 503 })));
+
+      const error = await makeRequest('https://example.com/api', 'GET', undefined, { retries: 2, retryDelay: 1 })
+        .catch((e) => e);
+      expect(error.status).to.equal(503);
+      expect(error.attempts).to.equal(3);
+      expect(fetchStub.callCount).to.equal(3);
+    });
+
+    it('should wait for the Retry-After delay before retrying', async () => {
+      const clock = sinon.useFakeTimers();
+      const fetchStub = sinon.stub(globalThis, 'fetch');
+      fetchStub.onCall(0).resolves(new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '2' } }));
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ id: 'abc' })));
+
+      const request = makeRequest('https://example.com/api', 'POST', '{}');
+      await clock.tickAsync(1999);
+      expect(fetchStub.callCount).to.equal(1);
+      await clock.tickAsync(1);
+      expect(await request).to.deep.equal({ id: 'abc' });
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should abort requests which take too long', async () => {
+      sinon.stub(globalThis, 'fetch').callsFake((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+
+      const error = await makeRequest('https://example.com/api', 'GET', undefined, { retries: 0, timeout: 10 })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(RequestError);
+      expect(error).to.include({ code: 'REQUEST_TIMEOUT', timedOut: true, status: undefined });
+      expect(error.message).to.equal('Request GET https://example.com/api timed out after 10ms');
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const options = { retryDelay: 1000, maxRetryDelay: 5000 };
+
+    it('should back off exponentially with jitter', () => {
+      sinon.stub(Math, 'random').returns(0.5);
+      expect(getRetryDelay({}, 1, options)).to.equal(750);
+      expect(getRetryDelay({}, 2, options)).to.equal(1500);
+      expect(getRetryDelay({}, 5, options)).to.equal(3750);
+    });
+
+    it('should use the Retry-After delay', () => {
+      expect(getRetryDelay({ retryAfter: 3000 }, 1, options)).to.equal(3000);
+    });
+
+    it('should limit the Retry-After delay to the maximum delay', () => {
+      expect(getRetryDelay({ retryAfter: 86400000 }, 1, options)).to.equal(5000);
+    });
+  });
+
+  describe('getDefaultRequestOptions', () => {
+    it('should read the retries and timeout from the environment', () => {
+      expect(getDefaultRequestOptions({})).to.include({ retries: 3, timeout: 60000 });
+      expect(getDefaultRequestOptions({ AEM_IMPORT_REQUEST_RETRIES: '0', AEM_IMPORT_REQUEST_TIMEOUT: '5' }))
+        .to.include({ retries: 0, timeout: 5000 });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  assertPrerequisites,
+  findExecutable,
+  findMissingPrerequisites,
+} from '../../src/utils/prerequisites.js';
+import { ValidationError } from '../../src/errors.js';
+
+describe('prerequisites tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerequisites-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should find executables on the PATH', function () {
+    if (process.platform === 'win32') {
+      this.skip();
+    }
+    const executablePath = path.join(tmpDir, 'm365');
+    fs.writeFileSync(executablePath, '#!/bin/sh\n', { mode: 0o755 });
+
+    expect(findExecutable('m365', { PATH: tmpDir })).to.equal(executablePath);
+    expect(findExecutable('m365', { PATH: os.tmpdir() })).to.be.undefined;
+  });
+
+  it('should report every missing prerequisite at once', () => {
+    const urlsPath = path.join(tmpDir, 'urls.txt');
+    fs.writeFileSync(urlsPath, 'https://example.com/\n');
+
+    const missing = findMissingPrerequisites({
+      importService: true,
+      files: [
+        { path: urlsPath, label: 'URLs file' },
+        { path: path.join(tmpDir, 'import.js'), label: 'Import script' },
+        { path: undefined, label: 'Options file' },
+        { path: undefined, label: 'component-models.json file', requiredMessage: 'Provide the models' },
+      ],
+      directories: [{ path: urlsPath, label: 'DA folder' }],
+      sharePoint: true,
+      tokens: [
+        { value: 'a-token-value', label: 'Token' },
+        { value: path.join(tmpDir, 'token.txt'), label: 'Token' },
+      ],
+      env: { PATH: tmpDir, AEM_IMPORT_SHAREPOINT_UPLOADER: 'm365' },
+    });
+
+    expect(missing).to.have.lengthOf(6);
+    expect(missing[0]).to.include('AEM_IMPORT_API_KEY');
+    expect(missing.slice(1)).to.deep.equal([
+      'The m365 CLI is required to upload to SharePoint with --sharepoint-uploader m365, install it with: npm install -g @pnp/cli-microsoft365',
+      `Import script not found: ${path.join(tmpDir, 'import.js')}`,
+      'Provide the models',
+      `DA folder not found or not a directory: ${urlsPath}`,
+      `Token file not found: ${path.join(tmpDir, 'token.txt')}`,
+    ]);
+  });
+
+  it('should require Microsoft Graph credentials to upload to SharePoint', () => {
+    const missing = findMissingPrerequisites({ sharePoint: true, env: { AEM_IMPORT_SHAREPOINT_TENANT_ID: 'tenant' } });
+    expect(missing).to.have.lengthOf(1);
+    expect(missing[0]).to.include('AEM_IMPORT_SHAREPOINT_CLIENT_ID');
+
+    expect(findMissingPrerequisites({ sharePoint: true, env: { AEM_IMPORT_SHAREPOINT_TOKEN: 'token' } }))
+      .to.deep.equal([]);
+  });
+
+  it('should check the prerequisites of the SharePoint uploader of the command, over the environment', () => {
+    const env = { PATH: '', AEM_IMPORT_SHAREPOINT_UPLOADER: 'm365', AEM_IMPORT_SHAREPOINT_TOKEN: 'token' };
+    expect(findMissingPrerequisites({ sharePoint: true, sharePointUploader: 'graph', env })).to.deep.equal([]);
+
+    const missing = findMissingPrerequisites({ sharePoint: true, sharePointUploader: 'm365', env: { PATH: '' } });
+    expect(missing).to.have.lengthOf(1);
+    expect(missing[0]).to.include('The m365 CLI is required');
+  });
+
+  it('should not report anything when the prerequisites are met', () => {
+    expect(findMissingPrerequisites({
+      importService: true,
+      files: [{ path: undefined, label: 'Options file' }],
+      env: { AEM_IMPORT_API_KEY: 'key' },
+    })).to.deep.equal([]);
+  });
+
+  it('should throw a validation error listing the missing prerequisites', () => {
+    expect(() => assertPrerequisites({
+      files: [{ path: path.join(tmpDir, 'content.zip'), label: 'Content package' }],
+    })).to.throw(ValidationError, /^Content package not found: /);
+
+    expect(() => assertPrerequisites({
+      files: [
+        { path: path.join(tmpDir, 'content.zip'), label: 'Content package' },
+        { path: path.join(tmpDir, 'asset-mapping.json'), label: 'asset-mapping.json file' },
+      ],
+    })).to.throw(ValidationError, /^2 prerequisites are not met:\n {2}- Content package not found: .*\n {2}- asset-mapping.json file not found: /);
+  });
+});